@@ -0,0 +1,98 @@
+---
+# Processed by Jekyll so every deploy changes CACHE_VERSION and browsers pick up the new worker
+---
+/**
+ * Fertilizer Calculator Service Worker
+ * Makes the calculator (including the MILP modes) work offline after the first visit
+ *
+ * - Install: precaches the page, its scripts, the default locale and the solver files
+ *   (lp-model, HiGHS and GLPK JS + WASM, the solver worker)
+ * - Fetch: cache first, then network; successful responses are added to the cache so the
+ *   theme's styles/fonts and any locale the user switches to are available offline too
+ * - Update: a new version waits until the page asks it to take over (SKIP_WAITING),
+ *   so the calculator can show an update prompt instead of changing under the user
+ */
+
+const CACHE_VERSION = '{{ site.time | date: "%Y%m%d%H%M%S" }}';
+const CACHE_PREFIX = 'fertilizer-calculator-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  '/fertilizer-calculator/',
+  '/assets/css/fertilizer-calculator.css',
+  '/assets/fertilizer-calculator.webmanifest',
+  '/assets/fertilizer-calculator-icon.svg',
+  '/assets/vendor/lp-model/lp-model.min.js',
+  '/assets/vendor/highs/highs.js',
+  '/assets/vendor/highs/highs.wasm',
+  '/assets/vendor/glpk/glpk.min.js',
+  '/assets/vendor/glpk/glpk.wasm',
+  '/scripts/fertilizer-data.js',
+  '/scripts/fertilizer-core.js',
+  '/scripts/fertilizer-copy.js',
+  '/scripts/fertilizer-export.js',
+  '/scripts/fertilizer-warnings.js',
+  '/scripts/fertilizer-recipes.js',
+  '/scripts/fertilizer-worker.js',
+  '/scripts/i18n.js',
+  '/scripts/locales/en.js',
+  'https://unpkg.com/vue@3/dist/vue.global.js'
+];
+
+// Only keep what the page needs to render and calculate - not analytics beacons
+function isCacheable(request) {
+  if (request.method !== 'GET') return false;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) return true;
+  return ['script', 'style', 'font'].includes(request.destination);
+}
+
+async function putInCache(request, response) {
+  if (!response || !(response.ok || response.type === 'opaque')) return;
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(request, response);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (!isCacheable(request)) return;
+
+  event.respondWith((async () => {
+    // Share links carry the calculator state in the query string - any of them opens the cached page
+    const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    event.waitUntil(putInCache(request, response.clone()));
+    return response;
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const { type, urls } = event.data || {};
+
+  if (type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (type === 'CACHE_URLS') {
+    // Resources the page loaded before this worker controlled it (first visit)
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => Promise.all(
+      (urls || []).map(url => cache.match(url).then(hit => hit || cache.add(url).catch(() => {})))
+    )));
+  }
+});
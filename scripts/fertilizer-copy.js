@@ -4,6 +4,8 @@
 // Pure text generation functions for clipboard copy functionality.
 // These accept data and a formatter object, returning plain text strings.
 // Formatter object should have: t(key, params), formatNumber(num), formatNutrientLabel(key)
+// and optionally formatMass(grams), formatVolume(liters), formatConcentration(key, ppm, digits)
+// to write amounts in the user's units (grams, liters and ppm without them).
 //
 // Usage: Include this script after fertilizer-core.js
 // =============================================================================
@@ -16,6 +18,52 @@
     window.FertilizerCore = {};
   }
 
+  // Micronutrients shown after the macros in achieved-ppm lists (sub-ppm, so more decimals)
+  const MICRO_ACHIEVED_ORDER = ['Fe', 'Mn', 'Zn', 'Cu', 'B', 'Mo'].map(key => ({ key, label: key, digits: 3 }));
+
+  // Amounts in the formatter's units when it has unit formatters, else grams / liters / ppm
+  const massText = (fmt, grams) => (fmt.formatMass ? fmt.formatMass(grams) : `${fmt.formatNumber(grams.toFixed(2))} ${fmt.t('gramsShort')}`);
+  const volumeText = (fmt, liters) => (fmt.formatVolume ? fmt.formatVolume(liters) : `${fmt.formatNumber(liters)}L`);
+  const concentrationText = (fmt, key, ppm, digits = 2) => (fmt.formatConcentration
+    ? fmt.formatConcentration(key, ppm, digits)
+    : `${fmt.formatNumber(ppm.toFixed(digits))} ppm`);
+
+  // Share templates with the volume / grams in the formatter's units when it has unit formatters
+  function shareVolume(fmt, key, liters) {
+    return fmt.formatVolume
+      ? fmt.t(`${key}Unit`, { volume: fmt.formatVolume(liters) })
+      : fmt.t(key, { volume: fmt.formatNumber(liters) });
+  }
+
+  function shareFertilizerLine(fmt, name, grams) {
+    return fmt.formatMass
+      ? fmt.t('shareFertilizerAmount', { name, amount: fmt.formatMass(grams) })
+      : fmt.t('shareFertilizerGrams', { name, grams: fmt.formatNumber(grams.toFixed(2)) });
+  }
+
+  // "• label: *value*" share line; ppm-only formatters keep the translated ppm template.
+  // digits null writes the value as entered (target inputs); unit ('mmol' / 'meq') forces
+  // that unit instead of the formatter's preference (recipes entered as ion targets).
+  function shareConcentrationLine(fmt, label, key, ppm, digits, unit = null) {
+    if (fmt.formatConcentration) {
+      return fmt.t('shareLabelValue', { label, value: fmt.formatConcentration(key, Number(ppm), digits === null ? 1 : digits, unit) });
+    }
+    const ionValue = unit ? window.FertilizerCore.ppmToConcentration(key, Number(ppm), unit) : null;
+    if (ionValue !== null) {
+      return fmt.t('shareLabelValue', { label, value: `${fmt.formatNumber(ionValue.toFixed(2))} ${unit === 'meq' ? 'meq/L' : 'mmol/L'}` });
+    }
+    const value = digits === null ? fmt.formatNumber(ppm) : fmt.formatNumber(ppm.toFixed(digits));
+    return fmt.t('shareLabelValuePpm', { label, value });
+  }
+
+  // Target inputs are keyed N, P, K, ...; in oxide mode P and K are P2O5 and K2O
+  function targetNutrientKey(targetKey, mode) {
+    if (targetKey === 'N') return 'N_total';
+    if (mode !== 'elemental' && targetKey === 'P') return 'P2O5';
+    if (mode !== 'elemental' && targetKey === 'K') return 'K2O';
+    return targetKey;
+  }
+
   /**
    * Build copy text for a single tank in two-tank system
    * @param {Object} tank - Tank data with fertilizers, nutrients, ionBalance
@@ -28,6 +76,8 @@
   window.FertilizerCore.buildTankCopyText = function(tank, letter, mode, fertilizers, fmt) {
     const pLabel = mode === 'elemental' ? 'P' : 'P₂O₅';
     const kLabel = mode === 'elemental' ? 'K' : 'K₂O';
+    const pKey = mode === 'elemental' ? 'P' : 'P2O5';
+    const kKey = mode === 'elemental' ? 'K' : 'K2O';
 
     let text = '';
     text += `───────────────────────────────────────────\n`;
@@ -45,7 +95,7 @@
     fertEntries.forEach(([fertId, grams]) => {
       const fert = fertilizers.find(f => f.id === fertId);
       if (fert) {
-        text += `  • ${fert.name}: ${fmt.formatNumber(grams.toFixed(2))} ${fmt.t('gramsShort')}\n`;
+        text += `  • ${fert.name}: ${massText(fmt, grams)}\n`;
       }
     });
     text += '\n';
@@ -56,12 +106,12 @@
     const kVal = mode === 'elemental' ? nutrients.K : nutrients.K2O;
 
     text += 'PPM Values:\n';
-    if (nutrients.N_total > 0.01) text += `  ${fmt.t('nitrogen').padEnd(16)} ${fmt.formatNumber(nutrients.N_total.toFixed(2))} ppm\n`;
-    if (pVal > 0.01) text += `  ${pLabel.padEnd(16)} ${fmt.formatNumber(pVal.toFixed(2))} ppm\n`;
-    if (kVal > 0.01) text += `  ${kLabel.padEnd(16)} ${fmt.formatNumber(kVal.toFixed(2))} ppm\n`;
-    if (nutrients.Ca > 0.01) text += `  ${fmt.t('calcium').padEnd(16)} ${fmt.formatNumber(nutrients.Ca.toFixed(2))} ppm\n`;
-    if (nutrients.Mg > 0.01) text += `  ${fmt.t('magnesium').padEnd(16)} ${fmt.formatNumber(nutrients.Mg.toFixed(2))} ppm\n`;
-    if (nutrients.S > 0.01) text += `  ${fmt.t('sulfur').padEnd(16)} ${fmt.formatNumber(nutrients.S.toFixed(2))} ppm\n`;
+    if (nutrients.N_total > 0.01) text += `  ${fmt.t('nitrogen').padEnd(16)} ${concentrationText(fmt, 'N_total', nutrients.N_total)}\n`;
+    if (pVal > 0.01) text += `  ${pLabel.padEnd(16)} ${concentrationText(fmt, pKey, pVal)}\n`;
+    if (kVal > 0.01) text += `  ${kLabel.padEnd(16)} ${concentrationText(fmt, kKey, kVal)}\n`;
+    if (nutrients.Ca > 0.01) text += `  ${fmt.t('calcium').padEnd(16)} ${concentrationText(fmt, 'Ca', nutrients.Ca)}\n`;
+    if (nutrients.Mg > 0.01) text += `  ${fmt.t('magnesium').padEnd(16)} ${concentrationText(fmt, 'Mg', nutrients.Mg)}\n`;
+    if (nutrients.S > 0.01) text += `  ${fmt.t('sulfur').padEnd(16)} ${concentrationText(fmt, 'S', nutrients.S)}\n`;
     text += '\n';
 
     // Nitrogen forms
@@ -69,8 +119,8 @@
       const nh4Pct = (nutrients.N_NH4 / nutrients.N_total * 100) || 0;
       const no3Pct = (nutrients.N_NO3 / nutrients.N_total * 100) || 0;
       text += 'Nitrogen Forms:\n';
-      text += `  NH₄-N: ${nutrients.N_NH4.toFixed(2)} ppm (${nh4Pct.toFixed(1)}%)\n`;
-      text += `  NO₃-N: ${nutrients.N_NO3.toFixed(2)} ppm (${no3Pct.toFixed(1)}%)\n\n`;
+      text += `  NH₄-N: ${concentrationText(fmt, 'N_NH4', nutrients.N_NH4)} (${nh4Pct.toFixed(1)}%)\n`;
+      text += `  NO₃-N: ${concentrationText(fmt, 'N_NO3', nutrients.N_NO3)} (${no3Pct.toFixed(1)}%)\n\n`;
     }
 
     // Ratios
@@ -110,11 +160,13 @@
     const { tankA, tankB, volume, mode } = data;
     const pLabel = mode === 'elemental' ? 'P' : 'P₂O₅';
     const kLabel = mode === 'elemental' ? 'K' : 'K₂O';
+    const pKey = mode === 'elemental' ? 'P' : 'P2O5';
+    const kKey = mode === 'elemental' ? 'K' : 'K2O';
 
     let text = '═══════════════════════════════════════════\n';
     text += '       TWO-TANK STOCK SOLUTION SYSTEM\n';
     text += '═══════════════════════════════════════════\n';
-    text += `Volume: ${volume}L per tank\n\n`;
+    text += `Volume: ${volumeText(fmt, volume)} per tank\n\n`;
 
     // Tank A
     text += this.buildTankCopyText(tankA, 'A', mode, fertilizers, fmt);
@@ -142,22 +194,22 @@
 
     text += 'PPM Values:\n';
     text += '───────────────────────────────────────────\n';
-    text += `  ${fmt.t('nitrogen').padEnd(16)} ${fmt.formatNumber(combinedNutrients.N_total.toFixed(2))} ppm\n`;
+    text += `  ${fmt.t('nitrogen').padEnd(16)} ${concentrationText(fmt, 'N_total', combinedNutrients.N_total)}\n`;
     const pVal = mode === 'elemental' ? combinedNutrients.P : combinedNutrients.P2O5;
     const kVal = mode === 'elemental' ? combinedNutrients.K : combinedNutrients.K2O;
-    text += `  ${pLabel.padEnd(16)} ${fmt.formatNumber(pVal.toFixed(2))} ppm\n`;
-    text += `  ${kLabel.padEnd(16)} ${fmt.formatNumber(kVal.toFixed(2))} ppm\n`;
-    text += `  ${fmt.t('calcium').padEnd(16)} ${fmt.formatNumber(combinedNutrients.Ca.toFixed(2))} ppm\n`;
-    text += `  ${fmt.t('magnesium').padEnd(16)} ${fmt.formatNumber(combinedNutrients.Mg.toFixed(2))} ppm\n`;
-    text += `  ${fmt.t('sulfur').padEnd(16)} ${fmt.formatNumber(combinedNutrients.S.toFixed(2))} ppm\n\n`;
+    text += `  ${pLabel.padEnd(16)} ${concentrationText(fmt, pKey, pVal)}\n`;
+    text += `  ${kLabel.padEnd(16)} ${concentrationText(fmt, kKey, kVal)}\n`;
+    text += `  ${fmt.t('calcium').padEnd(16)} ${concentrationText(fmt, 'Ca', combinedNutrients.Ca)}\n`;
+    text += `  ${fmt.t('magnesium').padEnd(16)} ${concentrationText(fmt, 'Mg', combinedNutrients.Mg)}\n`;
+    text += `  ${fmt.t('sulfur').padEnd(16)} ${concentrationText(fmt, 'S', combinedNutrients.S)}\n\n`;
 
     // Nitrogen forms
     if (combinedNutrients.N_total > 0.1) {
       const nh4Pct = (combinedNutrients.N_NH4 / combinedNutrients.N_total * 100) || 0;
       const no3Pct = (combinedNutrients.N_NO3 / combinedNutrients.N_total * 100) || 0;
       text += 'Nitrogen Forms:\n';
-      text += `  NH₄-N: ${combinedNutrients.N_NH4.toFixed(2)} ppm (${nh4Pct.toFixed(1)}%)\n`;
-      text += `  NO₃-N: ${combinedNutrients.N_NO3.toFixed(2)} ppm (${no3Pct.toFixed(1)}%)\n\n`;
+      text += `  NH₄-N: ${concentrationText(fmt, 'N_NH4', combinedNutrients.N_NH4)} (${nh4Pct.toFixed(1)}%)\n`;
+      text += `  NO₃-N: ${concentrationText(fmt, 'N_NO3', combinedNutrients.N_NO3)} (${no3Pct.toFixed(1)}%)\n\n`;
     }
 
     // Combined ratios
@@ -193,9 +245,9 @@
     text += `━━━━━━━━━━━━━━━━━━━━━\n\n`;
 
     // Fertilizers used
-    text += `*${fmt.t('shareFertilizersUsed')}* ${fmt.t('shareSolutionVolume', {volume: fmt.formatNumber(volume)})}\n`;
+    text += `*${fmt.t('shareFertilizersUsed')}* ${shareVolume(fmt, 'shareSolutionVolume', volume)}\n`;
     activeFertilizers.forEach(fert => {
-      text += `• ${fert.name}: *${fmt.formatNumber(fert.grams.toFixed(2))}g*\n`;
+      text += `• ${fert.name}: *${fmt.formatMass ? fmt.formatMass(fert.grams) : fmt.formatNumber(fert.grams.toFixed(2)) + 'g'}*\n`;
     });
     text += `\n`;
 
@@ -223,7 +275,7 @@
     displayOrder.forEach(item => {
       if (results[item.key] !== undefined && results[item.key] > 0.01) {
         const label = fmt.formatNutrientLabel(item.labelKey);
-        text += `• ${label}: *${fmt.formatNumber(results[item.key].toFixed(2))} ppm*\n`;
+        text += `• ${label}: *${concentrationText(fmt, item.key, results[item.key])}*\n`;
       }
     });
     text += `\n`;
@@ -268,27 +320,37 @@
    * @returns {string} Formatted text for clipboard
    */
   window.FertilizerCore.buildFormulaCopyText = function(data, fertilizers, ionBalance, fmt) {
-    const { result, targets, volume, mode } = data;
+    const { result, targets, volume, mode, ionUnit = null } = data;
+    // Targets entered as ions (mmol/L, meq/L) are listed and reported as those ions
+    const ionOrder = ionUnit ? [...window.FertilizerCore.ION_TARGETS, { key: 'Si', label: 'Si' }] : null;
 
     let text = `*${fmt.t('shareFormulaBuilderTitle')}*\n`;
     text += `━━━━━━━━━━━━━━━━━━━━━\n\n`;
 
     // Target values
-    text += `*${fmt.t('shareTargetPpmValues')}*\n`;
-    const targetLabels = mode === 'elemental'
-      ? { N: 'N', P: 'P', K: 'K', Ca: 'Ca', Mg: 'Mg', S: 'S' }
-      : { N: 'N', P: 'P₂O₅', K: 'K₂O', Ca: 'Ca', Mg: 'Mg', S: 'S' };
-
-    Object.entries(targets).forEach(([key, value]) => {
-      if (value > 0) {
-        const label = targetLabels[key] || key;
-        text += `${fmt.t('shareLabelValuePpm', {label: label, value: fmt.formatNumber(value)})}\n`;
-      }
-    });
+    text += `*${fmt.t(ionUnit ? 'shareTargetValues' : 'shareTargetPpmValues')}*\n`;
+    if (ionOrder) {
+      ionOrder.forEach(({ key, label }) => {
+        if ((targets[key] || 0) > 0) {
+          text += `${shareConcentrationLine(fmt, label, key, targets[key], 2, key === 'Si' ? null : ionUnit)}\n`;
+        }
+      });
+    } else {
+      const targetLabels = mode === 'elemental'
+        ? { N: 'N', P: 'P', K: 'K', Ca: 'Ca', Mg: 'Mg', S: 'S' }
+        : { N: 'N', P: 'P₂O₅', K: 'K₂O', Ca: 'Ca', Mg: 'Mg', S: 'S' };
+
+      Object.entries(targets).forEach(([key, value]) => {
+        if (value > 0) {
+          const label = targetLabels[key] || key;
+          text += `${shareConcentrationLine(fmt, label, targetNutrientKey(key, mode), value, null)}\n`;
+        }
+      });
+    }
     text += `\n`;
 
     // Fertilizers to add
-    text += `*${fmt.t('shareFertilizersToAddVolume', {volume: fmt.formatNumber(volume)})}*\n`;
+    text += `*${shareVolume(fmt, 'shareFertilizersToAddVolume', volume)}*\n`;
     const activeFertilizers = Object.entries(result.formula)
       .filter(([, grams]) => grams > 0.01)
       .map(([id, grams]) => {
@@ -300,14 +362,14 @@
       text += `_${fmt.t('shareNoSuitableFormula')}_\n`;
     } else {
       activeFertilizers.forEach(fert => {
-        text += `${fmt.t('shareFertilizerGrams', {name: fert.name, grams: fmt.formatNumber(fert.grams.toFixed(2))})}\n`;
+        text += `${shareFertilizerLine(fmt, fert.name, fert.grams)}\n`;
       });
     }
     text += `\n`;
 
     // Achieved values
-    text += `*${fmt.t('shareAchievedPpm')}*\n`;
-    const achievedOrder = mode === 'elemental'
+    text += `*${fmt.t(ionUnit ? 'shareAchievedValues' : 'shareAchievedPpm')}*\n`;
+    const achievedOrder = ionOrder || (mode === 'elemental'
       ? [
           { key: 'N_total', label: 'N' },
           { key: 'P', label: 'P' },
@@ -325,12 +387,13 @@
           { key: 'Mg', label: 'Mg' },
           { key: 'S', label: 'S' },
           { key: 'Si', label: 'Si' }
-        ];
+        ]);
 
-    achievedOrder.forEach(item => {
+    [...achievedOrder, ...MICRO_ACHIEVED_ORDER].forEach(item => {
       const value = result.achieved[item.key];
-      if (value !== undefined && value > 0.01) {
-        text += `${fmt.t('shareLabelValuePpm', {label: item.label, value: fmt.formatNumber(value.toFixed(1))})}\n`;
+      if (value !== undefined && value > (item.digits ? 0.001 : 0.01)) {
+        const unit = ionOrder && !item.digits && item.key !== 'Si' ? ionUnit : null;
+        text += `${shareConcentrationLine(fmt, item.label, item.key, value, item.digits || (unit ? 2 : 1), unit)}\n`;
       }
     });
     text += `\n`;
@@ -380,7 +443,7 @@
     text += `${fmt.t('shareRatioValue', {ratio: targetParts.join(' : ')})}\n\n`;
 
     // Fertilizers to add
-    text += `*${fmt.t('shareFertilizersToAddVolume', {volume: fmt.formatNumber(volume)})}*\n`;
+    text += `*${shareVolume(fmt, 'shareFertilizersToAddVolume', volume)}*\n`;
     const activeFertilizers = Object.entries(result.formula)
       .filter(([, grams]) => grams > 0.01)
       .map(([id, grams]) => {
@@ -392,7 +455,7 @@
       text += `_${fmt.t('shareNoSuitableFormula')}_\n`;
     } else {
       activeFertilizers.forEach(fert => {
-        text += `${fmt.t('shareFertilizerGrams', {name: fert.name, grams: fmt.formatNumber(fert.grams.toFixed(2))})}\n`;
+        text += `${shareFertilizerLine(fmt, fert.name, fert.grams)}\n`;
       });
     }
     text += `\n`;
@@ -419,10 +482,10 @@
           { key: 'Si', label: 'Si' }
         ];
 
-    achievedOrder.forEach(item => {
+    [...achievedOrder, ...MICRO_ACHIEVED_ORDER].forEach(item => {
       const value = result.achieved[item.key];
-      if (value !== undefined && value > 0.01) {
-        text += `${fmt.t('shareLabelValuePpm', {label: item.label, value: fmt.formatNumber(value.toFixed(1))})}\n`;
+      if (value !== undefined && value > (item.digits ? 0.001 : 0.01)) {
+        text += `${shareConcentrationLine(fmt, item.label, item.key, value, item.digits || 1)}\n`;
       }
     });
     text += `\n`;
@@ -18,6 +18,23 @@ window.FertilizerCore = window.FertilizerCore || {};
 // Cache the HiGHS solver instance to avoid re-downloading the WASM file on every calculation
 let _cachedHighsInstance = null;
 let _highsLoadingPromise = null;
+// Optional replacement for the script-tag loader below (Node build, custom WASM location)
+let _highsLoader = null;
+
+/**
+ * Replace how the HiGHS instance is created. The default loader uses the highs.js script
+ * on the page and finds highs.wasm next to it; Node has neither (see scripts/node).
+ * @param {Function|null} loader - (onProgress) => Promise<HiGHS instance>; null restores the default
+ * @returns {Function|null} The previous loader, so it can be put back
+ */
+window.FertilizerCore.setHighsLoader = function(loader) {
+  const previous = _highsLoader;
+  _highsLoader = loader;
+  _cachedHighsInstance = null;
+  _highsLoadingPromise = null;
+  _failedMilpBackends.delete('highs');
+  return previous;
+};
 
 /**
  * Get or initialize the HiGHS solver instance (with caching)
@@ -37,7 +54,7 @@ window.FertilizerCore.getHighsInstance = async function(onProgress) {
 
   // Start loading
   const highsFactory = window.highs || window.Module;
-  if (typeof highsFactory !== 'function') {
+  if (!_highsLoader && typeof highsFactory !== 'function') {
     throw new Error('HiGHS solver not available');
   }
 
@@ -48,6 +65,11 @@ window.FertilizerCore.getHighsInstance = async function(onProgress) {
 
   // Determine base path for WASM file - handle both file:// and http(s):// protocols
   const getWasmPath = (filename) => {
+    // Inside the solver worker (scripts/fertilizer-worker.js) there is no document;
+    // the vendor folder sits next to the scripts folder
+    if (typeof document === 'undefined') {
+      return new URL(`../assets/vendor/highs/${filename}`, self.location.href).href;
+    }
     // Try to find the highs.js script and get its directory
     const scripts = document.getElementsByTagName('script');
     for (const script of scripts) {
@@ -59,9 +81,11 @@ window.FertilizerCore.getHighsInstance = async function(onProgress) {
     return `/assets/vendor/highs/${filename}`;
   };
 
-  _highsLoadingPromise = highsFactory({
-    locateFile: (f) => getWasmPath(f)
-  }).then(instance => {
+  const loading = _highsLoader
+    ? Promise.resolve().then(() => _highsLoader(onProgress))
+    : highsFactory({ locateFile: (f) => getWasmPath(f) });
+
+  _highsLoadingPromise = loading.then(instance => {
     _cachedHighsInstance = instance;
     _highsLoadingPromise = null;
     if (onProgress) {
@@ -77,11 +101,11 @@ window.FertilizerCore.getHighsInstance = async function(onProgress) {
 };
 
 /**
- * Check if HiGHS solver is already loaded (cached)
+ * Check if HiGHS solver is already loaded (cached here or in the solver worker)
  * @returns {boolean}
  */
 window.FertilizerCore.isHighsLoaded = function() {
-  return _cachedHighsInstance !== null;
+  return _cachedHighsInstance !== null || _solverWorkerHighsReady;
 };
 
 /**
@@ -100,6 +124,284 @@ window.FertilizerCore.preloadHighsSolver = async function(onProgress) {
   }
 };
 
+// =============================================================================
+// MILP SOLVER BACKENDS
+// =============================================================================
+// HiGHS is the primary backend. When it cannot load or crashes (old Safari, WASM blocked
+// by policy, out of memory) the same lp-model is handed to GLPK. solveMilpBrowser falls
+// back to least squares + pruning when neither backend works.
+const MILP_BACKENDS = ['highs', 'glpk'];
+// A backend that could not load or whose WASM crashed stays skipped for the session: a
+// crashed instance is unusable, and retrying a failed download on every solve of a recipe
+// would stall each calculation. A model it cannot solve (status, parse error) only fails
+// that solve.
+const _failedMilpBackends = new Set();
+let _cachedGlpkInstance = null;
+let _glpkLoader = null;
+
+/**
+ * Replace how the GLPK instance is created (the default only works in the solver worker)
+ * @param {Function|null} loader - () => GLPK instance; null restores the default
+ * @returns {Function|null} The previous loader, so it can be put back
+ */
+window.FertilizerCore.setGlpkLoader = function(loader) {
+  const previous = _glpkLoader;
+  _glpkLoader = loader;
+  _cachedGlpkInstance = null;
+  _failedMilpBackends.delete('glpk');
+  return previous;
+};
+
+/**
+ * Get or initialize the GLPK solver instance (glpk.js in assets/vendor/glpk)
+ * The vendored file is the CommonJS build and compiles its WASM synchronously, which browsers
+ * only allow off the main thread, so GLPK is available inside the solver worker only.
+ * @returns {Object} The GLPK instance
+ */
+window.FertilizerCore.getGlpkInstance = function() {
+  if (_cachedGlpkInstance) {
+    return _cachedGlpkInstance;
+  }
+  if (_glpkLoader) {
+    _cachedGlpkInstance = _glpkLoader();
+    return _cachedGlpkInstance;
+  }
+  if (typeof importScripts !== 'function' || typeof document !== 'undefined') {
+    throw new Error('GLPK solver is only available in the solver worker');
+  }
+
+  const scriptUrl = new URL('../assets/vendor/glpk/glpk.min.js', self.location.href).href;
+  // The build exports its factory on module.exports and locates glpk.wasm next to __filename
+  self.module = { exports: {} };
+  self.__filename = scriptUrl;
+  try {
+    importScripts(scriptUrl);
+    _cachedGlpkInstance = self.module.exports();
+  } finally {
+    delete self.module;
+    delete self.__filename;
+  }
+  return _cachedGlpkInstance;
+};
+
+// Flag an error that leaves its backend unusable for the rest of the session
+function markBackendUnusable(err) {
+  err.backendUnusable = true;
+  return err;
+}
+
+// Emscripten aborts and WASM traps surface as RuntimeError (compared by name: the
+// instance may come from another realm, e.g. the Node build's vm context)
+function isWasmCrash(err) {
+  return Boolean(err) && err.name === 'RuntimeError';
+}
+
+async function solveLpModelWithHighs(model, onProgress) {
+  let highs;
+  try {
+    highs = await window.FertilizerCore.getHighsInstance(onProgress);
+  } catch (err) {
+    throw markBackendUnusable(err);
+  }
+  if (onProgress) onProgress('solving');
+  let solution;
+  try {
+    solution = highs.solve(model.toLPFormat());
+  } catch (err) {
+    throw isWasmCrash(err) ? markBackendUnusable(err) : err;
+  }
+  if (!solution || !solution.Columns) throw new Error('HiGHS returned no solution');
+
+  const values = {};
+  Object.entries(solution.Columns).forEach(([name, col]) => {
+    values[name] = typeof col.Primal === 'number' ? col.Primal : 0;
+  });
+  return values;
+}
+
+function solveLpModelWithGlpk(model, onProgress) {
+  let glpk;
+  try {
+    glpk = window.FertilizerCore.getGlpkInstance();
+  } catch (err) {
+    throw markBackendUnusable(err);
+  }
+  if (onProgress) onProgress('solving');
+  const lp = model.toGLPKFormat();
+  // lp-model exports '=' rows as double-bounded [0, 0]; GLPK needs them fixed at the rhs
+  model.constraints.forEach((constr, i) => {
+    if (constr.comparison === '=') {
+      lp.subjectTo[i].bnds = { type: glpk.GLP_FX, lb: constr.rhs, ub: constr.rhs };
+    }
+  });
+
+  let result;
+  try {
+    ({ result } = glpk.solve(lp, { msglev: glpk.GLP_MSG_OFF }));
+  } catch (err) {
+    throw isWasmCrash(err) ? markBackendUnusable(err) : err;
+  }
+  if (result.status !== glpk.GLP_OPT && result.status !== glpk.GLP_FEAS) {
+    throw new Error(`GLPK returned status ${result.status}`);
+  }
+  return result.vars;
+}
+
+/**
+ * Solve an lp-model Model with the first MILP backend that works (HiGHS, then GLPK).
+ * A backend that fails to load or crashes is skipped from then on; one that only fails
+ * this model (status, parse error) is tried again on the next solve.
+ * @param {Object} model - lp-model Model
+ * @param {Function} onProgress - Optional callback for progress updates: (status: string) => void
+ * @returns {Promise<Object>} { backend: 'highs' | 'glpk', values: { variableName: value } }
+ * @throws {Error} When every backend fails; the message lists each backend's error
+ */
+window.FertilizerCore.solveLpModel = async function(model, onProgress) {
+  const errors = [];
+  for (const backend of MILP_BACKENDS) {
+    if (_failedMilpBackends.has(backend)) {
+      errors.push(`${backend}: failed earlier`);
+      continue;
+    }
+    try {
+      const values = backend === 'highs'
+        ? await solveLpModelWithHighs(model, onProgress)
+        : solveLpModelWithGlpk(model, onProgress);
+      return { backend, values };
+    } catch (err) {
+      console.warn(`MILP backend ${backend} failed:`, err);
+      if (err && err.backendUnusable) _failedMilpBackends.add(backend);
+      errors.push(`${backend}: ${err.message || err}`);
+    }
+  }
+  throw new Error(`No MILP solver available (${errors.join('; ')})`);
+};
+
+/**
+ * Is lp-model loaded? solveLpModel, the MILP formula builder and the LP dosing solver need it.
+ * @returns {boolean}
+ */
+window.FertilizerCore.hasLpModel = function() {
+  return Boolean(window.LPModel);
+};
+
+// =============================================================================
+// SOLVER WORKER
+// =============================================================================
+// optimizeFormula and calculateStockSolutions can run many MILP solves. They run in
+// scripts/fertilizer-worker.js so the page stays responsive; the worker keeps its own
+// cached HiGHS instance. Cancelling terminates the worker, a new one starts on the next run.
+let _solverWorker = null;
+let _solverWorkerHighsReady = false;
+let _solverTaskId = 0;
+const _solverTasks = new Map();
+
+// Methods the worker accepts (the last argument is the method's options object)
+const SOLVER_WORKER_METHODS = ['optimizeFormula', 'calculateStockSolutions', 'calculateStockSolutionsModeA'];
+
+function getSolverWorker() {
+  if (_solverWorker) return _solverWorker;
+
+  const getWorkerPath = () => {
+    const scripts = document.getElementsByTagName('script');
+    for (const script of scripts) {
+      if (script.src && script.src.includes('fertilizer-core.js')) {
+        return script.src.replace('fertilizer-core.js', 'fertilizer-worker.js');
+      }
+    }
+    return '/scripts/fertilizer-worker.js';
+  };
+
+  _solverWorker = new Worker(getWorkerPath());
+  _solverWorker.onmessage = (event) => {
+    const { id, type, status, detail, msg, level, result, error } = event.data;
+    if (type === 'progress' && status === 'ready') _solverWorkerHighsReady = true;
+    const task = _solverTasks.get(id);
+    if (!task) return;
+
+    if (type === 'progress') {
+      if (task.onProgress) task.onProgress(status, detail);
+    } else if (type === 'log') {
+      if (window.addDevLog) window.addDevLog(msg, level);
+    } else if (type === 'result') {
+      _solverTasks.delete(id);
+      task.resolve(result);
+    } else if (type === 'error') {
+      _solverTasks.delete(id);
+      task.reject(new Error(error));
+    }
+  };
+  _solverWorker.onerror = (event) => {
+    // A worker that fails to start or crashes fails every pending run
+    const err = new Error(event.message || 'Solver worker failed');
+    _solverTasks.forEach(task => task.reject(err));
+    _solverTasks.clear();
+    _solverWorker = null;
+    _solverWorkerHighsReady = false;
+  };
+  return _solverWorker;
+}
+
+/**
+ * Run a solver method off the main thread
+ * @param {string} method - 'optimizeFormula', 'calculateStockSolutions' or 'calculateStockSolutionsModeA'
+ * @param {Array} args - Method arguments; the last one is its options object
+ * @param {Object} handlers - {onProgress: (status, detail) => void}
+ *   Statuses: 'downloading' / 'ready' (HiGHS WASM), 'solving' (one per MILP solve),
+ *   'tanks' (stock solutions: detail = {numTanks, percent})
+ * @returns {Object} {promise, cancel} - after cancel() the promise rejects with error.cancelled = true
+ */
+window.FertilizerCore.runSolverTask = function(method, args, { onProgress } = {}) {
+  if (!SOLVER_WORKER_METHODS.includes(method)) {
+    throw new Error(`Unknown solver method: ${method}`);
+  }
+
+  const cancelledError = () => {
+    const err = new Error('Solver run cancelled');
+    err.cancelled = true;
+    return err;
+  };
+
+  // Workers cannot be started from file:// pages - solve in place (cancel only stops waiting)
+  if (typeof Worker === 'undefined' || location.protocol === 'file:') {
+    let rejectRun;
+    const cancelled = new Promise((resolve, reject) => { rejectRun = reject; });
+    const options = { ...(args[args.length - 1] || {}), onProgress };
+    const run = window.FertilizerCore[method](...args.slice(0, -1), options);
+    return {
+      promise: Promise.race([run, cancelled]),
+      cancel: () => rejectRun(cancelledError())
+    };
+  }
+
+  const id = ++_solverTaskId;
+  const promise = new Promise((resolve, reject) => {
+    _solverTasks.set(id, { resolve, reject, onProgress });
+  });
+  // Round-trip through JSON: Vue reactive proxies cannot be posted to a worker
+  getSolverWorker().postMessage({
+    id,
+    method,
+    args: JSON.parse(JSON.stringify(args)),
+    customFertilizers: _registeredCustomFertilizerDefs,
+    ecModel: _activeECModel,
+    ecModelType: _activeECModelType
+  });
+
+  const cancel = () => {
+    if (!_solverTasks.has(id)) return;
+    // Terminating is the only way to stop a running HiGHS solve; other runs on this worker fail too
+    const tasks = [..._solverTasks.values()];
+    _solverTasks.clear();
+    if (_solverWorker) _solverWorker.terminate();
+    _solverWorker = null;
+    _solverWorkerHighsReady = false;
+    tasks.forEach(task => task.reject(cancelledError()));
+  };
+
+  return { promise, cancel };
+};
+
 // =============================================================================
 // DATA (loaded from fertilizer-data.js)
 // =============================================================================
@@ -163,7 +465,986 @@ window.FertilizerCore.hasIncompatibleFertilizers = function(formula) {
     if (window.FertilizerCore.hasSilicateContent(fertId)) hasSilicate = true;
   });
 
-  return hasCalcium && (hasSulfate || hasPhosphate || hasSilicate);
+  return hasCalcium && (hasSulfate || hasPhosphate || hasSilicate);
+};
+
+// =============================================================================
+// UNITS
+// =============================================================================
+// All calculations run in liters, grams and ppm (mg/L). Other units only apply
+// where values are entered or shown, so results, recipes and shared URLs are
+// the same whatever units a user prefers.
+
+// Liters per volume unit (US gallon)
+window.FertilizerCore.VOLUME_UNITS = { L: 1, gal: 3.785411784 };
+
+// Grams per mass unit (avoirdupois ounce and pound)
+window.FertilizerCore.MASS_UNITS = { g: 1, kg: 1000, oz: 28.349523125, lb: 453.59237 };
+
+window.FertilizerCore.CONCENTRATION_UNITS = ['ppm', 'mmol', 'meq'];
+
+window.FertilizerCore.DEFAULT_UNITS = { volume: 'L', mass: 'g', concentration: 'ppm' };
+
+window.FertilizerCore.UNIT_STORAGE_KEY = 'fertilizerCalculatorUnits';
+
+// How each nutrient key counts in mmol/L and meq/L: molar mass of the element the ppm
+// value is expressed as, and the charge of the ion it is present as in solution
+// (charge 0 = uncharged, so no meq/L). Oxide keys (P2O5, K2O, ...) stay in ppm.
+window.FertilizerCore.NUTRIENT_ION_BASIS = {
+  N_total: { molarMass: 14.007, charge: 1 },
+  N_NO3: { molarMass: 14.007, charge: 1 },
+  N_NH4: { molarMass: 14.007, charge: 1 },
+  N_Urea: { molarMass: 14.007, charge: 0 },
+  P: { molarMass: 30.974, charge: 1 },      // H2PO4-
+  K: { molarMass: 39.098, charge: 1 },
+  Ca: { molarMass: 40.078, charge: 2 },
+  Mg: { molarMass: 24.305, charge: 2 },
+  S: { molarMass: 32.065, charge: 2 },      // SO4 2-
+  Si: { molarMass: 28.086, charge: 0 },     // silicic acid
+  Fe: { molarMass: 55.845, charge: 2 },
+  Mn: { molarMass: 54.938, charge: 2 },
+  Zn: { molarMass: 65.38, charge: 2 },
+  Cu: { molarMass: 63.546, charge: 2 },
+  B: { molarMass: 10.811, charge: 0 },      // boric acid
+  Mo: { molarMass: 95.95, charge: 2 },      // MoO4 2-
+  Na: { molarMass: 22.99, charge: 1 },
+  Cl: { molarMass: 35.453, charge: 1 },
+  HCO3: { molarMass: 61.017, charge: 1 }
+};
+
+/**
+ * Fill in missing or unknown unit choices with the defaults
+ * @param {Object} units - { volume, mass, concentration }
+ * @returns {Object} Valid unit choices
+ */
+window.FertilizerCore.normalizeUnits = function(units) {
+  const core = window.FertilizerCore;
+  const chosen = units || {};
+  return {
+    volume: core.VOLUME_UNITS[chosen.volume] ? chosen.volume : core.DEFAULT_UNITS.volume,
+    mass: core.MASS_UNITS[chosen.mass] ? chosen.mass : core.DEFAULT_UNITS.mass,
+    concentration: core.CONCENTRATION_UNITS.includes(chosen.concentration) ? chosen.concentration : core.DEFAULT_UNITS.concentration
+  };
+};
+
+/**
+ * Convert a volume between units
+ * @param {number} value - Volume in `from` units
+ * @param {string} from - Key of VOLUME_UNITS
+ * @param {string} to - Key of VOLUME_UNITS
+ * @returns {number} Volume in `to` units
+ */
+window.FertilizerCore.convertVolume = function(value, from, to) {
+  const units = window.FertilizerCore.VOLUME_UNITS;
+  return value * units[from] / units[to];
+};
+
+/**
+ * Convert a mass between units
+ * @param {number} value - Mass in `from` units
+ * @param {string} from - Key of MASS_UNITS
+ * @param {string} to - Key of MASS_UNITS
+ * @returns {number} Mass in `to` units
+ */
+window.FertilizerCore.convertMass = function(value, from, to) {
+  const units = window.FertilizerCore.MASS_UNITS;
+  return value * units[from] / units[to];
+};
+
+/**
+ * Express a nutrient concentration in another unit
+ * @param {string} key - Nutrient key (N_NO3, K, Ca, ...)
+ * @param {number} ppm - Concentration in ppm (mg/L)
+ * @param {string} unit - 'ppm', 'mmol' (mmol/L) or 'meq' (meq/L)
+ * @returns {number|null} Value in `unit`, or null when the nutrient has no such form (oxides, meq of uncharged species)
+ */
+window.FertilizerCore.ppmToConcentration = function(key, ppm, unit) {
+  if (unit === 'ppm') return ppm;
+  const basis = window.FertilizerCore.NUTRIENT_ION_BASIS[key];
+  if (!basis || (unit === 'meq' && !basis.charge)) return null;
+  const mmol = ppm / basis.molarMass;
+  return unit === 'meq' ? mmol * basis.charge : mmol;
+};
+
+/**
+ * Convert a nutrient concentration back to ppm (inverse of ppmToConcentration)
+ * @param {string} key - Nutrient key
+ * @param {number} value - Concentration in `unit`
+ * @param {string} unit - 'ppm', 'mmol' or 'meq'
+ * @returns {number|null} ppm, or null when the nutrient has no such form
+ */
+window.FertilizerCore.concentrationToPpm = function(key, value, unit) {
+  if (unit === 'ppm') return value;
+  const basis = window.FertilizerCore.NUTRIENT_ION_BASIS[key];
+  if (!basis || (unit === 'meq' && !basis.charge)) return null;
+  const mmol = unit === 'meq' ? value / basis.charge : value;
+  return mmol * basis.molarMass;
+};
+
+/**
+ * Load the preferred units from localStorage
+ * @returns {Object} { volume, mass, concentration } (defaults when nothing is saved)
+ */
+window.FertilizerCore.loadUnitPreferences = function() {
+  try {
+    return window.FertilizerCore.normalizeUnits(JSON.parse(localStorage.getItem(window.FertilizerCore.UNIT_STORAGE_KEY) || 'null'));
+  } catch (e) {
+    console.warn('Could not load unit preferences:', e);
+    return { ...window.FertilizerCore.DEFAULT_UNITS };
+  }
+};
+
+/**
+ * Save the preferred units to localStorage
+ * @param {Object} units - { volume, mass, concentration }
+ * @returns {boolean} false if storage is unavailable or full
+ */
+window.FertilizerCore.saveUnitPreferences = function(units) {
+  try {
+    localStorage.setItem(window.FertilizerCore.UNIT_STORAGE_KEY, JSON.stringify(window.FertilizerCore.normalizeUnits(units)));
+    return true;
+  } catch (e) {
+    console.warn('Could not save unit preferences:', e);
+    return false;
+  }
+};
+
+// =============================================================================
+// ION TARGETS (mmol/L, meq/L)
+// =============================================================================
+// Greenhouse schemes (Sonneveld & Voogt) list the ions of a nutrient solution in mmol/L.
+// Each ion carries one atom of the element its nutrient key is expressed as, so
+// ppmToConcentration(key, ppm, 'mmol') is directly the ion concentration.
+
+window.FertilizerCore.ION_TARGETS = [
+  { ion: 'NO3', key: 'N_NO3', label: 'NO₃⁻' },
+  { ion: 'NH4', key: 'N_NH4', label: 'NH₄⁺' },
+  { ion: 'H2PO4', key: 'P', label: 'H₂PO₄⁻' },
+  { ion: 'K', key: 'K', label: 'K⁺' },
+  { ion: 'Ca', key: 'Ca', label: 'Ca²⁺' },
+  { ion: 'Mg', key: 'Mg', label: 'Mg²⁺' },
+  { ion: 'SO4', key: 'S', label: 'SO₄²⁻' }
+];
+
+/**
+ * Convert ion targets to the elemental ppm targets optimizeFormula takes (useAbsoluteTargets)
+ * @param {Object} ionTargets - { NO3, NH4, H2PO4, K, Ca, Mg, SO4 } in `unit` (blank = 0)
+ * @param {string} unit - 'mmol' or 'meq'
+ * @returns {Object} { N, N_NO3, N_NH4, P, K, Ca, Mg, S } in ppm; N is nitrate + ammonium N
+ */
+window.FertilizerCore.ionTargetsToPpm = function(ionTargets, unit) {
+  const ppm = {};
+  window.FertilizerCore.ION_TARGETS.forEach(({ ion, key }) => {
+    const value = parseFloat(ionTargets[ion]) || 0;
+    ppm[key] = value > 0 ? window.FertilizerCore.concentrationToPpm(key, value, unit) : 0;
+  });
+  return { N: ppm.N_NO3 + ppm.N_NH4, ...ppm };
+};
+
+/**
+ * Express achieved ppm as the same ions (for reporting an ion-target recipe)
+ * @param {Object} achieved - Elemental ppm (N_NO3, N_NH4, P, K, Ca, Mg, S)
+ * @param {string} unit - 'mmol' or 'meq'
+ * @returns {Object} { NO3, NH4, H2PO4, K, Ca, Mg, SO4 } in `unit`
+ */
+window.FertilizerCore.ppmToIonTargets = function(achieved, unit) {
+  const ions = {};
+  window.FertilizerCore.ION_TARGETS.forEach(({ ion, key }) => {
+    ions[ion] = window.FertilizerCore.ppmToConcentration(key, achieved[key] || 0, unit);
+  });
+  return ions;
+};
+
+// =============================================================================
+// SOURCE WATER
+// =============================================================================
+// A water analysis is treated as a baseline that is already in the tank before
+// any fertilizer goes in. It is stored as a ppm object using the same keys as the
+// calculator results (Ca, Mg, K, Na, N_NO3, N_NH4, Cl, S, P, HCO3, Fe, B, ...).
+
+/**
+ * Normalize a water analysis into a clean ppm object
+ * @param {Object} analysis - Values keyed by SOURCE_WATER_IONS / SOURCE_WATER_TRACE_KEYS
+ * @param {string} unit - 'ppm' (mg/L) or 'meq' (meq/L). Trace elements are always ppm.
+ * @returns {Object} ppm values (only positive entries are kept)
+ */
+window.FertilizerCore.normalizeWaterAnalysis = function(analysis, unit = 'ppm') {
+  const waterPpm = {};
+  if (!analysis) return waterPpm;
+
+  window.FertilizerCore.SOURCE_WATER_IONS.forEach(({ key, molarMass, charge }) => {
+    const value = parseFloat(analysis[key]);
+    if (!(value > 0)) return;
+    waterPpm[key] = unit === 'meq' ? value * molarMass / charge : value;
+  });
+
+  window.FertilizerCore.SOURCE_WATER_TRACE_KEYS.forEach(key => {
+    const value = parseFloat(analysis[key]);
+    if (value > 0) waterPpm[key] = value;
+  });
+
+  return waterPpm;
+};
+
+/**
+ * Check if a water analysis contains anything
+ * @param {Object} waterPpm - ppm object from normalizeWaterAnalysis
+ * @returns {boolean}
+ */
+window.FertilizerCore.hasSourceWater = function(waterPpm) {
+  return !!waterPpm && Object.values(waterPpm).some(v => v > 0);
+};
+
+/**
+ * Add source water to fertilizer PPM results
+ * Keeps the derived keys (N_total, P2O5, K2O) consistent with the elemental values.
+ * @param {Object} ppmResults - PPM values from the fertilizers
+ * @param {Object} waterPpm - ppm object from normalizeWaterAnalysis
+ * @returns {Object} New results object describing the final solution
+ */
+window.FertilizerCore.addSourceWaterToPPM = function(ppmResults, waterPpm) {
+  const combined = { ...ppmResults };
+  if (!window.FertilizerCore.hasSourceWater(waterPpm)) return combined;
+
+  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
+
+  for (const [key, ppm] of Object.entries(waterPpm)) {
+    if (!(ppm > 0)) continue;
+    combined[key] = (combined[key] || 0) + ppm;
+  }
+
+  const waterN = (waterPpm.N_NO3 || 0) + (waterPpm.N_NH4 || 0);
+  if (waterN > 0) combined.N_total = (ppmResults.N_total || 0) + waterN;
+  if (waterPpm.P > 0 && ppmResults.P2O5 !== undefined) {
+    combined.P2O5 = ppmResults.P2O5 + waterPpm.P / OXIDE_CONVERSIONS.P2O5_to_P;
+  }
+  if (waterPpm.K > 0 && ppmResults.K2O !== undefined) {
+    combined.K2O = ppmResults.K2O + waterPpm.K / OXIDE_CONVERSIONS.K2O_to_K;
+  }
+
+  return combined;
+};
+
+/**
+ * Subtract source water from MILP targets (N_total, P2O5, K2O, Ca, Mg, S, Si and micronutrients)
+ * Nutrients fully covered by the water drop to 0; solveMilpBrowser keeps every nutrient that
+ * was targeted in the model with that zero upper bound, so the solver adds none.
+ * @param {Object} targets - Targets in solver form
+ * @param {Object} waterPpm - ppm object from normalizeWaterAnalysis
+ * @returns {Object} Targets the fertilizers still need to supply
+ */
+window.FertilizerCore.subtractSourceWaterFromTargets = function(targets, waterPpm) {
+  const adjusted = { ...targets };
+  if (!window.FertilizerCore.hasSourceWater(waterPpm)) return adjusted;
+
+  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
+  const waterAsTargets = {
+    N_total: (waterPpm.N_NO3 || 0) + (waterPpm.N_NH4 || 0),
+    N_NO3: waterPpm.N_NO3 || 0,
+    N_NH4: waterPpm.N_NH4 || 0,
+    P2O5: (waterPpm.P || 0) / OXIDE_CONVERSIONS.P2O5_to_P,
+    K2O: (waterPpm.K || 0) / OXIDE_CONVERSIONS.K2O_to_K,
+    Ca: waterPpm.Ca || 0,
+    Mg: waterPpm.Mg || 0,
+    S: waterPpm.S || 0,
+    Si: waterPpm.Si || 0
+  };
+  window.FertilizerCore.MICRONUTRIENT_KEYS.forEach(m => {
+    waterAsTargets[m] = waterPpm[m] || 0;
+  });
+
+  for (const [key, waterValue] of Object.entries(waterAsTargets)) {
+    if ((adjusted[key] || 0) > 0 && waterValue > 0) {
+      adjusted[key] = Math.max(0, adjusted[key] - waterValue);
+    }
+  }
+
+  return adjusted;
+};
+
+/**
+ * Convert source water to charged ions for ion balance
+ * @param {Object} waterPpm - ppm object from normalizeWaterAnalysis
+ * @returns {Array} [{ion, type, meq}] in meq/L
+ */
+window.FertilizerCore.getSourceWaterIons = function(waterPpm) {
+  if (!window.FertilizerCore.hasSourceWater(waterPpm)) return [];
+
+  return window.FertilizerCore.SOURCE_WATER_IONS
+    .filter(({ key }) => waterPpm[key] > 0)
+    .map(({ key, ion, molarMass, charge, type }) => ({
+      ion,
+      type,
+      meq: waterPpm[key] / molarMass * charge
+    }));
+};
+
+// =============================================================================
+// ACID DOSING
+// =============================================================================
+// Bicarbonate (alkalinity) is neutralised by acid: HCO₃⁻ + H⁺ → H₂CO₃ (→ CO₂ + H₂O).
+// One meq of acid removes one meq (61 mg) of HCO₃⁻. The nutrients the acid brings
+// along (N from nitric, P from phosphoric/PeKacid) end up in the solution.
+
+/**
+ * Acid strength of a fertilizer
+ * @param {string} acidId - Key of ACID_FERTILIZERS
+ * @returns {number} meq of H⁺ per gram (0 if the fertilizer is not a known acid)
+ */
+window.FertilizerCore.getAcidStrength = function(acidId) {
+  const acid = window.FertilizerCore.ACID_FERTILIZERS[acidId];
+  const fert = window.FertilizerCore.FERTILIZERS.find(f => f.id === acidId);
+  if (!acid || !fert) return 0;
+
+  let pct = fert.pct[acid.nutrient] || 0;
+  if (acid.nutrient === 'P' && !pct && fert.pct.P2O5) {
+    pct = fert.pct.P2O5 * window.FertilizerCore.OXIDE_CONVERSIONS.P2O5_to_P;
+  }
+
+  // pct% → mg per gram, / atomic mass → mmol per gram
+  return pct * 10 / acid.atomicMass * acid.protonsPerAtom;
+};
+
+/**
+ * Bicarbonate left in solution once the water is brought to a pH
+ * Uses the carbonate equilibrium HCO₃⁻ / (HCO₃⁻ + H₂CO₃) = 1 / (1 + 10^(pKa1 - pH)),
+ * assuming the dissolved CO₂ stays in solution (conservative - degassing lowers it further).
+ * @param {number} hco3Ppm - Bicarbonate before acid (ppm HCO₃⁻)
+ * @param {number} targetPH - Target pH (typically 5.5-6.5)
+ * @returns {number} Residual bicarbonate (ppm HCO₃⁻)
+ */
+window.FertilizerCore.calculateResidualBicarbonate = function(hco3Ppm, targetPH) {
+  const fraction = 1 / (1 + Math.pow(10, window.FertilizerCore.CARBONIC_ACID_PKA1 - targetPH));
+  return Math.max(0, hco3Ppm || 0) * fraction;
+};
+
+/**
+ * Bicarbonate left after adding a known amount of acid
+ * @param {number} hco3Ppm - Bicarbonate before acid (ppm HCO₃⁻)
+ * @param {number} acidMeqPerL - Acid added (meq/L)
+ * @returns {number} Residual bicarbonate (ppm HCO₃⁻)
+ */
+window.FertilizerCore.neutralizeBicarbonate = function(hco3Ppm, acidMeqPerL) {
+  return Math.max(0, (hco3Ppm || 0) - (acidMeqPerL || 0) * window.FertilizerCore.EC_ION_MOLAR_MASSES['HCO3-']);
+};
+
+/**
+ * Nutrients added to the solution by a dose of fertilizer
+ * Oxide labels (P2O5, K2O) are also reported as elemental P and K.
+ * @param {string} fertId - Fertilizer ID
+ * @param {number} gramsPerL - Dose in g/L
+ * @returns {Object} ppm contribution keyed like the calculator results
+ */
+window.FertilizerCore.getDoseContribution = function(fertId, gramsPerL) {
+  const fert = window.FertilizerCore.FERTILIZERS.find(f => f.id === fertId);
+  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
+  const contribution = {};
+  if (!fert || !(gramsPerL > 0)) return contribution;
+
+  for (const [nutrient, pct] of Object.entries(fert.pct)) {
+    contribution[nutrient] = gramsPerL * pct * 10;
+  }
+  if (contribution.P2O5) contribution.P = (contribution.P || 0) + contribution.P2O5 * OXIDE_CONVERSIONS.P2O5_to_P;
+  if (contribution.K2O) contribution.K = (contribution.K || 0) + contribution.K2O * OXIDE_CONVERSIONS.K2O_to_K;
+  if (contribution.N_NO3 || contribution.N_NH4) {
+    contribution.N_total = (contribution.N_NO3 || 0) + (contribution.N_NH4 || 0);
+  }
+
+  return contribution;
+};
+
+/**
+ * Calculate how much acid brings the water's bicarbonate down to a target
+ * @param {Object} params
+ * @param {number} params.hco3 - Bicarbonate in the water (ppm HCO₃⁻)
+ * @param {number} params.targetHCO3 - Residual bicarbonate to keep (ppm) - used when targetPH is not set
+ * @param {number} params.targetPH - Target pH (overrides targetHCO3)
+ * @param {string} params.acidId - Key of ACID_FERTILIZERS
+ * @param {number} params.volume - Batch volume in liters (default 1)
+ * @returns {Object|null} {acidId, startHCO3, residualHCO3, acidMeqPerL, gramsPerL, mlPerL, totalGrams, totalMl, contribution}
+ *   or null if acidId is not a known acid. contribution is the ppm of nutrients the acid adds.
+ */
+window.FertilizerCore.calculateAcidDose = function({ hco3, targetHCO3 = 0, targetPH = null, acidId, volume = 1 }) {
+  const strength = window.FertilizerCore.getAcidStrength(acidId);
+  if (!(strength > 0)) return null;
+
+  const HCO3_MOLAR_MASS = window.FertilizerCore.EC_ION_MOLAR_MASSES['HCO3-'];
+  const startHCO3 = Math.max(0, hco3 || 0);
+  let residualHCO3;
+  let acidMeqPerL;
+
+  if (typeof targetPH === 'number' && targetPH > 0) {
+    residualHCO3 = window.FertilizerCore.calculateResidualBicarbonate(startHCO3, targetPH);
+    // Free H⁺ needed to reach the pH itself (only matters below ~pH 4)
+    acidMeqPerL = (startHCO3 - residualHCO3) / HCO3_MOLAR_MASS + Math.pow(10, -targetPH) * 1000;
+  } else {
+    residualHCO3 = Math.min(startHCO3, Math.max(0, targetHCO3 || 0));
+    acidMeqPerL = (startHCO3 - residualHCO3) / HCO3_MOLAR_MASS;
+  }
+
+  const density = window.FertilizerCore.ACID_FERTILIZERS[acidId].density_g_mL;
+  const gramsPerL = acidMeqPerL / strength;
+  const mlPerL = density ? gramsPerL / density : null;
+
+  return {
+    acidId,
+    startHCO3,
+    residualHCO3,
+    acidMeqPerL,
+    gramsPerL,
+    mlPerL,
+    totalGrams: gramsPerL * volume,
+    totalMl: mlPerL !== null ? mlPerL * volume : null,
+    contribution: window.FertilizerCore.getDoseContribution(acidId, gramsPerL)
+  };
+};
+
+// =============================================================================
+// SOLUTION pH
+// =============================================================================
+// The pH of the final solution follows from its proton balance, counted against
+// H₂PO₄⁻, H₂CO₃ and NH₄⁺ (see PH_SHIFTING_FERTILIZERS). The net acid added must end up as
+//   [H⁺] + [H₃PO₄] − [OH⁻] − [HPO₄²⁻] − [HCO₃⁻] − [NH₃]
+// which falls steadily with pH, so the pH is found by bisection. Equilibria use Davies
+// activity coefficients at the ionic strength of the solution; dissolved CO₂ is assumed to
+// stay in solution, as in calculateResidualBicarbonate.
+
+/**
+ * Acid a dose of fertilizer adds to the proton balance
+ * @param {string} fertId - Fertilizer ID
+ * @param {number} gramsPerL - Dose in g/L
+ * @returns {Object} { acid, carbonate } in mmol/L (acid is negative for bases)
+ */
+window.FertilizerCore.getDoseProtonBalance = function(fertId, gramsPerL) {
+  const balance = { acid: 0, carbonate: 0 };
+  if (!(gramsPerL > 0)) return balance;
+
+  balance.acid = window.FertilizerCore.getAcidStrength(fertId) * gramsPerL;
+  const shift = window.FertilizerCore.PH_SHIFTING_FERTILIZERS[fertId];
+  const fert = window.FertilizerCore.FERTILIZERS.find(f => f.id === fertId);
+  if (shift && fert) {
+    let pct = fert.pct[shift.nutrient] || 0;
+    if (shift.nutrient === 'P' && !pct && fert.pct.P2O5) {
+      pct = fert.pct.P2O5 * window.FertilizerCore.OXIDE_CONVERSIONS.P2O5_to_P;
+    }
+    // pct% → mg per gram, / atomic mass → mmol per gram
+    const mmolPerL = gramsPerL * pct * 10 / shift.atomicMass;
+    balance.acid += mmolPerL * shift.protonsPerAtom;
+    balance.carbonate += mmolPerL * (shift.carbonatePerAtom || 0);
+  }
+  return balance;
+};
+
+/**
+ * Predict the pH of the final solution and the pH-dependent species at that pH
+ * @param {Object|Array} fertilizers - Either array of {id, grams} or object {fertId: grams}
+ * @param {number} volume - Solution volume in liters
+ * @param {Object} options - Optional settings
+ * @param {Object} options.sourceWater - Optional water analysis (ppm); its HCO₃⁻ is the alkalinity
+ * @returns {Object|null} { pH, netAcid, ionicStrength, phosphate, carbonate, ions } or null without
+ *   a volume. netAcid is mmol/L; phosphate {H3PO4, 'H2PO4-', 'HPO4^2-'} and carbonate {H2CO3, 'HCO3-'}
+ *   are mmol/L; ions holds the charged species (mmol/L, keyed like IONIC_MOLAR_CONDUCTIVITY) that
+ *   estimateECFromPPM and calculateIonBalanceCore take as options.speciation.
+ */
+window.FertilizerCore.predictSolutionPH = function(fertilizers, volume, options = {}) {
+  const core = window.FertilizerCore;
+  const { sourceWater = null } = options;
+  if (!(volume > 0)) return null;
+
+  const formula = {};
+  (Array.isArray(fertilizers)
+    ? fertilizers.map(fert => [fert.id, fert.grams])
+    : Object.entries(fertilizers)
+  ).forEach(([fertId, grams]) => {
+    if (grams > 0) formula[fertId] = (formula[fertId] || 0) + grams;
+  });
+
+  let netAcid = 0;
+  let carbonateTotal = 0;
+  Object.entries(formula).forEach(([fertId, grams]) => {
+    const balance = core.getDoseProtonBalance(fertId, grams / volume);
+    netAcid += balance.acid;
+    carbonateTotal += balance.carbonate;
+  });
+
+  const ppm = core.calculatePpmFromFormula(formula, volume, { sourceWater });
+  const waterHCO3 = core.hasSourceWater(sourceWater)
+    ? (sourceWater.HCO3 || 0) / core.EC_ION_MOLAR_MASSES['HCO3-']
+    : 0;
+  netAcid -= waterHCO3;
+  carbonateTotal += waterHCO3;
+
+  const ions = core.ppmToIonsForEC(ppm);
+  const phosphateTotal = ions['H2PO4-'] || 0;
+  const ammoniumTotal = ions['NH4+'] || 0;
+  ions['HCO3-'] = carbonateTotal;
+
+  const ionicStrength = Object.entries(ions)
+    .reduce((sum, [ion, c]) => sum + c / 1000 * (core.ION_CHARGES[ion] || 0) ** 2, 0) / 2;
+  const g1 = core.daviesActivityCoefficient(1, ionicStrength);
+  const g2 = core.daviesActivityCoefficient(2, ionicStrength);
+
+  const speciesAt = (pH) => {
+    const aH = Math.pow(10, -pH);
+    // Concentration ratios from the thermodynamic constants and the activity coefficients
+    const phosphoric = Math.pow(10, -core.PHOSPHATE_PKA1) / (aH * g1);          // [H2PO4⁻]/[H3PO4]
+    const hydrogenPhosphate = Math.pow(10, -core.PHOSPHATE_PKA2) * g1 / (aH * g2); // [HPO4²⁻]/[H2PO4⁻]
+    const carbonic = Math.pow(10, -core.CARBONIC_ACID_PKA1) / (aH * g1);        // [HCO3⁻]/[H2CO3]
+    const ammonia = Math.pow(10, -core.AMMONIUM_PKA) * g1 / aH;                  // [NH3]/[NH4⁺]
+
+    const h2po4 = phosphateTotal / (1 / phosphoric + 1 + hydrogenPhosphate);
+    const hco3 = carbonateTotal * carbonic / (1 + carbonic);
+    const nh3 = ammoniumTotal * ammonia / (1 + ammonia);
+    return {
+      'H+': aH / g1 * 1000,
+      'OH-': Math.pow(10, -core.WATER_PKW) / (aH * g1) * 1000,
+      H3PO4: h2po4 / phosphoric,
+      'H2PO4-': h2po4,
+      'HPO4^2-': h2po4 * hydrogenPhosphate,
+      H2CO3: carbonateTotal - hco3,
+      'HCO3-': hco3,
+      NH3: nh3,
+      'NH4+': ammoniumTotal - nh3
+    };
+  };
+  const protonExcess = (species) => species['H+'] + species.H3PO4
+    - species['OH-'] - species['HPO4^2-'] - species['HCO3-'] - species.NH3;
+
+  let low = 0;
+  let high = 14;
+  for (let iter = 0; iter < 60; iter++) {
+    const mid = (low + high) / 2;
+    if (protonExcess(speciesAt(mid)) > netAcid) low = mid;
+    else high = mid;
+  }
+  const pH = (low + high) / 2;
+  const species = speciesAt(pH);
+
+  return {
+    pH,
+    netAcid,
+    ionicStrength,
+    phosphate: { H3PO4: species.H3PO4, 'H2PO4-': species['H2PO4-'], 'HPO4^2-': species['HPO4^2-'] },
+    carbonate: { H2CO3: species.H2CO3, 'HCO3-': species['HCO3-'] },
+    ions: core.PH_DEPENDENT_IONS.reduce((acc, { ecIon }) => {
+      acc[ecIon] = species[ecIon];
+      return acc;
+    }, {})
+  };
+};
+
+/**
+ * Replace the pH-dependent ions of an ion balance with a pH prediction's species
+ * H⁺ and OH⁻ are only listed once they reach 0.01 meq/L.
+ * @param {Object} ionDetails - ionDetails of calculateIonBalanceCore (changed in place)
+ * @param {Object} speciation - Result of predictSolutionPH
+ * @returns {Object} { totalCations, totalAnions } recounted from ionDetails
+ */
+window.FertilizerCore.applySpeciationToIonBalance = function(ionDetails, speciation) {
+  window.FertilizerCore.PH_DEPENDENT_IONS.forEach(({ ecIon, ion, charge, type }) => {
+    const meq = (speciation.ions[ecIon] || 0) * charge;
+    const minor = ecIon === 'H+' || ecIon === 'OH-';
+    if (ionDetails[ion]) {
+      ionDetails[ion].meq = meq;
+    } else if (meq > (minor ? 0.01 : 0)) {
+      ionDetails[ion] = { meq, type };
+    }
+  });
+
+  let totalCations = 0;
+  let totalAnions = 0;
+  Object.values(ionDetails).forEach(({ meq, type }) => {
+    if (type === 'cation') totalCations += meq;
+    else totalAnions += meq;
+  });
+  return { totalCations, totalAnions };
+};
+
+// =============================================================================
+// CUSTOM FERTILIZERS
+// =============================================================================
+// A custom fertilizer definition is what the editor saves, shares and re-edits:
+//   { id, name, basis: 'oxide'|'elemental', analysis: {key: %}, solubility_gL,
+//     density_g_mL, ions: null | { formula, molarMass, ions: [{ion, count}] } }
+// buildCustomFertilizer turns it into a FERTILIZERS entry (pct in the same keys the
+// built-in products use) plus an ION_DATA entry. Errors are i18n keys (UI translates).
+
+/**
+ * Check whether a fertilizer id belongs to a user-defined product
+ * @param {string} fertId - Fertilizer ID
+ * @returns {boolean}
+ */
+window.FertilizerCore.isCustomFertilizer = function(fertId) {
+  return typeof fertId === 'string' && fertId.startsWith(window.FertilizerCore.CUSTOM_FERTILIZER_ID_PREFIX);
+};
+
+/**
+ * Create a unique custom fertilizer id from a product name
+ * @param {string} name - Product name
+ * @param {Array} existingIds - Ids already in use
+ * @returns {string} e.g. 'custom_local_19_19_19' or 'custom_local_19_19_19_2'
+ */
+window.FertilizerCore.createCustomFertilizerId = function(name, existingIds = []) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 30);
+  const base = window.FertilizerCore.CUSTOM_FERTILIZER_ID_PREFIX + (slug || 'fertilizer');
+  let id = base;
+  for (let n = 2; existingIds.includes(id); n++) {
+    id = `${base}_${n}`;
+  }
+  return id;
+};
+
+/**
+ * Derive ion balance data from a product's analysis (used when no ions are entered).
+ * Uses a 1 kg basis: molarMass 1000 and count = mol of each ion per kg of product.
+ * @param {Object} pct - Normalized pct object (elemental P/K are derived from P2O5/K2O)
+ * @returns {Object|null} ION_DATA entry, or null if the analysis has no charged nutrients
+ */
+window.FertilizerCore.deriveIonDataFromPct = function(pct) {
+  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
+  const elemental = {
+    ...pct,
+    P: (pct.P || 0) + (pct.P2O5 || 0) * OXIDE_CONVERSIONS.P2O5_to_P,
+    K: (pct.K || 0) + (pct.K2O || 0) * OXIDE_CONVERSIONS.K2O_to_K
+  };
+
+  const ions = [];
+  window.FertilizerCore.CUSTOM_FERTILIZER_IONS.forEach(({ ion, charge, type, basis, basisMass }) => {
+    const percent = basis ? elemental[basis] || 0 : 0;
+    if (percent > 0) {
+      ions.push({ ion, charge, type, count: (percent * 10) / basisMass });
+    }
+  });
+
+  return ions.length > 0 ? { formula: null, molarMass: 1000, ions, derived: true } : null;
+};
+
+/**
+ * Validate a custom fertilizer definition and build its FERTILIZERS / ION_DATA entries
+ * @param {Object} def - Custom fertilizer definition (see section header)
+ * @returns {Object} { fertilizer, ionData, errors } - fertilizer/ionData are null when errors is non-empty
+ */
+window.FertilizerCore.buildCustomFertilizer = function(def) {
+  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
+  const errors = [];
+  const name = String(def?.name || '').trim();
+  if (!name) errors.push('customFertErrorName');
+
+  const basis = def?.basis === 'elemental' ? 'elemental' : 'oxide';
+  const fields = window.FertilizerCore.CUSTOM_FERTILIZER_ANALYSIS_FIELDS[basis];
+  const analysis = {};
+  fields.forEach(key => {
+    const value = parseFloat(def?.analysis?.[key]);
+    if (value > 0) analysis[key] = value;
+  });
+  const totalPercent = Object.values(analysis).reduce((sum, v) => sum + v, 0);
+  if (totalPercent === 0) errors.push('customFertErrorNoNutrients');
+  if (totalPercent > 100) errors.push('customFertErrorTotalPercent');
+
+  const solubility = parseFloat(def?.solubility_gL);
+  const density = parseFloat(def?.density_g_mL);
+  if (def?.solubility_gL !== undefined && def?.solubility_gL !== null && def?.solubility_gL !== '' && !(solubility > 0)) {
+    errors.push('customFertErrorSolubility');
+  }
+  if (def?.density_g_mL !== undefined && def?.density_g_mL !== null && def?.density_g_mL !== '' && !(density > 0)) {
+    errors.push('customFertErrorDensity');
+  }
+  const solubilityCurve = window.FertilizerCore.SOLUBILITY_CURVES[def?.solubilityCurve] ? def.solubilityCurve : null;
+
+  // Same keys as the built-in products: N forms + N_total, P2O5/K2O oxides, elemental Ca/Mg/S
+  const pct = {};
+  const nTotal = (analysis.N_NO3 || 0) + (analysis.N_NH4 || 0) + (analysis.N_Urea || 0);
+  if (nTotal > 0) pct.N_total = nTotal;
+  ['N_NO3', 'N_NH4', 'N_Urea'].forEach(key => {
+    if (analysis[key]) pct[key] = analysis[key];
+  });
+  const p2o5 = basis === 'oxide' ? analysis.P2O5 : (analysis.P || 0) / OXIDE_CONVERSIONS.P2O5_to_P;
+  const k2o = basis === 'oxide' ? analysis.K2O : (analysis.K || 0) / OXIDE_CONVERSIONS.K2O_to_K;
+  const ca = basis === 'oxide' ? (analysis.CaO || 0) * OXIDE_CONVERSIONS.CaO_to_Ca : analysis.Ca;
+  const mg = basis === 'oxide' ? (analysis.MgO || 0) * OXIDE_CONVERSIONS.MgO_to_Mg : analysis.Mg;
+  const s = basis === 'oxide' ? (analysis.SO3 || 0) * OXIDE_CONVERSIONS.SO3_to_S : analysis.S;
+  if (p2o5 > 0) pct.P2O5 = p2o5;
+  if (k2o > 0) pct.K2O = k2o;
+  if (ca > 0) pct.Ca = ca;
+  if (mg > 0) pct.Mg = mg;
+  if (s > 0) pct.S = s;
+  ['Si', ...window.FertilizerCore.MICRONUTRIENT_KEYS].forEach(key => {
+    if (analysis[key]) pct[key] = analysis[key];
+  });
+
+  let ionData = null;
+  if (def?.ions) {
+    const catalog = window.FertilizerCore.CUSTOM_FERTILIZER_IONS;
+    const molarMass = parseFloat(def.ions.molarMass);
+    const ions = (def.ions.ions || [])
+      .map(({ ion, count }) => {
+        const info = catalog.find(item => item.ion === ion);
+        const n = parseFloat(count);
+        return info && n > 0 ? { ion, charge: info.charge, count: n, type: info.type } : null;
+      })
+      .filter(Boolean);
+    if (!(molarMass > 0) || ions.length === 0) {
+      errors.push('customFertErrorIons');
+    } else {
+      ionData = { formula: String(def.ions.formula || '').trim() || null, molarMass, ions };
+    }
+  } else {
+    ionData = window.FertilizerCore.deriveIonDataFromPct(pct);
+  }
+
+  if (errors.length > 0) return { fertilizer: null, ionData: null, errors };
+
+  const fertilizer = {
+    id: window.FertilizerCore.isCustomFertilizer(def.id) ? def.id : window.FertilizerCore.createCustomFertilizerId(name),
+    name,
+    aliases: [],
+    pct,
+    custom: true
+  };
+  // Without a stated solubility, getSolubility falls back to DEFAULT_SOLUBILITY_GL
+  if (solubility > 0) fertilizer.solubility_gL = solubility;
+  if (density > 0) fertilizer.density_g_mL = density;
+  // Without a curve the solubility is not adjusted for temperature (see checkTankFeasibility)
+  if (solubilityCurve) fertilizer.solubilityCurve = solubilityCurve;
+
+  return { fertilizer, ionData, errors };
+};
+
+// Definitions last registered here, passed on to the solver worker with every run
+let _registeredCustomFertilizerDefs = [];
+
+/**
+ * Replace the registered custom fertilizers with a new list.
+ * Mutates FERTILIZERS, ION_DATA and FERTILIZER_COMPATIBILITY in place so every mode
+ * (including the stock solution maker) sees them. Invalid definitions are skipped.
+ * @param {Array} defs - Custom fertilizer definitions
+ * @returns {Array} The registered fertilizer entries
+ */
+window.FertilizerCore.registerCustomFertilizers = function(defs) {
+  _registeredCustomFertilizerDefs = defs || [];
+  const FERTILIZERS = window.FertilizerCore.FERTILIZERS;
+  const ION_DATA = window.FertilizerCore.ION_DATA;
+  const compat = window.FertilizerCore.FERTILIZER_COMPATIBILITY;
+  const isCustom = window.FertilizerCore.isCustomFertilizer;
+
+  for (let i = FERTILIZERS.length - 1; i >= 0; i--) {
+    if (isCustom(FERTILIZERS[i].id)) {
+      delete ION_DATA[FERTILIZERS[i].id];
+      FERTILIZERS.splice(i, 1);
+    }
+  }
+  Object.values(compat).forEach(list => {
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (isCustom(list[i])) list.splice(i, 1);
+    }
+  });
+
+  const registered = [];
+  (defs || []).forEach(def => {
+    const { fertilizer, ionData, errors } = window.FertilizerCore.buildCustomFertilizer(def);
+    if (errors.length > 0 || FERTILIZERS.some(f => f.id === fertilizer.id)) return;
+
+    FERTILIZERS.push(fertilizer);
+    if (ionData) ION_DATA[fertilizer.id] = ionData;
+
+    // Two-tank placement follows the same precedence as getCompatibilityTag
+    const { pct } = fertilizer;
+    if (pct.Ca > 0) compat.calcium_sources.push(fertilizer.id);
+    else if (pct.P2O5 > 0) compat.phosphate_sources.push(fertilizer.id);
+    else if (pct.S > 0) compat.sulfate_sources.push(fertilizer.id);
+    else if (pct.Si > 0) compat.silicate_sources.push(fertilizer.id);
+
+    registered.push(fertilizer);
+  });
+
+  return registered;
+};
+
+/**
+ * Load saved custom fertilizer definitions from localStorage
+ * @returns {Array} Definitions (empty if none are saved or storage is unavailable)
+ */
+window.FertilizerCore.loadCustomFertilizers = function() {
+  try {
+    const saved = localStorage.getItem(window.FertilizerCore.CUSTOM_FERTILIZER_STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn('Could not load custom fertilizers:', e);
+    return [];
+  }
+};
+
+/**
+ * Save custom fertilizer definitions to localStorage
+ * @param {Array} defs - Custom fertilizer definitions
+ * @returns {boolean} false if storage is unavailable or full
+ */
+window.FertilizerCore.saveCustomFertilizers = function(defs) {
+  try {
+    localStorage.setItem(window.FertilizerCore.CUSTOM_FERTILIZER_STORAGE_KEY, JSON.stringify(defs || []));
+    return true;
+  } catch (e) {
+    console.warn('Could not save custom fertilizers:', e);
+    return false;
+  }
+};
+
+/**
+ * Encode custom fertilizer definitions for a share URL (base64url of compact JSON)
+ * @param {Array} defs - Custom fertilizer definitions
+ * @returns {string}
+ */
+window.FertilizerCore.encodeCustomFertilizers = function(defs) {
+  const compact = (defs || []).map(def => [
+    def.id,
+    def.name,
+    def.basis === 'elemental' ? 'e' : 'o',
+    def.analysis || {},
+    def.solubility_gL || 0,
+    def.density_g_mL || 0,
+    def.ions ? [def.ions.formula || '', def.ions.molarMass, (def.ions.ions || []).map(i => [i.ion, i.count])] : 0,
+    def.solubilityCurve || 0
+  ]);
+  const bytes = new TextEncoder().encode(JSON.stringify(compact));
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode custom fertilizer definitions from a share URL parameter
+ * @param {string} encoded - Output of encodeCustomFertilizers
+ * @returns {Array} Definitions (empty if the parameter is malformed)
+ */
+window.FertilizerCore.decodeCustomFertilizers = function(encoded) {
+  try {
+    const binary = atob(String(encoded).replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    const compact = JSON.parse(new TextDecoder().decode(bytes));
+    if (!Array.isArray(compact)) return [];
+    return compact
+      .filter(item => Array.isArray(item) && window.FertilizerCore.isCustomFertilizer(item[0]))
+      .map(([id, name, basis, analysis, solubility, density, ions, solubilityCurve]) => ({
+        id,
+        name,
+        basis: basis === 'e' ? 'elemental' : 'oxide',
+        analysis: analysis || {},
+        solubility_gL: solubility || null,
+        density_g_mL: density || null,
+        ions: Array.isArray(ions)
+          ? { formula: ions[0], molarMass: ions[1], ions: (ions[2] || []).map(([ion, count]) => ({ ion, count })) }
+          : null,
+        solubilityCurve: solubilityCurve || null
+      }));
+  } catch (e) {
+    // A truncated or hand-edited share link: nothing to import
+    return [];
+  }
+};
+
+// =============================================================================
+// FERTILIZER PRICES & COST
+// =============================================================================
+
+/**
+ * Convert a price entry to price per kg
+ * @param {Object} entry - {price, unit: 'kg' | 'bag', bagKg}
+ * @returns {number|null} Price per kg, or null if the entry has no usable price
+ */
+window.FertilizerCore.getPricePerKg = function(entry) {
+  const price = parseFloat(entry && entry.price);
+  if (!(price > 0)) return null;
+  if (entry.unit === 'bag') {
+    const bagKg = parseFloat(entry.bagKg) || window.FertilizerCore.DEFAULT_BAG_KG;
+    return price / bagKg;
+  }
+  return price;
+};
+
+/**
+ * Resolve saved price entries to a price-per-kg map (entries without a price are left out)
+ * @param {Object} items - { fertilizer_id: {price, unit, bagKg} }
+ * @returns {Object} { fertilizer_id: pricePerKg }
+ */
+window.FertilizerCore.resolvePricesPerKg = function(items) {
+  const prices = {};
+  Object.entries(items || {}).forEach(([fertId, entry]) => {
+    const perKg = window.FertilizerCore.getPricePerKg(entry);
+    if (perKg !== null) prices[fertId] = perKg;
+  });
+  return prices;
+};
+
+/**
+ * Cost of a recipe
+ * @param {Object} formula - { fertilizer_id: grams } for the batch
+ * @param {number} volume - Batch volume in liters
+ * @param {Object} prices - { fertilizer_id: pricePerKg }
+ * @returns {Object} {batchCost, costPer1000L, costPerKgN, nitrogenGrams, unpriced}
+ *   Costs cover the priced products only; unpriced lists the ids that were left out.
+ *   costPerKgN is null when the recipe supplies no nitrogen.
+ */
+window.FertilizerCore.calculateFormulaCost = function(formula, volume, prices) {
+  let batchCost = 0;
+  let nitrogenGrams = 0;
+  const unpriced = [];
+
+  Object.entries(formula || {}).forEach(([fertId, grams]) => {
+    if (!(grams > 0)) return;
+    const fert = window.FertilizerCore.FERTILIZERS.find(f => f.id === fertId);
+    if (fert) {
+      const pct = fert.pct || {};
+      const nForms = (pct.N_NO3 || 0) + (pct.N_NH4 || 0) + (pct.N_Urea || 0);
+      nitrogenGrams += grams * (nForms > 0 ? nForms : (pct.N_total || 0)) / 100;
+    }
+    const perKg = prices ? prices[fertId] : undefined;
+    if (perKg > 0) {
+      batchCost += grams / 1000 * perKg;
+    } else {
+      unpriced.push(fertId);
+    }
+  });
+
+  return {
+    batchCost,
+    costPer1000L: volume > 0 ? batchCost / volume * 1000 : 0,
+    costPerKgN: nitrogenGrams > 0 ? batchCost / (nitrogenGrams / 1000) : null,
+    nitrogenGrams,
+    unpriced
+  };
+};
+
+/**
+ * Load saved prices from localStorage
+ * @returns {Object} {currency, items}
+ */
+window.FertilizerCore.loadFertilizerPrices = function() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(window.FertilizerCore.PRICE_STORAGE_KEY) || 'null');
+    return {
+      currency: (saved && typeof saved.currency === 'string') ? saved.currency : '',
+      items: (saved && saved.items && typeof saved.items === 'object') ? saved.items : {}
+    };
+  } catch (e) {
+    console.warn('Could not load fertilizer prices:', e);
+    return { currency: '', items: {} };
+  }
+};
+
+/**
+ * Save prices to localStorage
+ * @param {Object} prices - {currency, items}
+ * @returns {boolean} false if storage is unavailable or full
+ */
+window.FertilizerCore.saveFertilizerPrices = function(prices) {
+  try {
+    localStorage.setItem(window.FertilizerCore.PRICE_STORAGE_KEY, JSON.stringify(prices));
+    return true;
+  } catch (e) {
+    console.warn('Could not save fertilizer prices:', e);
+    return false;
+  }
 };
 
 // =============================================================================
@@ -172,16 +1453,25 @@ window.FertilizerCore.hasIncompatibleFertilizers = function(formula) {
 
 /**
  * Estimate EC from ion concentrations using the sum of ionic molar conductivities model.
+ * Uses the active EC model (see setECModel) unless options.model is given. With a calibrated
+ * model, defaultEC is what the default model predicts for the same ions.
+ * options.ecModel ('standard' or 'davies', default: see setECModelType) picks the model;
+ * 'davies' is handled by estimateECDavies.
  * @param {Object} ions_mmolL - Ion concentrations in mmol/L
  * @param {Object} options - Optional settings
  * @returns {Object} EC estimation results
  */
 window.FertilizerCore.estimateEC = function(ions_mmolL, options = {}) {
+  const ecModel = options.ecModel || window.FertilizerCore.getECModelType();
+  if (ecModel === 'davies') return window.FertilizerCore.estimateECDavies(ions_mmolL, options);
+
+  const model = options.model || window.FertilizerCore.getECModel();
   const {
     temperatureC = 25,
     applyIonicStrengthCorrection = true,
-    ionicStrengthK = 0.5
+    ionicStrengthK = model.ionicStrengthK
   } = options;
+  const conductivityScale = model.conductivityScale || {};
 
   const IONIC_MOLAR_CONDUCTIVITY = window.FertilizerCore.IONIC_MOLAR_CONDUCTIVITY;
   const ION_CHARGES = window.FertilizerCore.ION_CHARGES;
@@ -191,10 +1481,11 @@ window.FertilizerCore.estimateEC = function(ions_mmolL, options = {}) {
 
   for (const [ion, c_mmolL] of Object.entries(ions_mmolL)) {
     if (IONIC_MOLAR_CONDUCTIVITY[ion] && c_mmolL > 0) {
-      const contrib = 0.001 * IONIC_MOLAR_CONDUCTIVITY[ion] * c_mmolL;
+      const lambda = IONIC_MOLAR_CONDUCTIVITY[ion] * (conductivityScale[ion] || 1);
+      const contrib = 0.001 * lambda * c_mmolL;
       contributions[ion] = {
         concentration_mmolL: c_mmolL,
-        lambda: IONIC_MOLAR_CONDUCTIVITY[ion],
+        lambda: lambda,
         contribution_mS_cm: contrib
       };
       ec_raw += contrib;
@@ -216,8 +1507,11 @@ window.FertilizerCore.estimateEC = function(ions_mmolL, options = {}) {
     ec_25 = ec_raw / (1 + ionicStrengthK * Math.sqrt(ionicStrength));
   }
 
-  const tempCorrectionFactor = 1 + 0.02 * (temperatureC - 25);
+  const tempCorrectionFactor = 1 + model.tempCoefficient * (temperatureC - 25);
   const ec_at_temp = ec_25 * tempCorrectionFactor;
+  const defaultEC = model.calibrated
+    ? window.FertilizerCore.estimateEC(ions_mmolL, { ...options, model: window.FertilizerCore.DEFAULT_EC_MODEL }).ec_mS_cm
+    : null;
 
   return {
     ec_mS_cm: ec_25,
@@ -226,7 +1520,150 @@ window.FertilizerCore.estimateEC = function(ions_mmolL, options = {}) {
     contributions: contributions,
     temperatureC: temperatureC,
     rawEC: ec_raw,
-    correctionApplied: applyIonicStrengthCorrection
+    correctionApplied: applyIonicStrengthCorrection,
+    tds: window.FertilizerCore.ecToTdsScales(ec_25),
+    calibrated: !!model.calibrated,
+    defaultEC,
+    ecModel: 'standard'
+  };
+};
+
+/**
+ * Davies activity coefficient
+ * Ionic strengths above DAVIES_MAX_IONIC_STRENGTH are evaluated at that limit.
+ * @param {number} z - Ion charge (absolute)
+ * @param {number} ionicStrength - Ionic strength (mol/L)
+ * @returns {number} Activity coefficient γ
+ */
+window.FertilizerCore.daviesActivityCoefficient = function(z, ionicStrength) {
+  const I = Math.min(ionicStrength, window.FertilizerCore.DAVIES_MAX_IONIC_STRENGTH);
+  const sqrtI = Math.sqrt(I);
+  return Math.pow(10, -window.FertilizerCore.DAVIES_A * z * z * (sqrtI / (1 + sqrtI) - 0.3 * I));
+};
+
+/**
+ * Activity-based EC estimate: Davies activity coefficients, phosphate split into
+ * H2PO4⁻/HPO4²⁻ at the solution pH, and neutral CaSO4⁰, MgSO4⁰, CaHPO4⁰ and MgHPO4⁰ pairs
+ * (which carry no current). Each free ion conducts λ° × γ^α, with α = 0.6/√z up to
+ * I = 0.36·z and √I/z above (the PHREEQC specific conductance approach).
+ * Contributions and rawEC are the uncorrected λ° × c values, as in estimateEC.
+ * A calibrated EC model (see setECModel, or options.model) scales the result by its
+ * daviesScale; defaultEC is then the uncalibrated Davies estimate.
+ * @param {Object} ions_mmolL - Ion concentrations in mmol/L (phosphate as 'H2PO4-', or split with 'HPO4^2-')
+ * @param {Object} options - { temperatureC = 25, pH = DEFAULT_SOLUTION_PH, model }
+ * @returns {Object} EC estimation results, plus ionPairs (mmol/L), freeIons (mmol/L) and activityCoefficients
+ */
+window.FertilizerCore.estimateECDavies = function(ions_mmolL, options = {}) {
+  const core = window.FertilizerCore;
+  const { temperatureC = 25, pH = core.DEFAULT_SOLUTION_PH } = options;
+  const model = options.model || core.getECModel();
+  // Models fitted before the Davies factor existed leave this model uncalibrated
+  const calibrationScale = model.calibrated && model.daviesScale > 0 ? model.daviesScale : null;
+  const IONIC_MOLAR_CONDUCTIVITY = core.IONIC_MOLAR_CONDUCTIVITY;
+  const ION_CHARGES = core.ION_CHARGES;
+
+  // Totals in mol/L; phosphate is tracked as its total and split every iteration
+  const total = {};
+  Object.entries(ions_mmolL).forEach(([ion, c]) => {
+    if (c > 0 && IONIC_MOLAR_CONDUCTIVITY[ion]) total[ion] = c / 1000;
+  });
+  const phosphateTotal = (total['H2PO4-'] || 0) + (total['HPO4^2-'] || 0);
+  const sulfateTotal = total['SO4^2-'] || 0;
+
+  const ionicStrengthOf = (species) => Object.entries(species)
+    .reduce((sum, [ion, c]) => sum + c * (ION_CHARGES[ion] || 0) ** 2, 0) / 2;
+  const gammaOf = core.daviesActivityCoefficient;
+
+  const free = { ...total };
+  if (phosphateTotal > 0) free['HPO4^2-'] = 0;
+  const pairs = {};
+  const hydrogenActivity = Math.pow(10, -pH);
+  const ka2 = Math.pow(10, -core.PHOSPHATE_PKA2);
+  const pairCations = [...new Set(core.ION_PAIRS.map(pair => pair.cation))];
+  let I = ionicStrengthOf(total);
+
+  for (let iter = 0; iter < 100; iter++) {
+    const g1 = gammaOf(1, I);
+    const g2 = gammaOf(2, I);
+    // Pair concentration per unit of free cation × free anion (pairs are neutral, γ = 1)
+    const pairFactor = (pair) => Math.pow(10, pair.logK) * g2 * g2;
+
+    // Cations: total = free × (1 + Σ K' × free anion partner)
+    pairCations.forEach(cation => {
+      if (!total[cation]) return;
+      const bound = core.ION_PAIRS
+        .filter(p => p.cation === cation)
+        .reduce((sum, p) => sum + pairFactor(p) * (free[p.anion] || 0), 0);
+      free[cation] = total[cation] / (1 + bound);
+    });
+    const boundTo = (anion) => core.ION_PAIRS
+      .filter(p => p.anion === anion)
+      .reduce((sum, p) => sum + pairFactor(p) * (free[p.cation] || 0), 0);
+
+    if (sulfateTotal > 0) free['SO4^2-'] = sulfateTotal / (1 + boundTo('SO4^2-'));
+    if (phosphateTotal > 0) {
+      // [HPO4²⁻]/[H2PO4⁻] from Ka2 with activity coefficients
+      const split = ka2 * g1 / (hydrogenActivity * g2);
+      free['H2PO4-'] = phosphateTotal / (1 + split * (1 + boundTo('HPO4^2-')));
+      free['HPO4^2-'] = split * free['H2PO4-'];
+    }
+    core.ION_PAIRS.forEach(pair => {
+      pairs[pair.pair] = pairFactor(pair) * (free[pair.cation] || 0) * (free[pair.anion] || 0);
+    });
+
+    const nextI = ionicStrengthOf(free);
+    const converged = Math.abs(nextI - I) < 1e-12;
+    I = nextI;
+    if (converged) break;
+  }
+
+  let ec_raw = 0;
+  let ec_25 = 0;
+  const contributions = {};
+  Object.entries(total).forEach(([ion, c]) => {
+    const contrib = IONIC_MOLAR_CONDUCTIVITY[ion] * c;
+    contributions[ion] = {
+      concentration_mmolL: c * 1000,
+      lambda: IONIC_MOLAR_CONDUCTIVITY[ion],
+      contribution_mS_cm: contrib
+    };
+    ec_raw += contrib;
+  });
+  const activityCoefficients = {};
+  const freeIons = {};
+  Object.entries(free).forEach(([ion, c]) => {
+    const z = ION_CHARGES[ion];
+    const gamma = gammaOf(z, I);
+    const alpha = I <= 0.36 * z ? 0.6 / Math.sqrt(z) : Math.sqrt(I) / z;
+    activityCoefficients[ion] = gamma;
+    freeIons[ion] = c * 1000;
+    ec_25 += IONIC_MOLAR_CONDUCTIVITY[ion] * Math.pow(gamma, alpha) * c;
+  });
+  const ionPairs = {};
+  Object.entries(pairs).forEach(([pair, c]) => {
+    if (c > 0) ionPairs[pair] = c * 1000;
+  });
+
+  const defaultEC = calibrationScale ? ec_25 : null;
+  if (calibrationScale) ec_25 *= calibrationScale;
+
+  const tempCorrectionFactor = 1 + model.tempCoefficient * (temperatureC - 25);
+  return {
+    ec_mS_cm: ec_25,
+    ec_at_temp: ec_25 * tempCorrectionFactor,
+    ionicStrength: I,
+    contributions,
+    temperatureC,
+    rawEC: ec_raw,
+    correctionApplied: true,
+    tds: core.ecToTdsScales(ec_25),
+    calibrated: !!calibrationScale,
+    defaultEC,
+    ecModel: 'davies',
+    pH,
+    ionPairs,
+    freeIons,
+    activityCoefficients
   };
 };
 
@@ -241,12 +1678,16 @@ window.FertilizerCore.EC_ION_MOLAR_MASSES = {
   'Ca2+': 40.078,
   'Mg2+': 24.305,
   'SO4^2-': 32.065, // Based on S atomic mass
+  'HPO4^2-': 30.974, // Based on P atomic mass
   'Na+': 22.99,
   'Cl-': 35.453,
   'Fe2+': 55.845,
   'Mn2+': 54.938,
   'Zn2+': 65.38,
-  'Cu2+': 63.546
+  'Cu2+': 63.546,
+  'HCO3-': 61.017,  // Whole bicarbonate ion (water analyses report HCO3 as-is)
+  'H+': 1.008,
+  'OH-': 17.007
 };
 
 /**
@@ -265,7 +1706,8 @@ window.FertilizerCore.PPM_TO_ION_MAPPINGS = [
   { ppmKey: 'Fe', ion: 'Fe2+' },
   { ppmKey: 'Mn', ion: 'Mn2+' },
   { ppmKey: 'Zn', ion: 'Zn2+' },
-  { ppmKey: 'Cu', ion: 'Cu2+' }
+  { ppmKey: 'Cu', ion: 'Cu2+' },
+  { ppmKey: 'HCO3', ion: 'HCO3-' }
 ];
 
 /**
@@ -319,24 +1761,331 @@ window.FertilizerCore.ppmToIonsWithDetails = function(ppmResults) {
  * Estimate EC from PPM results (convenience wrapper)
  * @param {Object} ppmResults - PPM values from the calculator
  * @param {Object} options - Options passed to estimateEC
- * @returns {Object} EC estimation results with detailed ion data
+ * @param {Object} options.sourceWater - Optional water analysis (ppm) added before estimating
+ * @param {Object} options.speciation - Optional predictSolutionPH result: its species replace the
+ *   phosphate, bicarbonate and ammonium of the ppm results and its pH is passed on
+ * @returns {Object} EC estimation results with detailed ion data (and speciation when given)
  */
 window.FertilizerCore.estimateECFromPPM = function(ppmResults, options = {}) {
-  const ions_mmolL = window.FertilizerCore.ppmToIonsForEC(ppmResults);
-  const ionsDetails = window.FertilizerCore.ppmToIonsWithDetails(ppmResults);
-  const result = window.FertilizerCore.estimateEC(ions_mmolL, options);
+  const { sourceWater, speciation, ...ecOptions } = options;
+  const MOLAR_MASSES = window.FertilizerCore.EC_ION_MOLAR_MASSES;
+  const solutionPpm = sourceWater
+    ? window.FertilizerCore.addSourceWaterToPPM(ppmResults, sourceWater)
+    : ppmResults;
+  const ions_mmolL = window.FertilizerCore.ppmToIonsForEC(solutionPpm);
+  if (speciation) {
+    Object.assign(ions_mmolL, speciation.ions);
+    ecOptions.pH = speciation.pH;
+  }
+  const result = window.FertilizerCore.estimateEC(ions_mmolL, ecOptions);
 
   // Add ppm and molarMass to each contribution
   for (const ion in result.contributions) {
-    if (ionsDetails[ion]) {
-      result.contributions[ion].ppm = ionsDetails[ion].ppm;
-      result.contributions[ion].molarMass = ionsDetails[ion].molarMass;
+    if (MOLAR_MASSES[ion]) {
+      result.contributions[ion].ppm = result.contributions[ion].concentration_mmolL * MOLAR_MASSES[ion];
+      result.contributions[ion].molarMass = MOLAR_MASSES[ion];
     }
   }
+  if (speciation) result.speciation = speciation;
 
   return result;
 };
 
+// =============================================================================
+// TDS SCALES
+// =============================================================================
+
+/**
+ * TDS meter scales, in ppm per mS/cm: 500 (NaCl), 640 and 700 (442 natural water)
+ */
+window.FertilizerCore.TDS_SCALES = [500, 640, 700];
+
+/**
+ * Convert EC to the ppm a TDS meter on the given scale would read
+ * @param {number} ec - EC in mS/cm
+ * @param {number} scale - 500, 640 or 700
+ * @returns {number} TDS in ppm
+ */
+window.FertilizerCore.ecToTds = function(ec, scale) {
+  return (ec || 0) * scale;
+};
+
+/**
+ * Convert a TDS reading back to EC
+ * @param {number} tds - TDS in ppm
+ * @param {number} scale - 500, 640 or 700
+ * @returns {number} EC in mS/cm
+ */
+window.FertilizerCore.tdsToEc = function(tds, scale) {
+  return (tds || 0) / scale;
+};
+
+/**
+ * TDS readings on every scale for one EC value
+ * @param {number} ec - EC in mS/cm
+ * @returns {Object} { 500: ppm, 640: ppm, 700: ppm }
+ */
+window.FertilizerCore.ecToTdsScales = function(ec) {
+  const readings = {};
+  window.FertilizerCore.TDS_SCALES.forEach(scale => {
+    readings[scale] = window.FertilizerCore.ecToTds(ec, scale);
+  });
+  return readings;
+};
+
+/**
+ * Parse an EC step target: 'ec:1.2' (mS/cm) or 'tds700:840' (ppm on the 700 scale)
+ * @param {string} value - Target value as stored by the wizard
+ * @returns {Object|null} { ec, scale, tds } (scale and tds are null for EC targets), or null if invalid
+ */
+window.FertilizerCore.parseECTarget = function(value) {
+  const match = /^(?:ec|tds(\d+)):(\d*\.?\d+)$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const amount = parseFloat(match[2]);
+  if (!(amount > 0)) return null;
+  if (!match[1]) return { ec: amount, scale: null, tds: null };
+  const scale = parseInt(match[1], 10);
+  if (!window.FertilizerCore.TDS_SCALES.includes(scale)) return null;
+  return { ec: window.FertilizerCore.tdsToEc(amount, scale), scale, tds: amount };
+};
+
+// =============================================================================
+// EC CALIBRATION
+// =============================================================================
+// Measured EC readings of mixed recipes refine the EC model: the ionic strength
+// correction constant and, optionally, a conductivity factor per ion.
+
+/**
+ * EC model used when nothing has been calibrated
+ */
+window.FertilizerCore.DEFAULT_EC_MODEL = {
+  ionicStrengthK: 0.5,
+  tempCoefficient: 0.02,
+  conductivityScale: {},
+  calibrated: false
+};
+
+window.FertilizerCore.EC_CALIBRATION_STORAGE_KEY = 'fertilizerCalculatorECCalibration';
+
+// Model every EC estimate uses, passed on to the solver worker with every run
+let _activeECModel = null;
+
+/**
+ * Use a calibrated EC model for all EC estimates (null restores the default model)
+ * @param {Object|null} model - As returned by fitECModel
+ */
+window.FertilizerCore.setECModel = function(model) {
+  _activeECModel = model && model.calibrated ? model : null;
+};
+
+/**
+ * @returns {Object} The EC model in use
+ */
+window.FertilizerCore.getECModel = function() {
+  return _activeECModel || window.FertilizerCore.DEFAULT_EC_MODEL;
+};
+
+/**
+ * EC models estimateEC can use: 'standard' (λ × c with a √I correction, calibratable)
+ * and 'davies' (activity coefficients and ion pairs, see estimateECDavies)
+ */
+window.FertilizerCore.EC_MODEL_TYPES = ['standard', 'davies'];
+
+// EC model type used when options.ecModel is not given, passed on to the solver worker
+let _activeECModelType = 'standard';
+
+/**
+ * Choose the EC model type every estimate uses by default
+ * @param {string} type - One of EC_MODEL_TYPES (anything else restores 'standard')
+ */
+window.FertilizerCore.setECModelType = function(type) {
+  _activeECModelType = window.FertilizerCore.EC_MODEL_TYPES.includes(type) ? type : 'standard';
+};
+
+/**
+ * @returns {string} The EC model type in use
+ */
+window.FertilizerCore.getECModelType = function() {
+  return _activeECModelType;
+};
+
+/**
+ * Measured EC of a reading, referred to 25 °C
+ * Meters with automatic temperature compensation already report EC at 25 °C.
+ * @param {Object} reading - { measuredEC, temperatureC, compensated }
+ * @returns {number} EC in mS/cm at 25 °C
+ */
+window.FertilizerCore.measuredECAt25 = function(reading) {
+  const temperatureC = parseFloat(reading.temperatureC);
+  if (reading.compensated !== false || isNaN(temperatureC)) return reading.measuredEC;
+  return reading.measuredEC / (1 + window.FertilizerCore.DEFAULT_EC_MODEL.tempCoefficient * (temperatureC - 25));
+};
+
+/**
+ * Fit the standard EC model to measured readings by least squares on the relative error.
+ * The ionic strength constant is always fitted; with perIon each ion present in the readings
+ * also gets a conductivity factor (0.5-1.5, pulled towards 1 so a few readings cannot overfit).
+ * The Davies model gets one overall factor (daviesScale), fitted the same way.
+ * @param {Array} readings - [{ ppm, measuredEC, temperatureC, compensated }], ppm of the whole solution
+ * @param {Object} options - { perIon: false }
+ * @returns {Object|null} Calibrated model with fit statistics, or null without usable readings
+ */
+window.FertilizerCore.fitECModel = function(readings, options = {}) {
+  const core = window.FertilizerCore;
+  const { perIon = false } = options;
+  const DEFAULT_EC_MODEL = core.DEFAULT_EC_MODEL;
+
+  // Per reading: each ion's default contribution, the ionic strength and the measured EC at 25 °C
+  const points = (readings || [])
+    .filter(reading => reading.measuredEC > 0 && reading.ppm)
+    .map(reading => {
+      const ions = core.ppmToIonsForEC(reading.ppm);
+      const estimate = core.estimateEC(ions, { model: DEFAULT_EC_MODEL, ecModel: 'standard' });
+      const contributions = {};
+      Object.entries(estimate.contributions).forEach(([ion, c]) => { contributions[ion] = c.contribution_mS_cm; });
+      return {
+        contributions,
+        sqrtI: Math.sqrt(estimate.ionicStrength),
+        davies: core.estimateECDavies(ions, { model: DEFAULT_EC_MODEL }).ec_mS_cm,
+        measured: core.measuredECAt25(reading)
+      };
+    })
+    .filter(point => Object.keys(point.contributions).length > 0);
+  if (points.length === 0) return null;
+
+  const predict = (point, k, scale) => {
+    let raw = 0;
+    Object.entries(point.contributions).forEach(([ion, contrib]) => { raw += contrib * (scale[ion] || 1); });
+    return raw / (1 + k * point.sqrtI);
+  };
+  const relativeErrors = (k, scale) => points.map(point => (predict(point, k, scale) - point.measured) / point.measured);
+  const sumSquares = (errors) => errors.reduce((sum, e) => sum + e * e, 0);
+
+  // Golden-section search for the ionic strength constant
+  const fitK = (scale) => {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let lo = 0;
+    let hi = 5;
+    for (let i = 0; i < 60; i++) {
+      const a = hi - ratio * (hi - lo);
+      const b = lo + ratio * (hi - lo);
+      if (sumSquares(relativeErrors(a, scale)) <= sumSquares(relativeErrors(b, scale))) hi = b;
+      else lo = a;
+    }
+    return (lo + hi) / 2;
+  };
+
+  // Ridge least squares for the per-ion factors at a fixed constant: (AᵀA + μI)s = Aᵀ1 + μ1
+  const ions = [...new Set(points.flatMap(point => Object.keys(point.contributions)))];
+  const RIDGE = 0.1;
+  const fitScale = (k) => {
+    const n = ions.length;
+    const lhs = ions.map((_, i) => ions.map((__, j) => (i === j ? RIDGE : 0)));
+    const rhs = ions.map(() => RIDGE);
+    points.forEach(point => {
+      const d = (1 + k * point.sqrtI) * point.measured;
+      const row = ions.map(ion => (point.contributions[ion] || 0) / d);
+      for (let i = 0; i < n; i++) {
+        rhs[i] += row[i];
+        for (let j = 0; j < n; j++) lhs[i][j] += row[i] * row[j];
+      }
+    });
+    // Gaussian elimination with partial pivoting (the ridge keeps the system non-singular)
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(lhs[r][col]) > Math.abs(lhs[pivot][col])) pivot = r;
+      }
+      [lhs[col], lhs[pivot]] = [lhs[pivot], lhs[col]];
+      [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+      for (let r = col + 1; r < n; r++) {
+        const f = lhs[r][col] / lhs[col][col];
+        for (let c = col; c < n; c++) lhs[r][c] -= f * lhs[col][c];
+        rhs[r] -= f * rhs[col];
+      }
+    }
+    const x = new Array(n).fill(1);
+    for (let r = n - 1; r >= 0; r--) {
+      let sum = rhs[r];
+      for (let c = r + 1; c < n; c++) sum -= lhs[r][c] * x[c];
+      x[r] = sum / lhs[r][r];
+    }
+    const scale = {};
+    ions.forEach((ion, i) => { scale[ion] = Math.min(1.5, Math.max(0.5, x[i])); });
+    return scale;
+  };
+
+  let scale = {};
+  let k = fitK(scale);
+  if (perIon) {
+    for (let i = 0; i < 5; i++) {
+      scale = fitScale(k);
+      k = fitK(scale);
+    }
+  }
+
+  // Davies factor: minimizes Σ(s × davies / measured - 1)²
+  const daviesRatios = points.map(point => point.davies / point.measured);
+  const daviesScale = daviesRatios.reduce((sum, r) => sum + r, 0) / sumSquares(daviesRatios);
+  const daviesErrors = (factor) => daviesRatios.map(r => factor * r - 1);
+
+  const stats = (errors) => ({
+    meanError: errors.reduce((sum, e) => sum + e, 0) / errors.length,
+    rmsError: Math.sqrt(sumSquares(errors) / errors.length)
+  });
+  return {
+    ionicStrengthK: k,
+    tempCoefficient: DEFAULT_EC_MODEL.tempCoefficient,
+    conductivityScale: scale,
+    calibrated: true,
+    perIon,
+    readingCount: points.length,
+    fittedAt: new Date().toISOString(),
+    defaultFit: stats(relativeErrors(DEFAULT_EC_MODEL.ionicStrengthK, {})),
+    calibratedFit: stats(relativeErrors(k, scale)),
+    daviesScale,
+    daviesDefaultFit: stats(daviesErrors(1)),
+    daviesCalibratedFit: stats(daviesErrors(daviesScale))
+  };
+};
+
+/**
+ * Load the saved EC readings, calibrated model and model type from localStorage
+ * @returns {Object} { readings: [], model: null | calibrated model, modelType }
+ */
+window.FertilizerCore.loadECCalibration = function() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(window.FertilizerCore.EC_CALIBRATION_STORAGE_KEY) || 'null');
+    return {
+      readings: Array.isArray(saved?.readings) ? saved.readings : [],
+      model: saved?.model && saved.model.calibrated ? saved.model : null,
+      modelType: window.FertilizerCore.EC_MODEL_TYPES.includes(saved?.modelType) ? saved.modelType : 'standard'
+    };
+  } catch (e) {
+    console.warn('Could not load EC calibration:', e);
+    return { readings: [], model: null, modelType: 'standard' };
+  }
+};
+
+/**
+ * Save the EC readings, calibrated model and model type to localStorage
+ * @param {Object} calibration - { readings, model, modelType }
+ * @returns {boolean} false if storage is unavailable or full
+ */
+window.FertilizerCore.saveECCalibration = function(calibration) {
+  try {
+    localStorage.setItem(window.FertilizerCore.EC_CALIBRATION_STORAGE_KEY, JSON.stringify({
+      readings: calibration.readings || [],
+      model: calibration.model || null,
+      modelType: calibration.modelType || 'standard'
+    }));
+    return true;
+  } catch (e) {
+    console.warn('Could not save EC calibration:', e);
+    return false;
+  }
+};
+
 // =============================================================================
 // ION BALANCE
 // =============================================================================
@@ -362,10 +2111,13 @@ window.FertilizerCore.getIonBalanceStatus = function(imbalance) {
  * @param {Object|Array} fertilizers - Either array of {id, grams} or object {fertId: grams}
  * @param {number} volume - Solution volume in liters
  * @param {Object} options - Optional settings
+ * @param {Object} options.sourceWater - Optional water analysis (ppm) whose ions are included
+ * @param {Object} options.speciation - Optional predictSolutionPH result: phosphate, bicarbonate,
+ *   ammonium, H⁺ and OH⁻ are counted as the species present at the predicted pH
  * @returns {Object} Complete ion balance data
  */
 window.FertilizerCore.calculateIonBalanceCore = function(fertilizers, volume, options = {}) {
-  const { includeBreakdown = false } = options;
+  const { includeBreakdown = false, sourceWater = null, speciation = null } = options;
   const FERTILIZERS = window.FertilizerCore.FERTILIZERS;
   const ION_DATA = window.FertilizerCore.ION_DATA;
 
@@ -422,6 +2174,25 @@ window.FertilizerCore.calculateIonBalanceCore = function(fertilizers, volume, op
     }
   });
 
+  const waterIons = window.FertilizerCore.getSourceWaterIons(sourceWater);
+  waterIons.forEach(({ ion, type, meq }) => {
+    if (!ionDetails[ion]) {
+      ionDetails[ion] = { meq: 0, type };
+    }
+    ionDetails[ion].meq += meq;
+    ionDetails[ion].sourceWaterMeq = meq;
+
+    if (type === 'cation') {
+      totalCations += meq;
+    } else {
+      totalAnions += meq;
+    }
+  });
+
+  if (speciation) {
+    ({ totalCations, totalAnions } = window.FertilizerCore.applySpeciationToIonBalance(ionDetails, speciation));
+  }
+
   const average = (totalCations + totalAnions) / 2;
   const imbalance = average > 0 ? Math.abs(totalCations - totalAnions) / average * 100 : 0;
   const { statusColor, statusLevel } = window.FertilizerCore.getIonBalanceStatus(imbalance);
@@ -435,6 +2206,10 @@ window.FertilizerCore.calculateIonBalanceCore = function(fertilizers, volume, op
     ionDetails
   };
 
+  if (waterIons.length > 0) {
+    result.sourceWaterIons = waterIons;
+  }
+
   if (includeBreakdown) {
     result.fertilizerBreakdown = fertilizerBreakdown;
   }
@@ -519,18 +2294,169 @@ window.FertilizerCore.calculateNutrientRatios = function(results) {
   return ratios;
 };
 
+// =============================================================================
+// RECIPE COMPARISON
+// =============================================================================
+
+// Rows of the comparison: elemental ppm, oxide ppm (derived from the elemental totals)
+window.FertilizerCore.COMPARISON_PPM_KEYS = [
+  'N_total', 'N_NO3', 'N_NH4', 'P', 'K', 'Ca', 'Mg', 'S', 'Si',
+  'Fe', 'Mn', 'Zn', 'Cu', 'B', 'Mo', 'Na', 'Cl', 'HCO3'
+];
+window.FertilizerCore.COMPARISON_OXIDE_KEYS = [
+  { key: 'P2O5', element: 'P', factor: 'P2O5_to_P' },
+  { key: 'K2O', element: 'K', factor: 'K2O_to_K' },
+  { key: 'CaO', element: 'Ca', factor: 'CaO_to_Ca' },
+  { key: 'MgO', element: 'Mg', factor: 'MgO_to_Mg' },
+  { key: 'SO3', element: 'S', factor: 'SO3_to_S' }
+];
+
+/**
+ * PPM of a recipe from the grams of each fertilizer (same arithmetic as Grams → PPM):
+ * nitrogen forms are summed into N_total and oxide label values are added to the elements
+ * @param {Object} formula - { fertilizer_id: grams }
+ * @param {number} volume - Solution volume in liters
+ * @param {Object} options
+ * @param {Object} options.sourceWater - Optional water analysis (ppm) added to the result
+ * @returns {Object} ppm per nutrient key
+ */
+window.FertilizerCore.calculatePpmFromFormula = function(formula, volume, options = {}) {
+  const { sourceWater = null } = options;
+  const FERTILIZERS = window.FertilizerCore.FERTILIZERS;
+  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
+  const ppm = {};
+  if (!(volume > 0)) return ppm;
+
+  for (const [fertId, grams] of Object.entries(formula)) {
+    const fert = FERTILIZERS.find(f => f.id === fertId);
+    if (!fert || !(grams > 0)) continue;
+    const hasNForms = fert.pct.N_NO3 || fert.pct.N_NH4 || fert.pct.N_Urea;
+
+    for (const [nutrient, pct] of Object.entries(fert.pct)) {
+      const value = grams * 1000 * (pct / 100) / volume;
+      if (nutrient === 'N_total' && hasNForms) continue;
+      ppm[nutrient] = (ppm[nutrient] || 0) + value;
+      if (nutrient === 'N_NO3' || nutrient === 'N_NH4' || nutrient === 'N_Urea') {
+        ppm.N_total = (ppm.N_total || 0) + value;
+      }
+    }
+  }
+
+  if (ppm.P2O5) ppm.P = (ppm.P || 0) + ppm.P2O5 * OXIDE_CONVERSIONS.P2O5_to_P;
+  if (ppm.K2O) ppm.K = (ppm.K || 0) + ppm.K2O * OXIDE_CONVERSIONS.K2O_to_K;
+  if (ppm.CaO) ppm.Ca = (ppm.Ca || 0) + ppm.CaO * OXIDE_CONVERSIONS.CaO_to_Ca;
+  if (ppm.MgO) ppm.Mg = (ppm.Mg || 0) + ppm.MgO * OXIDE_CONVERSIONS.MgO_to_Mg;
+
+  return window.FertilizerCore.hasSourceWater(sourceWater)
+    ? window.FertilizerCore.addSourceWaterToPPM(ppm, sourceWater)
+    : ppm;
+};
+
+// True when the spread of the values is more than `tolerance` of the largest one
+function valuesDiffer(values, tolerance) {
+  const numbers = values.map(v => v || 0);
+  const max = Math.max(...numbers.map(Math.abs));
+  const spread = Math.max(...numbers) - Math.min(...numbers);
+  return max > 0 && spread > max * tolerance;
+}
+
+/**
+ * Compare recipes side by side: fertilizer doses, ppm (elemental and oxide), ion mmol/L,
+ * EC, ion balance and nutrient ratios, each row flagged when the recipes differ
+ * @param {Array} recipes - [{ name, formula: { fertilizer_id: grams }, volume, sourceWater }]
+ * @param {Object} options
+ * @param {number} options.tolerance - Relative spread that counts as a difference (default 5%)
+ * @returns {Object} { columns, rows } - columns: per recipe { name, volume, ppm, oxidePpm, mmolL, ec,
+ *   ionBalance, ratios }; rows: { fertilizers, ppm, oxide, mmolL, ec, imbalance, ratios }, each row
+ *   { key, values, differs } (fertilizer rows compare g/L and also carry the batch grams)
+ */
+window.FertilizerCore.compareRecipes = function(recipes, options = {}) {
+  const { tolerance = 0.05 } = options;
+  const core = window.FertilizerCore;
+  const OXIDE_CONVERSIONS = core.OXIDE_CONVERSIONS;
+
+  const columns = recipes.map(recipe => {
+    const ppm = core.calculatePpmFromFormula(recipe.formula, recipe.volume, { sourceWater: recipe.sourceWater });
+    const oxidePpm = {};
+    core.COMPARISON_OXIDE_KEYS.forEach(({ key, element, factor }) => {
+      if (ppm[element] > 0) oxidePpm[key] = ppm[element] / OXIDE_CONVERSIONS[factor];
+    });
+    return {
+      name: recipe.name,
+      volume: recipe.volume,
+      ppm,
+      oxidePpm,
+      mmolL: core.ppmToIonsForEC(ppm),
+      ec: core.estimateECFromPPM(ppm).ec_mS_cm,
+      ionBalance: core.calculateIonBalanceCore(recipe.formula, recipe.volume, { sourceWater: recipe.sourceWater }),
+      ratios: core.calculateNutrientRatios(ppm)
+    };
+  });
+
+  // One row per key that any recipe has
+  const buildRows = (keys, valueOf) => keys
+    .map(key => ({ key, values: columns.map(column => valueOf(column, key)) }))
+    .filter(row => row.values.some(v => v > 0))
+    .map(row => ({ ...row, differs: valuesDiffer(row.values, tolerance) }));
+
+  const fertIds = [...new Set(recipes.flatMap(recipe => Object.keys(recipe.formula).filter(id => recipe.formula[id] > 0)))];
+  const fertilizers = fertIds.map(id => {
+    const grams = recipes.map(recipe => recipe.formula[id] || 0);
+    const values = recipes.map((recipe, i) => (recipe.volume > 0 ? grams[i] / recipe.volume : 0));
+    return { key: id, values, grams, differs: valuesDiffer(values, tolerance) };
+  });
+
+  const ionKeys = [...new Set(columns.flatMap(column => Object.keys(column.mmolL)))];
+  const ratioKeys = [...new Set(columns.flatMap(column => column.ratios.map(ratio => ratio.name)))];
+  const ratios = ratioKeys.map(key => {
+    const values = columns.map(column => {
+      const ratio = column.ratios.find(r => r.name === key);
+      return ratio ? ratio.ratio : null;
+    });
+    return { key, values, differs: new Set(values).size > 1 };
+  });
+
+  const ecValues = columns.map(column => column.ec);
+  const imbalanceValues = columns.map(column => column.ionBalance.imbalance);
+
+  return {
+    columns,
+    rows: {
+      fertilizers,
+      ppm: buildRows(core.COMPARISON_PPM_KEYS, (column, key) => column.ppm[key] || 0),
+      oxide: buildRows(core.COMPARISON_OXIDE_KEYS.map(item => item.key), (column, key) => column.oxidePpm[key] || 0),
+      mmolL: buildRows(ionKeys, (column, key) => column.mmolL[key] || 0),
+      ec: { key: 'EC', values: ecValues, differs: valuesDiffer(ecValues, tolerance) },
+      imbalance: {
+        key: 'imbalance',
+        values: imbalanceValues,
+        differs: new Set(columns.map(column => column.ionBalance.statusLevel)).size > 1
+      },
+      ratios
+    }
+  };
+};
+
 // =============================================================================
 // OPTIMIZATION ALGORITHMS
 // =============================================================================
 
 /**
- * MILP solver helper using highs.js + lp-model
+ * MILP solver helper using lp-model + the first working backend (HiGHS, then GLPK).
+ * Without any backend it falls back to least squares + pruning, which ignores the objective,
+ * the PeKacid cap and the NH4 target.
  * @param {Object} params - {fertilizers, targets, volume, tolerance, onProgress, pekacidMaxLimit}
  * @param {Function} params.onProgress - Optional callback for progress updates: (status: string) => void
  * @param {number} params.pekacidMaxLimit - Optional max limit for PeKacid in g/L (0 = no limit)
- * @returns {Object} {formula, achieved}
+ * @param {Object} params.sourceWater - Optional water analysis (ppm); its nutrients are subtracted from the targets
+ * @param {Object} params.microTolerances - Optional per-micronutrient tolerance (fraction), defaults to DEFAULT_MICRO_TOLERANCES.
+ *   Micronutrients (Fe, Mn, Zn, Cu, B, Mo) are only constrained when targeted.
+ * @param {string} params.objective - 'priority' (default: fewest, highest-priority products) or 'cost' (cheapest recipe)
+ * @param {Object} params.prices - { fertilizer_id: pricePerKg } for the 'cost' objective
+ * @returns {Object} {formula, achieved, backend} - achieved covers the fertilizers only (source water not added);
+ *   backend is 'highs', 'glpk' or 'nnls' (least squares fallback)
  */
-window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets, volume, tolerance = 0.01, onProgress, pekacidMaxLimit = 0, nh4PctTarget = null }) {
+window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets, volume, tolerance = 0.01, onProgress, pekacidMaxLimit = 0, nh4PctTarget = null, sourceWater = null, microTolerances = null, objective: objectiveMode = 'priority', prices = null }) {
   // Helper to log to both console and UI dev logs
   // Queue logs if addDevLog isn't ready yet, flush when it becomes available
   const devLog = (msg, type = 'info') => {
@@ -569,10 +2495,18 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
   const fertNames = fertilizers.map(f => shortName(f)).join(', ');
   devLog(`Fertilizers (${fertilizers.length}): ${fertNames}`);
 
+  // Source water already supplies part of each nutrient - only solve for the remainder.
+  // What was targeted before that still decides which nutrients the model bounds.
+  const requestedTargets = targets;
+  if (window.FertilizerCore.hasSourceWater(sourceWater)) {
+    targets = window.FertilizerCore.subtractSourceWaterFromTargets(targets, sourceWater);
+    devLog(`Source water subtracted from targets: ${JSON.stringify(sourceWater)}`);
+  }
+
   // Log target ratios
   const targetStr = Object.entries(targets)
     .filter(([k, v]) => v > 0)
-    .map(([k, v]) => `${k.replace('_total', '')}:${v.toFixed(1)}`)
+    .map(([k, v]) => `${k.replace('_total', '')}:${v < 1 ? v.toFixed(3) : v.toFixed(1)}`)
     .join(' ');
   devLog(`Targets: ${targetStr}`);
 
@@ -583,7 +2517,7 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
     devLog(`PeKacid cap: none`);
   }
 
-  if (!window.LPModel) {
+  if (!window.FertilizerCore.hasLpModel()) {
     throw new Error('MILP dependencies not loaded');
   }
 
@@ -592,16 +2526,27 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
   const P_to_P2O5 = 1 / OXIDE_CONVERSIONS.P2O5_to_P;
   const K_to_K2O = 1 / OXIDE_CONVERSIONS.K2O_to_K;
 
-  // Use cached HiGHS instance (downloads WASM only on first call)
-  const highs = await window.FertilizerCore.getHighsInstance(onProgress);
-
-  const nutrients = ['N_total', 'P2O5', 'K2O', 'Ca', 'Mg', 'S', 'Si'];
+  // Micronutrients join the model only when targeted; an untargeted micro would otherwise
+  // get a zero upper bound and push chelates out of every recipe. One the source water
+  // already covers stays in with a zero upper bound, so nothing adds more of it.
+  const MICRONUTRIENT_KEYS = window.FertilizerCore.MICRONUTRIENT_KEYS;
+  const microTol = { ...window.FertilizerCore.DEFAULT_MICRO_TOLERANCES, ...(microTolerances || {}) };
+  const targetedMicros = MICRONUTRIENT_KEYS.filter(m => (requestedTargets[m] || 0) > 0);
+  // Nitrate and ammonium join the model as a pair when either is targeted (ion targets),
+  // so an untargeted form is held near zero like any other untargeted nutrient
+  const nForms = ['N_NO3', 'N_NH4'];
+  const nFormRows = nForms.some(n => (requestedTargets[n] || 0) > 0) ? nForms : [];
+  const nutrients = ['N_total', ...nFormRows, 'P2O5', 'K2O', 'Ca', 'Mg', 'S', 'Si', ...targetedMicros];
   const tPlus = {}, tMinus = {};
   nutrients.forEach(n => {
     const t = targets[n] || 0;
-    tPlus[n] = t > 0 ? t * (1 + tolerance) : 0;
-    tMinus[n] = t > 0 ? t * (1 - tolerance) : 0;
+    const tol = targetedMicros.includes(n) ? microTol[n] : tolerance;
+    tPlus[n] = t > 0 ? t * (1 + tol) : 0;
+    tMinus[n] = t > 0 ? t * (1 - tol) : 0;
   });
+  if (targetedMicros.length > 0) {
+    devLog(`Micronutrient tolerances: ${targetedMicros.map(m => `${m} ±${(microTol[m] * 100).toFixed(0)}%`).join(' ')}`);
+  }
 
   const model = new Model();
   const x = {}, y = {}, slackPlus = {}, slackMinus = {};
@@ -615,6 +2560,7 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
   });
 
   const BIG_M = 10000;
+  const MICRO_SLACK_PENALTY = 1000;
   const PEKACID_ID = 'icl_pekacid_pk_acid';
   fertilizers.forEach(f => {
     model.addConstr([[1, x[f.id]], [-BIG_M, y[f.id]]], '<=', 0);
@@ -675,12 +2621,14 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
   }
 
   function perGramContrib(fert) {
-    const c = { N_total: 0, P2O5: 0, K2O: 0, Ca: 0, Mg: 0, S: 0, Si: 0 };
+    const c = { N_total: 0, N_NO3: 0, N_NH4: 0, P2O5: 0, K2O: 0, Ca: 0, Mg: 0, S: 0, Si: 0 };
+    MICRONUTRIENT_KEYS.forEach(m => { c[m] = 0; });
     const hasNForms = fert.pct.N_NO3 || fert.pct.N_NH4 || fert.pct.N_Urea;
     Object.entries(fert.pct).forEach(([nutrient, pct]) => {
       const ppm = (1 * 1000 * (pct / 100)) / volume;
       if (nutrient === 'N_NO3' || nutrient === 'N_NH4' || nutrient === 'N_Urea') {
         c.N_total += ppm;
+        if (nutrient !== 'N_Urea') c[nutrient] += ppm;
       } else if (nutrient === 'N_total') {
         if (!hasNForms) c.N_total += ppm;
       } else if (nutrient === 'P2O5') {
@@ -709,6 +2657,8 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
         c.Si += ppm * 0.2922;
       } else if (nutrient === 'Si') {
         c.Si += ppm;
+      } else if (c[nutrient] !== undefined) {
+        c[nutrient] += ppm;
       }
     });
     return c;
@@ -727,19 +2677,42 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
     model.addConstr([...terms, [-1, slackPlus[n]]], '<=', ub);
   });
 
+  // Cost objective needs at least one price; unpriced products are costed at the
+  // highest known price so they never look free to the solver
+  const knownPrices = fertilizers.map(f => (prices && prices[f.id]) || 0).filter(p => p > 0);
+  const useCost = objectiveMode === 'cost' && knownPrices.length > 0;
+  if (objectiveMode === 'cost' && !useCost) {
+    devLog('Cost objective requested but no selected fertilizer has a price - using priorities', 'warn');
+  }
+
   const objective = [];
-  fertilizers.forEach(f => {
-    // PeKacid gets very low priority coefficient (near 0) to be strongly preferred first
-    // This encourages the solver to use PeKacid before other P/K sources
-    // Lower coefficient = higher preference (since we're minimizing)
-    let priorityCoeff;
-    if (f.id === PEKACID_ID) {
-      priorityCoeff = 0.01;  // Very low = strongly prefer PeKacid
-    } else {
-      priorityCoeff = (f.priority || 10) / 10;
-    }
-    objective.push([priorityCoeff, y[f.id]]);
-  });
+  if (useCost) {
+    // Spend per litre of final solution, scaled so the priciest product costs COST_WEIGHT
+    // per g/L. That outweighs the product-count term but stays far below the nutrient
+    // slack penalties, so price only decides between recipes that hit the targets.
+    const COST_WEIGHT = 10;
+    const maxPrice = Math.max(...knownPrices);
+    devLog(`Objective: minimise cost (${knownPrices.length}/${fertilizers.length} products priced)`);
+    fertilizers.forEach(f => {
+      const price = (prices[f.id] > 0) ? prices[f.id] : maxPrice;
+      objective.push([COST_WEIGHT * price / maxPrice / volume, x[f.id]]);
+      // Tiny count penalty so equal-cost recipes still prefer fewer products
+      objective.push([0.01, y[f.id]]);
+    });
+  } else {
+    fertilizers.forEach(f => {
+      // PeKacid gets very low priority coefficient (near 0) to be strongly preferred first
+      // This encourages the solver to use PeKacid before other P/K sources
+      // Lower coefficient = higher preference (since we're minimizing)
+      let priorityCoeff;
+      if (f.id === PEKACID_ID) {
+        priorityCoeff = 0.01;  // Very low = strongly prefer PeKacid
+      } else {
+        priorityCoeff = (f.priority || 10) / 10;
+      }
+      objective.push([priorityCoeff, y[f.id]]);
+    });
+  }
 
   // Add very strong penalty for NOT using the full PeKacid limit
   // The pekacidSlack variable represents how much below the target we are
@@ -751,11 +2724,17 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
   }
 
   nutrients.forEach(n => {
-    const isTargeted = (targets[n] || 0) > 0;
+    const isTargeted = (requestedTargets[n] || 0) > 0;
     // Si gets much higher penalty because it's an absolute PPM target (not ratio-normalized)
     // and Potassium Silicate also contributes K2O, so solver may under-use it otherwise
     // Using 10000 to strongly prioritize Si over ratio precision
-    const slackPenalty = isTargeted ? (n === 'Si' ? 10000 : 100) : 50;
+    // Micro targets are ~1000x smaller than macro ones, so their per-ppm penalty is scaled
+    // by 1/target to make a 10% micro miss cost about as much as a 10% macro miss
+    let slackPenalty = isTargeted ? (n === 'Si' ? 10000 : 100) : 50;
+    if (targetedMicros.includes(n)) {
+      // Covered by the water: any excess is judged against what was asked for
+      slackPenalty = MICRO_SLACK_PENALTY / (targets[n] || requestedTargets[n]);
+    }
     objective.push([slackPenalty, slackPlus[n]]);
     objective.push([slackPenalty, slackMinus[n]]);
   });
@@ -767,18 +2746,45 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
 
   model.setObjective(objective, 'MINIMIZE');
 
-  const lp = model.toLPFormat();
-  const solution = highs.solve(lp);
-  if (!solution || !model.variables) throw new Error('MILP solver failed');
-
-  const formula = {};
-  if (solution.Columns) {
-    fertilizers.forEach(f => {
-      const col = solution.Columns[`x_${f.id}`] || solution.Columns[f.id];
-      const grams = col && typeof col.Primal === 'number' ? col.Primal : 0;
-      if (grams > 1e-4) formula[f.id] = grams;
+  // Last resort: weighted least squares on the targeted nutrients, then drop products while
+  // the recipe stays within tolerance. Grams are solved in per-product units that meet the
+  // product's largest target share, which keeps the fixed-step NNLS stable at any volume.
+  const solveByLeastSquares = () => {
+    const NNLS_SCALE = 5;
+    const targeted = nutrients.filter(n => (targets[n] || 0) > 0);
+    const contribs = fertilizers.map(f => perGramContrib(f));
+    const units = contribs.map(c => {
+      const maxShare = Math.max(0, ...targeted.map(n => c[n] / targets[n]));
+      return maxShare > 0 ? 1 / maxShare : 0;
+    });
+    const matrix = contribs.map((c, i) => targeted.map(n => NNLS_SCALE * c[n] * units[i] / targets[n]));
+    const targetVector = targeted.map(() => NNLS_SCALE);
+
+    const base = window.FertilizerCore.solveNonNegativeLeastSquares(matrix, targetVector, 1500);
+    const pruned = window.FertilizerCore.pruneSolution(matrix, targetVector, [], base, fertilizers, tolerance);
+    const values = {};
+    fertilizers.forEach((f, i) => {
+      values[`x_${f.id}`] = pruned.x[i] * units[i];
     });
+    return values;
+  };
+
+  let backend, values;
+  try {
+    ({ backend, values } = await window.FertilizerCore.solveLpModel(model, onProgress));
+  } catch (err) {
+    devLog(`${err.message} - using least squares fallback (approximate)`, 'warn');
+    if (onProgress) onProgress('solving');
+    backend = 'nnls';
+    values = solveByLeastSquares();
   }
+  devLog(`Solver backend: ${backend}`);
+
+  const formula = {};
+  fertilizers.forEach(f => {
+    const grams = values[`x_${f.id}`] ?? values[f.id] ?? 0;
+    if (grams > 1e-4) formula[f.id] = grams;
+  });
 
   // Log PeKacid result if it was constrained
   if (pekacidMaxLimit > 0 && hasPekacid) {
@@ -790,6 +2796,7 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
   }
 
   const achieved = { N_total: 0, N_NO3: 0, N_NH4: 0, P2O5: 0, K2O: 0, P: 0, K: 0, Ca: 0, Mg: 0, S: 0, Si: 0 };
+  MICRONUTRIENT_KEYS.forEach(m => { achieved[m] = 0; });
   Object.entries(formula).forEach(([fid, grams]) => {
     const fert = fertilizers.find(f => f.id === fid);
     if (!fert) return;
@@ -836,7 +2843,7 @@ window.FertilizerCore.solveMilpBrowser = async function({ fertilizers, targets,
     });
   });
 
-  return { formula, achieved };
+  return { formula, achieved, backend };
 };
 
 /**
@@ -985,14 +2992,106 @@ window.FertilizerCore.pruneSolution = function(matrix, targetVector, weights, ba
   return best;
 };
 
-/**
- * Optimization algorithm - finds best fertilizer combination
- * @param {Object} options.onProgress - Optional callback for progress updates (e.g., WASM download)
- */
-window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, availableFertilizers, concentration = 75, mode = 'oxide', options = {}) {
-  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
-  const solveMilpBrowser = window.FertilizerCore.solveMilpBrowser;
-  const onProgress = options.onProgress;
+/**
+ * Optimization algorithm - finds best fertilizer combination
+ * @param {Object} options.onProgress - Optional callback for progress updates (e.g., WASM download)
+ * @param {Object} options.sourceWater - Optional water analysis (ppm), subtracted from the targets.
+ *   With targetEC the targets are scaled until water plus fertilizers reach it, so the final
+ *   solution keeps the ratios. Either way the returned achieved values include the water
+ *   (fertilizer-only values are in fertilizerAchieved).
+ * @param {Object} options.microTolerances - Optional per-micronutrient tolerance (fraction) for the MILP
+ * @param {string} options.objective - Optional MILP objective: 'priority' (default) or 'cost'
+ * @param {Object} options.prices - Optional { fertilizer_id: pricePerKg } for the 'cost' objective
+ * @param {Object} options.targetTDS - Optional { scale, ppm } TDS target, used as targetEC when that is not set
+ * @param {string} options.ecModel - Optional EC model for EC targeting ('standard' or 'davies', see estimateEC)
+ *
+ * The result's solverBackend is 'highs', 'glpk' or 'nnls' (see solveMilpBrowser).
+ * Micronutrient targets (targetRatios.Fe, Mn, Zn, Cu, B, Mo) are absolute ppm in every mode.
+ * Without targetEC they are solved together with the macros; with targetEC they are solved
+ * after EC scaling so the scaling never dilutes them.
+ */
+window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, availableFertilizers, concentration = 75, mode = 'oxide', options = {}) {
+  const OXIDE_CONVERSIONS = window.FertilizerCore.OXIDE_CONVERSIONS;
+  if (!(options.targetEC > 0) && options.targetTDS && options.targetTDS.ppm > 0) {
+    options = { ...options, targetEC: window.FertilizerCore.tdsToEc(options.targetTDS.ppm, options.targetTDS.scale) };
+  }
+  // Every solve for this recipe (EC rescaling, PeKacid reruns, micros) uses the same objective.
+  // The recipe reports the least exact backend any of its solves needed.
+  const BACKEND_ORDER = ['highs', 'glpk', 'nnls'];
+  let solverBackend = null;
+  const solveMilpBrowser = async (params) => {
+    const result = await window.FertilizerCore.solveMilpBrowser({
+      objective: options.objective,
+      prices: options.prices,
+      ...params
+    });
+    if (BACKEND_ORDER.indexOf(result.backend) > BACKEND_ORDER.indexOf(solverBackend)) {
+      solverBackend = result.backend;
+    }
+    return result;
+  };
+  const onProgress = options.onProgress;
+  const sourceWater = window.FertilizerCore.hasSourceWater(options.sourceWater) ? options.sourceWater : null;
+
+  // Report what reaches the plants: fertilizers plus source water
+  const withSourceWater = (result) => {
+    if (!sourceWater) return result;
+    return {
+      ...result,
+      achieved: window.FertilizerCore.addSourceWaterToPPM(result.achieved, sourceWater),
+      fertilizerAchieved: result.achieved,
+      sourceWater
+    };
+  };
+
+  const microTargets = {};
+  window.FertilizerCore.MICRONUTRIENT_KEYS.forEach(m => {
+    if ((targetRatios[m] || 0) > 0) microTargets[m] = targetRatios[m];
+  });
+  const hasMicroTargets = Object.keys(microTargets).length > 0;
+  const solveMicrosAfterScaling = hasMicroTargets && options.targetEC > 0;
+
+  // Top up micronutrients on an EC-scaled recipe: solve only for what the macro
+  // fertilizers and source water do not already supply, using micro-bearing products
+  const addMicronutrients = async (result) => {
+    if (!solveMicrosAfterScaling) return result;
+    const remaining = {};
+    Object.entries(microTargets).forEach(([m, target]) => {
+      remaining[m] = Math.max(0, target - (result.achieved[m] || 0));
+    });
+    const microFertilizers = availableFertilizers.filter(f =>
+      Object.keys(microTargets).some(m => (f.pct[m] || 0) > 0)
+    );
+    if (microFertilizers.length === 0 || !Object.values(remaining).some(v => v > 0)) return result;
+
+    devLog(`Solving micronutrients after EC scaling: ${JSON.stringify(remaining)}`);
+    const microResult = await solveMilpBrowser({
+      fertilizers: microFertilizers,
+      targets: remaining,
+      volume,
+      tolerance: 0.01,
+      onProgress,
+      sourceWater,
+      microTolerances: options.microTolerances
+    });
+
+    const formula = { ...result.formula };
+    Object.entries(microResult.formula).forEach(([fertId, grams]) => {
+      formula[fertId] = (formula[fertId] || 0) + grams;
+    });
+    const achieved = { ...result.achieved };
+    Object.entries(microResult.achieved).forEach(([key, ppm]) => {
+      achieved[key] = (achieved[key] || 0) + ppm;
+    });
+    return { ...result, formula, achieved };
+  };
+
+  const finalize = async (result) => {
+    const withMicros = await addMicronutrients(result);
+    if (hasMicroTargets) withMicros.targetPPM = { ...withMicros.targetPPM, ...microTargets };
+    withMicros.solverBackend = solverBackend;
+    return withSourceWater(withMicros);
+  };
 
   // Helper to log to both console and UI dev logs
   const devLog = (msg, type = 'info') => {
@@ -1007,7 +3106,7 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
   };
 
   // MILP is required - no fallback
-  if (typeof solveMilpBrowser !== 'function') {
+  if (typeof window.FertilizerCore.solveMilpBrowser !== 'function') {
     throw new Error('MILP solver (solveMilpBrowser) is not available. Ensure HiGHS and lp-model are loaded.');
   }
 
@@ -1026,6 +3125,10 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
       S: targetRatios.S || 0,
       Si: targetRatios.Si || 0
     };
+    // Separate nitrate / ammonium targets (ion target entry); N_total stays their sum
+    ['N_NO3', 'N_NH4'].forEach(key => {
+      if ((targetRatios[key] || 0) > 0) ppmTargets[key] = targetRatios[key];
+    });
   } else {
     const ratioNutrients = { N: targetRatios.N, P: targetRatios.P, K: targetRatios.K, Ca: targetRatios.Ca, Mg: targetRatios.Mg, S: targetRatios.S };
     const ratioValues = Object.values(ratioNutrients).filter(v => v > 0);
@@ -1059,11 +3162,22 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
   const pekacidMaxLimit = options.pekacidMaxLimit || 0;
   const nh4PctTarget = (typeof options.nh4PctTarget === 'number' && options.nh4PctTarget >= 0 && options.nh4PctTarget <= 100)
     ? options.nh4PctTarget : null;
-  let milpResult = await solveMilpBrowser({ fertilizers: availableFertilizers, targets: ppmTargets, volume, tolerance: 0.01, onProgress, pekacidMaxLimit, nh4PctTarget });
+  let milpResult = await solveMilpBrowser({
+    fertilizers: availableFertilizers,
+    targets: solveMicrosAfterScaling ? ppmTargets : { ...ppmTargets, ...microTargets },
+    volume,
+    tolerance: 0.01,
+    onProgress,
+    pekacidMaxLimit,
+    nh4PctTarget,
+    sourceWater: options.targetEC ? null : sourceWater,
+    microTolerances: options.microTolerances
+  });
 
   // Apply EC scaling if targetEC is specified
   if (options.targetEC && options.targetEC > 0) {
-    const estimateECFromPPM = window.FertilizerCore.estimateECFromPPM;
+    // EC targets describe the final solution, so the source water uses part of the EC budget
+    const estimateECFromPPM = (ppm) => window.FertilizerCore.estimateECFromPPM(ppm, { sourceWater, ecModel: options.ecModel });
     if (typeof estimateECFromPPM === 'function') {
       let originalEC = estimateECFromPPM(milpResult.achieved);
       if (originalEC && originalEC.ec_mS_cm > 0) {
@@ -1097,7 +3211,7 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
               targetRatios.S
             ].filter(v => v > 0);
             if (ratioValues.length === 0) {
-              return { formula: milpResult.formula, achieved: milpResult.achieved, targetRatios, targetPPM: ppmTargets };
+              return finalize({ formula: milpResult.formula, achieved: milpResult.achieved, targetRatios, targetPPM: ppmTargets });
             }
             const minRatio = Math.min(...ratioValues);
             const normalizedRatios = {
@@ -1132,7 +3246,8 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
                 volume,
                 tolerance: 0.01,
                 onProgress,
-                pekacidMaxLimit: 0
+                pekacidMaxLimit: 0,
+                sourceWater
               });
 
               result.formula[PEKACID_ID] = fixedPekacidGrams;
@@ -1177,15 +3292,62 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
               }
             }
 
-            return {
+            return finalize({
               formula: best.result.formula,
               achieved: best.result.achieved,
               targetRatios,
               targetPPM: ppmTargets,
               ecScaling: { scaleFactor: 1, originalEC: originalEC.ec_mS_cm, targetEC: options.targetEC, achievedEC: best.ec },
               pekacidFixed: true
-            };
+            });
+          }
+        }
+
+        // With source water, scaling the fertilizers alone would skew the final ratios (the
+        // water's share stays fixed). Scale the targets instead and subtract the water from
+        // them on every solve, searching for the scale that reaches the target EC.
+        if (sourceWater) {
+          const solveForScale = async (scale) => {
+            const targets = {};
+            Object.entries(ppmTargets).forEach(([key, ppm]) => {
+              targets[key] = key === 'Si' ? ppm : ppm * scale;
+            });
+            const result = await solveMilpBrowser({
+              fertilizers: availableFertilizers,
+              targets,
+              volume,
+              tolerance: 0.01,
+              onProgress,
+              pekacidMaxLimit,
+              nh4PctTarget,
+              sourceWater,
+              microTolerances: options.microTolerances
+            });
+            return { scale, result, ec: estimateECFromPPM(result.achieved).ec_mS_cm };
+          };
+          const closer = (a, b) => (Math.abs(b.ec - options.targetEC) < Math.abs(a.ec - options.targetEC) ? b : a);
+
+          let low = await solveForScale(scaleFactor);
+          let high = low;
+          for (let i = 0; i < 6 && low.ec > options.targetEC; i++) low = await solveForScale(low.scale / 2);
+          for (let i = 0; i < 6 && high.ec < options.targetEC; i++) high = await solveForScale(high.scale * 2);
+          let best = closer(low, high);
+          for (let i = 0; i < 12 && low.ec < options.targetEC && high.ec > options.targetEC; i++) {
+            if (Math.abs(best.ec - options.targetEC) / options.targetEC < 0.005) break;
+            const mid = await solveForScale((low.scale + high.scale) / 2);
+            best = closer(best, mid);
+            if (mid.ec >= options.targetEC) high = mid;
+            else low = mid;
           }
+          devLog(`EC target with source water: targets scaled ×${best.scale.toFixed(3)}, EC ${best.ec.toFixed(2)} mS/cm`);
+
+          return finalize({
+            formula: best.result.formula,
+            achieved: best.result.achieved,
+            targetRatios,
+            targetPPM: ppmTargets,
+            ecScaling: { scaleFactor: best.scale, originalEC: originalEC.ec_mS_cm, targetEC: options.targetEC, achievedEC: best.ec }
+          });
         }
 
         // Enable PeKacid re-run logic to keep PeKacid at cap during EC scaling
@@ -1212,7 +3374,7 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
 
               // Calculate PeKacid's EC contribution
               const pekacidNutrients = { N_total: 0, P: pekacidP_ppm, K: pekacidK_ppm, Ca: 0, Mg: 0, S: 0 };
-              const pekacidEC = estimateECFromPPM(pekacidNutrients);
+              const pekacidEC = window.FertilizerCore.estimateECFromPPM(pekacidNutrients, { ecModel: options.ecModel });
               const pekacidECContrib = pekacidEC ? pekacidEC.ec_mS_cm : 0;
 
               // Remaining EC budget for other fertilizers
@@ -1601,18 +3763,18 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
           scaleFactor = bestScaleFactor;
         }
 
-        return {
+        return finalize({
           formula: scaledFormula,
           achieved: scaledAchieved,
           targetRatios,
           targetPPM: ppmTargets,
           ecScaling: { scaleFactor, originalEC: originalEC.ec_mS_cm, targetEC: options.targetEC, achievedEC: finalEC }
-        };
+        });
       }
     }
   }
 
-  return { formula: milpResult.formula, achieved: milpResult.achieved, targetRatios, targetPPM: ppmTargets };
+  return finalize({ formula: milpResult.formula, achieved: milpResult.achieved, targetRatios, targetPPM: ppmTargets });
 };
 
 // =============================================================================
@@ -1622,13 +3784,33 @@ window.FertilizerCore.optimizeFormula = async function(targetRatios, volume, ava
 // by varying dosing. Implements Progressive-K algorithm for minimal tanks.
 
 /**
- * Get solubility limit for a fertilizer (g/L at 20°C)
+ * Get solubility limit for a fertilizer (g/L, at 20°C unless a temperature is given)
+ * The 20°C value is scaled along the fertilizer's curve in SOLUBILITY_CURVES (custom fertilizers:
+ * their solubilityCurve); temperatures outside the curve use its end points, fertilizers without
+ * a curve keep the 20°C value.
  * @param {string} fertId - Fertilizer ID
+ * @param {number} temperatureC - Optional solution temperature (°C)
  * @returns {number} Solubility in g/L
  */
-window.FertilizerCore.getSolubility = function(fertId) {
+window.FertilizerCore.getSolubility = function(fertId, temperatureC) {
   const fert = this.FERTILIZERS.find(f => f.id === fertId);
-  return fert?.solubility_gL ?? this.DEFAULT_SOLUBILITY_GL;
+  const solubility = fert?.solubility_gL ?? this.DEFAULT_SOLUBILITY_GL;
+  const curve = this.SOLUBILITY_CURVES[this.FERTILIZER_SOLUBILITY_CURVES[fertId] || fert?.solubilityCurve];
+  const temperature = parseFloat(temperatureC);
+  if (!curve || isNaN(temperature)) return solubility;
+
+  const valueAt = (t) => {
+    if (t <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+      const [t1, s1] = curve[i];
+      if (t <= t1) {
+        const [t0, s0] = curve[i - 1];
+        return s0 + (s1 - s0) * (t - t0) / (t1 - t0);
+      }
+    }
+    return curve[curve.length - 1][1];
+  };
+  return solubility * valueAt(temperature) / valueAt(this.SOLUBILITY_REFERENCE_TEMP_C);
 };
 
 /**
@@ -1837,44 +4019,192 @@ window.FertilizerCore.assignToTanks = function(formula, numTanks = 2, options =
 };
 
 /**
- * Check if a tank's stock composition is feasible (solubility)
+ * Solubility-product check of a concentrated stock tank
+ * Single-salt solubility misses salts that only form between two products (gypsum from
+ * two "neutral" fertilizers at 200x). The tank's pH comes from predictSolutionPH and the
+ * free ions (phosphate split, CaSO₄⁰/MgSO₄⁰/CaHPO₄⁰/MgHPO₄⁰ pairs, Davies coefficients) from
+ * estimateECDavies. Silicate is taken as SiO₃²⁻ (alkaline stock).
+ * @param {Object} tankFormula - { fertId: g/L in stock }
+ * @returns {Object} { pH, ionicStrength, saturation: [{ salt, formula, logIAP, logKsp,
+ *   saturationIndex, precipitates, nearSaturation }] } - one entry per salt whose ions are all
+ *   in the tank (bands: SATURATION_INDEX_LIMITS)
+ */
+window.FertilizerCore.checkTankPrecipitation = function(tankFormula) {
+  const speciation = this.predictSolutionPH(tankFormula, 1);
+  if (!speciation) return { pH: null, ionicStrength: 0, saturation: [] };
+  const ppm = this.calculatePpmFromFormula(tankFormula, 1);
+
+  let freeFeGL = 0;
+  for (const [fertId, gL] of Object.entries(tankFormula)) {
+    const fert = this.FERTILIZERS.find(f => f.id === fertId);
+    if (fert && gL > 0 && !this.CHELATED_FE_SOURCES.includes(fertId)) {
+      freeFeGL += gL * (fert.pct.Fe || 0) / 100;
+    }
+  }
+
+  const { pH } = speciation;
+  const solution = this.estimateECDavies({ ...this.ppmToIonsForEC(ppm), ...speciation.ions }, { pH });
+  const { ionicStrength, freeIons } = solution;
+  const gammaOf = (z) => this.daviesActivityCoefficient(z, ionicStrength);
+  const hydrogenPhosphate = (freeIons['HPO4^2-'] || 0) / 1000;
+  // Free mol/L of each ion a salt can draw on
+  const molar = {
+    'Ca2+': (freeIons['Ca2+'] || 0) / 1000,
+    'Mg2+': (freeIons['Mg2+'] || 0) / 1000,
+    'SO4^2-': (freeIons['SO4^2-'] || 0) / 1000,
+    'NH4+': (freeIons['NH4+'] || 0) / 1000,
+    'HPO4^2-': hydrogenPhosphate,
+    'PO4^3-': hydrogenPhosphate * Math.pow(10, -this.PHOSPHATE_PKA3) * gammaOf(2) / (Math.pow(10, -pH) * gammaOf(3)),
+    'SiO3^2-': (ppm.Si || 0) / 28.086 / 1000,
+    'Fe3+': freeFeGL / 55.845
+  };
+
+  const saturation = [];
+  this.PRECIPITATION_SALTS.forEach(salt => {
+    if (!salt.ions.every(({ ion }) => molar[ion] > 0)) return;
+    const logIAP = salt.ions.reduce((sum, { ion, charge }) => sum + Math.log10(gammaOf(charge) * molar[ion]), 0);
+    const saturationIndex = logIAP - salt.logKsp;
+    saturation.push({
+      salt: salt.id,
+      formula: salt.formula,
+      logIAP,
+      logKsp: salt.logKsp,
+      saturationIndex,
+      precipitates: saturationIndex > this.SATURATION_INDEX_LIMITS.error,
+      nearSaturation: saturationIndex > this.SATURATION_INDEX_LIMITS.warning
+    });
+  });
+
+  return { pH, ionicStrength, saturation };
+};
+
+/**
+ * Check if a tank's stock composition is feasible (solubility and precipitation)
  * @param {Object} tankFormula - { fertId: g/L in stock }
- * @returns {Object} { feasible: boolean, issues: [] }
+ * @param {Object} options - { temperatureC }: coldest storage temperature for the solubility limits (default 20°C)
+ * @returns {Object} { feasible: boolean, issues: [], precipitation } (precipitation: see checkTankPrecipitation)
  */
-window.FertilizerCore.checkTankFeasibility = function(tankFormula) {
+window.FertilizerCore.checkTankFeasibility = function(tankFormula, options = {}) {
+  const temperatureC = isNaN(parseFloat(options.temperatureC)) ? null : parseFloat(options.temperatureC);
   const issues = [];
+  const atTemp = temperatureC === null ? '' : ` at ${temperatureC}°C`;
 
   for (const [fertId, gL] of Object.entries(tankFormula)) {
     if (!gL || gL <= 0) continue;
 
-    const solubility = this.getSolubility(fertId);
+    const fert = this.FERTILIZERS.find(f => f.id === fertId);
+    const solubility = this.getSolubility(fertId, temperatureC);
     const pctUsed = (gL / solubility) * 100;
 
     if (gL > solubility) {
-      const fert = this.FERTILIZERS.find(f => f.id === fertId);
       issues.push({
         level: 'error',
         code: 'SOLUBILITY_EXCEEDED',
-        message: `${fert?.name || fertId} requires ${gL.toFixed(1)} g/L but max solubility is ${solubility} g/L`,
-        details: { fertilizer: fertId, required_gL: gL, max_gL: solubility, pctUsed }
+        message: `${fert?.name || fertId} requires ${gL.toFixed(1)} g/L but max solubility${atTemp} is ${+solubility.toFixed(1)} g/L`,
+        details: { fertilizer: fertId, required_gL: gL, max_gL: solubility, pctUsed, temperatureC }
       });
     } else if (pctUsed > 80) {
-      const fert = this.FERTILIZERS.find(f => f.id === fertId);
       issues.push({
         level: 'warning',
         code: 'SOLUBILITY_NEAR_LIMIT',
-        message: `${fert?.name || fertId} at ${pctUsed.toFixed(0)}% of solubility limit`,
-        details: { fertilizer: fertId, required_gL: gL, max_gL: solubility, pctUsed }
+        message: `${fert?.name || fertId} at ${pctUsed.toFixed(0)}% of solubility limit${atTemp}`,
+        details: { fertilizer: fertId, required_gL: gL, max_gL: solubility, pctUsed, temperatureC }
+      });
+    }
+
+    // Custom fertilizers without a curve keep their stated (20°C) solubility at any temperature
+    if (temperatureC !== null && temperatureC !== this.SOLUBILITY_REFERENCE_TEMP_C && fert?.custom && !fert.solubilityCurve) {
+      issues.push({
+        level: 'warning',
+        code: 'SOLUBILITY_NOT_TEMPERATURE_ADJUSTED',
+        message: `${fert.name} has no solubility curve, so its ${this.SOLUBILITY_REFERENCE_TEMP_C}°C solubility is used${atTemp}`,
+        details: { fertilizer: fertId, max_gL: solubility, temperatureC }
       });
     }
   }
 
+  const precipitation = this.checkTankPrecipitation(tankFormula);
+  precipitation.saturation.forEach(entry => {
+    const details = { salt: entry.salt, formula: entry.formula, saturationIndex: entry.saturationIndex, pH: precipitation.pH };
+    if (entry.precipitates) {
+      issues.push({
+        level: 'error',
+        code: 'PRECIPITATION_EXPECTED',
+        message: `${entry.formula} will precipitate (saturation index ${entry.saturationIndex.toFixed(2)})`,
+        details
+      });
+    } else if (entry.nearSaturation) {
+      issues.push({
+        level: 'warning',
+        code: 'PRECIPITATION_NEAR',
+        message: `${entry.formula} is ${entry.saturationIndex > 0 ? 'slightly supersaturated' : 'close to saturation'} (saturation index ${entry.saturationIndex.toFixed(2)})`,
+        details
+      });
+    }
+  });
+
   return {
     feasible: !issues.some(i => i.level === 'error'),
-    issues
+    issues,
+    precipitation
   };
 };
 
+/**
+ * Find the highest stock concentration factor at which every tank passes checkTankFeasibility
+ * A factor is accepted when the tanks would still pass at factor / (1 - safetyMargin), which
+ * leaves the same headroom below solubility and below precipitation.
+ * @param {Object} tankAssignment - { A: { fertId: grams per final L }, ... } (see assignToTanks)
+ * @param {Object} options - { safetyMargin = DEFAULT_STOCK_SAFETY_MARGIN, temperatureC (see
+ *   checkTankFeasibility), maxConcentration = MAX_STOCK_CONCENTRATION }
+ * @returns {Object} { concentrationFactor, limit: { tank, reason, fertilizer, salt } } - whole factor;
+ *   reason is 'solubility', 'precipitation' or 'maximum' (no tank limits it below maxConcentration)
+ */
+window.FertilizerCore.findMaxStockConcentration = function(tankAssignment, options = {}) {
+  const {
+    safetyMargin = this.DEFAULT_STOCK_SAFETY_MARGIN,
+    temperatureC,
+    maxConcentration = this.MAX_STOCK_CONCENTRATION
+  } = options;
+  const headroom = 1 / (1 - safetyMargin);
+
+  // First error of a tank at this factor (with headroom), null when it passes
+  const firstError = (tankFormula, factor) => {
+    const scaled = {};
+    for (const [fertId, gramsPerFinalL] of Object.entries(tankFormula)) {
+      if (gramsPerFinalL > 0) scaled[fertId] = gramsPerFinalL * factor * headroom;
+    }
+    return this.checkTankFeasibility(scaled, { temperatureC }).issues.find(i => i.level === 'error') || null;
+  };
+
+  let concentrationFactor = Math.floor(maxConcentration);
+  let limit = { tank: null, reason: 'maximum', fertilizer: null, salt: null };
+
+  for (const [tankId, tankFormula] of Object.entries(tankAssignment)) {
+    if (!tankFormula || !firstError(tankFormula, concentrationFactor)) continue;
+
+    // Solubility use and saturation both grow with the factor, so bisect for the last passing one
+    let passing = 0;
+    let failing = concentrationFactor;
+    while (failing - passing > 1) {
+      const mid = Math.floor((passing + failing) / 2);
+      if (firstError(tankFormula, mid)) failing = mid;
+      else passing = mid;
+    }
+
+    const error = firstError(tankFormula, failing);
+    concentrationFactor = passing;
+    limit = {
+      tank: tankId,
+      reason: error.code === 'SOLUBILITY_EXCEEDED' ? 'solubility' : 'precipitation',
+      fertilizer: error.details.fertilizer || null,
+      salt: error.details.salt || null
+    };
+  }
+
+  return { concentrationFactor, limit };
+};
+
 /**
  * Calculate PPM achieved from stock compositions and dosing
  * @param {Object} tanks - { A: {fertId: g/L}, B: {...}, ... }
@@ -1953,62 +4283,78 @@ window.FertilizerCore.checkRatioMatch = function(achieved, targetRatio, toleranc
   return { matches: Object.keys(errors).length === 0, errors };
 };
 
+// Penalty per mS/cm of EC missed in the dosing LP: far above any ratio error, so the EC
+// target only gives way when the dosing limits make it unreachable
+const DOSING_EC_PENALTY = 1e6;
+// Weight of the summed ratio error next to the largest one: only breaks ties between dosings
+// with the same worst nutrient
+const DOSING_SUM_ERROR_WEIGHT = 0.01;
+
 /**
- * Solve for dosing given fixed stock compositions to match target ratio and EC
- * Two-phase approach:
- *   Phase 1: Find tank dosing RATIOS that match the target nutrient ratio (ignoring EC)
- *   Phase 2: Scale all dosing uniformly to hit target EC
- * @param {Object} tanks - { A: {fertId: g/L}, B: {...} }
- * @param {Object} target - { ratio: {...}, targetEC, baselineEC }
- * @param {Object} options - { maxDosing, tolerance }
- * @returns {Object} { dosing: {A, B, ...}, achieved, predictedEC, feasible, issues }
+ * Internal: Linear program behind solveDosing
+ * Variables are mL/L per tank and `scale`, the ppm per ratio unit. Each targeted nutrient gets
+ * over/under slacks on ppm_n - ratio_n * scale; weighted by weight_n / ratio_n they are its
+ * relative ratio error (in units of scale). The objective is the largest of these, like the
+ * per-nutrient tolerance of checkRatioMatch, plus a small share of their sum. EC is the
+ * linearised sum of ecPerML, as a soft target. With an injector minimum each tank is either
+ * off or dosed within [minDosing, maxDosing].
+ * @returns {Promise<Object>} { backend, dosing: { A: mL/L, ... }, scale }
  */
-window.FertilizerCore.solveDosing = function(tanks, target, options = {}) {
-  const { maxDosing = 50, tolerance = 0.15 } = options; // Tolerance for ratio matching
-  const { ratio, targetEC, baselineEC = 0 } = target;
-  const estimateECFromPPM = this.estimateECFromPPM;
+async function solveDosingLp(core, { tankIds, perML, ecPerML, ratio, targetNutrients, weights, effectiveTargetEC, maxDosing, minDosing }) {
+  const { Model } = window.LPModel;
+  const model = new Model();
 
-  // Calculate nutrient contribution per mL of each tank
-  const tankContribPerML = {};
-  for (const [tankId, tankFormula] of Object.entries(tanks)) {
-    tankContribPerML[tankId] = { N: 0, P: 0, K: 0, Ca: 0, Mg: 0, S: 0 };
-    for (const [fertId, stock_gL] of Object.entries(tankFormula)) {
-      if (!stock_gL) continue;
-      const fert = this.FERTILIZERS.find(f => f.id === fertId);
-      if (!fert) continue;
-      const contribPerGram = this.getElementalContributionPerGram(fert);
-      for (const n of Object.keys(tankContribPerML[tankId])) {
-        tankContribPerML[tankId][n] += contribPerGram[n] * stock_gL / 1000;
-      }
+  const dose = {};
+  tankIds.forEach(t => {
+    dose[t] = model.addVar({ lb: 0, ub: maxDosing, vtype: 'CONTINUOUS', name: `d_${t}` });
+    if (minDosing > 0) {
+      const on = model.addVar({ lb: 0, ub: 1, vtype: 'BINARY', name: `on_${t}` });
+      model.addConstr([[1, dose[t]], [-maxDosing, on]], '<=', 0);
+      model.addConstr([[1, dose[t]], [-minDosing, on]], '>=', 0);
     }
-  }
+  });
+  const scale = model.addVar({ lb: 0, ub: '+infinity', vtype: 'CONTINUOUS', name: 'scale' });
+  const worstError = model.addVar({ lb: 0, ub: '+infinity', vtype: 'CONTINUOUS', name: 'worst_error' });
+
+  const objective = [[1, worstError]];
+  targetNutrients.forEach(n => {
+    const over = model.addVar({ lb: 0, ub: '+infinity', vtype: 'CONTINUOUS', name: `s_over_${n}` });
+    const under = model.addVar({ lb: 0, ub: '+infinity', vtype: 'CONTINUOUS', name: `s_under_${n}` });
+    model.addConstr([...tankIds.map(t => [perML[t][n], dose[t]]), [-ratio[n], scale], [-1, over], [1, under]], '=', 0);
+    const weight = (weights[n] ?? 1) / ratio[n];
+    model.addConstr([[weight, over], [weight, under], [-1, worstError]], '<=', 0);
+    objective.push([DOSING_SUM_ERROR_WEIGHT * weight, over], [DOSING_SUM_ERROR_WEIGHT * weight, under]);
+  });
 
-  const tankIds = Object.keys(tanks).filter(t => Object.keys(tanks[t]).length > 0);
-  if (tankIds.length === 0) {
-    return { dosing: {}, achieved: { N: 0, P: 0, K: 0, Ca: 0, Mg: 0, S: 0 }, predictedEC: baselineEC, feasible: false, issues: [{ level: 'error', code: 'NO_FERTILIZERS', message: 'No fertilizers in tanks' }] };
-  }
+  const ecOver = model.addVar({ lb: 0, ub: '+infinity', vtype: 'CONTINUOUS', name: 's_ec_over' });
+  const ecUnder = model.addVar({ lb: 0, ub: '+infinity', vtype: 'CONTINUOUS', name: 's_ec_under' });
+  model.addConstr([...tankIds.map(t => [ecPerML[t], dose[t]]), [-1, ecOver], [1, ecUnder]], '=', effectiveTargetEC);
+  objective.push([DOSING_EC_PENALTY, ecOver], [DOSING_EC_PENALTY, ecUnder]);
 
-  const effectiveTargetEC = targetEC - baselineEC;
-  if (effectiveTargetEC <= 0) {
-    return { dosing: {}, achieved: { N: 0, P: 0, K: 0, Ca: 0, Mg: 0, S: 0 }, predictedEC: baselineEC, feasible: false, issues: [{ level: 'error', code: 'EC_UNACHIEVABLE', message: `Target EC ${targetEC} is below baseline ${baselineEC}` }] };
-  }
+  model.setObjective(objective, 'MINIMIZE');
+  const { backend, values } = await core.solveLpModel(model);
+  const dosing = {};
+  tankIds.forEach(t => {
+    const dose = values[`d_${t}`] ?? 0;
+    dosing[t] = dose > 1e-9 ? dose : 0;
+  });
+  return { backend, dosing, scale: values.scale ?? 0 };
+}
 
-  // Get nutrients specified in target ratio
-  const targetNutrients = ['N', 'P', 'K', 'Ca', 'Mg', 'S'].filter(n => ratio[n] > 0);
+/**
+ * Internal: Grid search over tank dosing ratios, used by solveDosing when no LP backend works
+ * Returns dosing with the right proportions for the ratio (about 10 mL/L in total); the
+ * caller scales it to the EC target.
+ */
+function gridSearchDosingRatios(core, tanks, tankIds, ratio, targetNutrients) {
   const targetMin = Math.min(...targetNutrients.map(n => ratio[n]).filter(v => v > 0)) || 1;
 
-  // ========================================================================
-  // PHASE 1: Find dosing RATIOS that match the target nutrient ratio
-  // We optimize the A:B (or A:B:C, A:B:C:D) ratios to match nutrient ratios
-  // EC doesn't matter yet - we'll scale for EC in Phase 2
-  // ========================================================================
-
   let bestDosing = {};
   let bestRatioError = Infinity;
 
   // Helper to calculate ratio error for a given dosing
   const calcRatioError = (dosing) => {
-    const achieved = this.calculateAchievedPPM(tanks, dosing);
+    const achieved = core.calculateAchievedPPM(tanks, dosing);
     const achievedNonZero = targetNutrients.filter(n => achieved[n] > 0);
     if (achievedNonZero.length === 0) return Infinity;
 
@@ -2116,51 +4462,146 @@ window.FertilizerCore.solveDosing = function(tanks, target, options = {}) {
     }
   }
 
-  // ========================================================================
-  // PHASE 2: Scale all dosing uniformly to hit target EC
-  // The ratio between tanks stays the same, we just scale everything
-  // ========================================================================
+  return bestDosing;
+}
+
+/**
+ * Solve for dosing given fixed stock compositions to match target ratio and EC
+ * Solves for mL/L per tank directly as a linear program on the first backend that works
+ * (solveLpModel): minimise the weighted ratio error, the largest weight_n * |ppm_n - ratio_n * s| / ratio_n
+ * over the targeted nutrients (s = ppm per ratio unit), within the dosing limits, at the target EC.
+ * EC is not quite linear in dose, so the per-tank EC coefficients are corrected and the model
+ * re-solved until the predicted EC matches. Without a backend a grid search over tank ratios is
+ * scaled to the EC target instead.
+ * @param {Object} tanks - { A: {fertId: g/L}, B: {...} }
+ * @param {Object} target - { ratio: {...}, targetEC, baselineEC }
+ * @param {Object} options - { maxDosing, minDosing, weights, tolerance, ecModel } (ecModel: see estimateEC)
+ *   maxDosing: mL/L limit per tank (default 50); minDosing: injector minimum, a tank is either off
+ *   or dosed at least this much (default 0); weights: { N: 1, ... } per nutrient in the ratio error
+ * @returns {Promise<Object>} { dosing: {A, B, ...}, achieved, predictedEC, residuals, solver, feasible, issues }
+ *   residuals: { N: { target, achieved, residual, error } } - ppm against the target ratio at the
+ *   achieved strength, error relative to target; solver: 'highs', 'glpk' or 'grid'
+ */
+window.FertilizerCore.solveDosing = async function(tanks, target, options = {}) {
+  const { maxDosing = 50, minDosing = 0, weights = {}, tolerance = 0.15, ecModel } = options; // Tolerance for ratio matching
+  const { ratio, targetEC, baselineEC = 0 } = target;
+  const estimateECFromPPM = (ppm) => this.estimateECFromPPM(ppm, { ecModel });
+  const noDosing = { dosing: {}, achieved: { N: 0, P: 0, K: 0, Ca: 0, Mg: 0, S: 0 }, predictedEC: baselineEC, residuals: {}, solver: null, feasible: false };
+
+  const tankIds = Object.keys(tanks).filter(t => Object.keys(tanks[t]).length > 0);
+  if (tankIds.length === 0) {
+    return { ...noDosing, issues: [{ level: 'error', code: 'NO_FERTILIZERS', message: 'No fertilizers in tanks' }] };
+  }
+
+  const effectiveTargetEC = targetEC - baselineEC;
+  if (effectiveTargetEC <= 0) {
+    return { ...noDosing, issues: [{ level: 'error', code: 'EC_UNACHIEVABLE', message: `Target EC ${targetEC} is below baseline ${baselineEC}` }] };
+  }
+
+  // Get nutrients specified in target ratio
+  const targetNutrients = ['N', 'P', 'K', 'Ca', 'Mg', 'S'].filter(n => ratio[n] > 0);
+  const ecOf = (dosing) => estimateECFromPPM(this.calculateAchievedPPM(tanks, dosing)).ec_mS_cm;
+
+  let dosing = null;
+  let scale = null;
+  let solver = 'grid';
+
+  if (this.hasLpModel()) {
+    // ppm and EC per mL/L of each tank
+    const perML = {};
+    const ecPerML = {};
+    tankIds.forEach(t => {
+      perML[t] = this.calculateAchievedPPM(tanks, { [t]: 1 });
+      ecPerML[t] = ecOf({ [t]: 1 });
+    });
 
-  let dosing = { ...bestDosing };
+    try {
+      for (let i = 0; i < 6; i++) {
+        const lp = await solveDosingLp(this, {
+          tankIds, perML, ecPerML, ratio, targetNutrients, weights, effectiveTargetEC, maxDosing, minDosing
+        });
+        ({ dosing, scale } = lp);
+        solver = lp.backend;
+
+        // Correct the linear EC coefficients by the EC model's verdict on this dosing
+        const linearEC = tankIds.reduce((sum, t) => sum + ecPerML[t] * dosing[t], 0);
+        const ec = ecOf(dosing);
+        if (linearEC <= 0 || Math.abs(ec - effectiveTargetEC) <= 0.001 * effectiveTargetEC) break;
+        tankIds.forEach(t => { ecPerML[t] *= ec / linearEC; });
+      }
+    } catch (err) {
+      console.warn(`${err.message} - using grid search for dosing`);
+      dosing = null;
+      solver = 'grid';
+    }
+  }
 
-  // Calculate current EC
-  let achieved = this.calculateAchievedPPM(tanks, dosing);
-  let ecResult = estimateECFromPPM.call(this, achieved);
-  let currentEC = ecResult.ec_mS_cm;
+  if (!dosing) {
+    dosing = gridSearchDosingRatios(this, tanks, tankIds, ratio, targetNutrients);
 
-  // Scale to hit target EC
-  if (currentEC > 0) {
-    const ecScale = effectiveTargetEC / currentEC;
-    for (const t of tankIds) {
-      dosing[t] *= ecScale;
+    // Scale all dosing uniformly to hit target EC (EC is not quite linear in dose, so refine a few times)
+    let ec = ecOf(dosing);
+    for (let i = 0; i < 5 && ec > 0; i++) {
+      const ecScale = effectiveTargetEC / ec;
+      if (Math.abs(ecScale - 1) < 0.001) break;
+      for (const t of tankIds) {
+        dosing[t] *= ecScale;
+      }
+      ec = ecOf(dosing);
     }
-    achieved = this.calculateAchievedPPM(tanks, dosing);
-    ecResult = estimateECFromPPM.call(this, achieved);
   }
 
-  const predictedEC = ecResult.ec_mS_cm + baselineEC;
+  const achieved = this.calculateAchievedPPM(tanks, dosing);
+  const predictedEC = ecOf(dosing) + baselineEC;
+
+  // Residual per nutrient against the target ratio at the achieved strength (least squares
+  // scale when the grid search ran)
+  if (scale === null) {
+    const ratioSq = targetNutrients.reduce((sum, n) => sum + ratio[n] * ratio[n], 0);
+    scale = ratioSq > 0 ? targetNutrients.reduce((sum, n) => sum + achieved[n] * ratio[n], 0) / ratioSq : 0;
+  }
+  const residuals = {};
+  targetNutrients.forEach(n => {
+    const targetPPM = ratio[n] * scale;
+    residuals[n] = {
+      target: targetPPM,
+      achieved: achieved[n],
+      residual: achieved[n] - targetPPM,
+      error: targetPPM > 0 ? (achieved[n] - targetPPM) / targetPPM : 0
+    };
+  });
 
   // ========================================================================
   // Check constraints and build issues
   // ========================================================================
 
   const issues = [];
-  const totalDosing = Object.values(dosing).reduce((a, b) => a + b, 0);
 
-  if (totalDosing > maxDosing) {
-    issues.push({
-      level: 'error',
-      code: 'DOSING_EXCEEDS_MAX',
-      message: `Total dosing ${totalDosing.toFixed(1)} mL/L exceeds max ${maxDosing} mL/L`,
-      details: { required: totalDosing, max: maxDosing }
-    });
-  } else if (totalDosing > maxDosing * 0.8) {
-    issues.push({
-      level: 'warning',
-      code: 'HIGH_DOSING_VOLUME',
-      message: `Total dosing ${totalDosing.toFixed(1)} mL/L is high`,
-      details: { required: totalDosing, max: maxDosing }
-    });
+  for (const t of tankIds) {
+    const dose = dosing[t] || 0;
+    if (dose > maxDosing * 1.001) {
+      issues.push({
+        level: 'error',
+        code: 'DOSING_EXCEEDS_MAX',
+        message: `Tank ${t} dosing ${dose.toFixed(1)} mL/L exceeds max ${maxDosing} mL/L`,
+        details: { tank: t, required: dose, max: maxDosing }
+      });
+    } else if (dose > maxDosing * 0.8) {
+      issues.push({
+        level: 'warning',
+        code: 'HIGH_DOSING_VOLUME',
+        message: `Tank ${t} dosing ${dose.toFixed(1)} mL/L is high`,
+        details: { tank: t, required: dose, max: maxDosing }
+      });
+    }
+    if (dose > 1e-6 && dose < minDosing * 0.999) {
+      issues.push({
+        level: 'error',
+        code: 'DOSING_BELOW_MIN',
+        message: `Tank ${t} dosing ${dose.toFixed(2)} mL/L is below the injector minimum ${minDosing} mL/L`,
+        details: { tank: t, required: dose, min: minDosing }
+      });
+    }
   }
 
   // Check ratio match - this is an error that triggers escalation to more tanks
@@ -2174,9 +4615,17 @@ window.FertilizerCore.solveDosing = function(tanks, target, options = {}) {
     });
   }
 
-  // Check EC match (should be very close after scaling)
+  // Check EC match. Below target with a tank at its limit, the stock is too weak for the dosing limits
   const ecErrorFinal = Math.abs(predictedEC - targetEC) / targetEC;
-  if (ecErrorFinal > 0.05) {
+  const atLimit = tankIds.filter(t => dosing[t] >= maxDosing * 0.999);
+  if (ecErrorFinal > 0.05 && predictedEC < targetEC && atLimit.length > 0) {
+    issues.push({
+      level: 'error',
+      code: 'DOSING_EXCEEDS_MAX',
+      message: `Target EC ${targetEC.toFixed(2)} needs more than ${maxDosing} mL/L from tank ${atLimit.join(', ')}`,
+      details: { tanks: atLimit, predicted: predictedEC, target: targetEC, max: maxDosing }
+    });
+  } else if (ecErrorFinal > 0.05) {
     issues.push({
       level: 'warning',
       code: 'EC_MISMATCH',
@@ -2189,6 +4638,8 @@ window.FertilizerCore.solveDosing = function(tanks, target, options = {}) {
     dosing,
     achieved,
     predictedEC,
+    residuals,
+    solver,
     feasible: !issues.some(i => i.level === 'error'),
     issues
   };
@@ -2200,9 +4651,22 @@ window.FertilizerCore.solveDosing = function(tanks, target, options = {}) {
  * @param {Object} options
  * @param {Array} options.targets - Array of { id, ratio, targetEC, baselineEC?, maxDosingML?, finalLiters? }
  * @param {Array} options.availableFertilizers - Array of fertilizer IDs
- * @param {number} options.stockConcentration - e.g., 100 for 100x
- * @param {number} options.stockTankVolumeL - Liters per stock tank
+ * @param {number|string} options.stockConcentration - e.g., 100 for 100x, or 'auto' for the highest
+ *   factor every tank allows (see findMaxStockConcentration)
+ * @param {number|string} options.stockTankVolumeL - Liters per stock tank, or 'auto' for the smallest
+ *   tank that holds the stock for workingVolumeL of every target
+ * @param {number} options.workingVolumeL - Working solution liters per target (default 1000), the
+ *   default for target.finalLiters
+ * @param {number} options.safetyMargin - Headroom kept below the tank limits (default DEFAULT_STOCK_SAFETY_MARGIN)
+ * @param {number} options.maxDosingML - mL/L limit per tank (default 50), the default for target.maxDosingML
+ * @param {number} options.minDosingML - Injector minimum in mL/L: each tank is off or dosed at least this much
+ * @param {Object} options.nutrientWeights - { N: 1, ... } weights of the ratio error in dosing (see solveDosing)
  * @param {number} options.baselineEC - Default baseline EC
+ * @param {string} options.ecModel - Optional EC model for dosing ('standard' or 'davies', see estimateEC)
+ * @param {number} options.storageTemperatureC - Coldest expected stock tank temperature (°C); solubility
+ *   limits are taken at this temperature (default: the 20°C values)
+ * @param {Function} options.onProgress - Optional (status, detail) callback: 'tanks' with
+ *   {numTanks, percent} before each Progressive-K attempt, plus the MILP statuses
  * @returns {Promise<Object>} StockPlan
  */
 window.FertilizerCore.calculateStockSolutions = async function(options) {
@@ -2211,7 +4675,15 @@ window.FertilizerCore.calculateStockSolutions = async function(options) {
     availableFertilizers,
     stockConcentration = 100,
     stockTankVolumeL = 20,
-    baselineEC: defaultBaselineEC = 0
+    workingVolumeL = 1000,
+    safetyMargin = this.DEFAULT_STOCK_SAFETY_MARGIN,
+    maxDosingML = 50,
+    minDosingML = 0,
+    nutrientWeights = {},
+    baselineEC: defaultBaselineEC = 0,
+    onProgress,
+    ecModel,
+    storageTemperatureC
   } = options;
 
   if (!targets || targets.length === 0) {
@@ -2237,6 +4709,7 @@ window.FertilizerCore.calculateStockSolutions = async function(options) {
 
   // Progressive-K algorithm: try K=2, then K=3, then K=4
   for (let numTanks = 2; numTanks <= 4; numTanks++) {
+    if (onProgress) onProgress('tanks', { numTanks, percent: Math.round((numTanks - 2) / 3 * 100) });
     const result = await this._tryStockSolutionWithKTanks(
       numTanks,
       targets,
@@ -2244,7 +4717,9 @@ window.FertilizerCore.calculateStockSolutions = async function(options) {
       stockConcentration,
       stockTankVolumeL,
       defaultBaselineEC,
-      maxECTarget
+      maxECTarget,
+      onProgress,
+      { workingVolumeL, safetyMargin, maxDosingML, minDosingML, nutrientWeights, ecModel, storageTemperatureC }
     );
 
     if (result.success) {
@@ -2274,7 +4749,18 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
   stockConcentration,
   stockTankVolumeL,
   defaultBaselineEC,
-  maxECTarget
+  maxECTarget,
+  onProgress,
+  {
+    workingVolumeL = 1000,
+    safetyMargin = this.DEFAULT_STOCK_SAFETY_MARGIN,
+    maxDosingML = 50,
+    minDosingML = 0,
+    nutrientWeights = {},
+    ecModel,
+    storageTemperatureC,
+    baseFormula
+  } = {}
 ) {
   const allIssues = [];
   const allErrors = [];
@@ -2387,15 +4873,15 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
     return f;
   });
 
-  // Run MILP optimization
-  const optimResult = await optimizeFormula.call(
+  // Run MILP optimization (Mode A passes its merged formula as {formula, solverBackend} instead)
+  const optimResult = baseFormula || await optimizeFormula.call(
     this,
     baseTarget.ratio,
     1,
     adjustedFertObjects,
     150,
     'elemental',
-    { useMilp: true }
+    { useMilp: true, onProgress }
   );
 
   if (!optimResult.formula || Object.keys(optimResult.formula).length === 0) {
@@ -2407,23 +4893,36 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
     separateMg: hasVaryingPMg
   });
 
-  // Calculate maximum safe stock concentration based on solubility limits
-  // For each fertilizer, max concentration = solubility / gramsPerFinalL
-  let maxSafeConcentration = stockConcentration;
-  for (const [tankId, tankFormula] of Object.entries(tankAssignment)) {
-    for (const [fertId, gramsPerFinalL] of Object.entries(tankFormula)) {
-      if (!gramsPerFinalL || gramsPerFinalL <= 0) continue;
-      const solubility = this.getSolubility(fertId);
-      // Use 80% of solubility as safe limit
-      const maxConc = (solubility * 0.8) / gramsPerFinalL;
-      if (maxConc < maxSafeConcentration) {
-        maxSafeConcentration = maxConc;
+  const autoConcentration = stockConcentration === 'auto';
+  const autoTankVolume = stockTankVolumeL === 'auto';
+  let effectiveConcentration;
+  let concentrationLimit = null;
+
+  if (autoConcentration) {
+    // Highest factor every tank allows, solubility and precipitation included
+    const search = this.findMaxStockConcentration(tankAssignment, { safetyMargin, temperatureC: storageTemperatureC });
+    effectiveConcentration = search.concentrationFactor;
+    concentrationLimit = search.limit;
+  } else {
+    // Calculate maximum safe stock concentration based on solubility limits
+    // For each fertilizer, max concentration = solubility / gramsPerFinalL (at the coldest storage temperature)
+    let maxSafeConcentration = stockConcentration;
+    for (const [tankId, tankFormula] of Object.entries(tankAssignment)) {
+      for (const [fertId, gramsPerFinalL] of Object.entries(tankFormula)) {
+        if (!gramsPerFinalL || gramsPerFinalL <= 0) continue;
+        const solubility = this.getSolubility(fertId, storageTemperatureC);
+        // Keep the safety margin below solubility
+        const maxConc = (solubility * (1 - safetyMargin)) / gramsPerFinalL;
+        if (maxConc < maxSafeConcentration) {
+          maxSafeConcentration = maxConc;
+        }
       }
     }
+
+    // Use the lower of requested and safe concentration
+    effectiveConcentration = Math.min(stockConcentration, Math.floor(maxSafeConcentration));
   }
 
-  // Use the lower of requested and safe concentration
-  const effectiveConcentration = Math.min(stockConcentration, Math.floor(maxSafeConcentration));
   if (effectiveConcentration < 10) {
     // Concentration too low to be practical
     return { success: false, errors: [{ level: 'error', code: 'CONCENTRATION_TOO_LOW', message: `Required stock concentration (${effectiveConcentration}x) is too low due to solubility limits` }] };
@@ -2462,12 +4961,12 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
 
     for (const [fertId, gramsPerFinalL] of Object.entries(tankFormula)) {
       const stock_gL = gramsPerFinalL * effectiveConcentration;
-      const solubility = this.getSolubility(fertId);
+      const solubility = this.getSolubility(fertId, storageTemperatureC);
       const solubility_pct = (stock_gL / solubility) * 100;
 
       tanks[tankId].fertilizers[fertId] = {
         grams_per_L: stock_gL,
-        grams_total: stock_gL * stockTankVolumeL,
+        grams_total: autoTankVolume ? null : stock_gL * stockTankVolumeL,
         solubility_pct
       };
       tanks[tankId].totalSolids_gL += stock_gL;
@@ -2487,7 +4986,9 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
     for (const [fertId, data] of Object.entries(tanks[tankId].fertilizers)) {
       tankFormulaGL[fertId] = data.grams_per_L;
     }
-    const feasibility = this.checkTankFeasibility(tankFormulaGL);
+    const feasibility = this.checkTankFeasibility(tankFormulaGL, { temperatureC: storageTemperatureC });
+    tanks[tankId].precipitation = feasibility.precipitation;
+    feasibility.issues.forEach(issue => { issue.details.tank = tankId; });
     allIssues.push(...feasibility.issues);
     if (!feasibility.feasible) {
       allErrors.push(...feasibility.issues.filter(i => i.level === 'error'));
@@ -2495,7 +4996,7 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
   }
 
   // Add warning if concentration was reduced
-  if (effectiveConcentration < stockConcentration) {
+  if (!autoConcentration && effectiveConcentration < stockConcentration) {
     allIssues.push({
       level: 'warning',
       code: 'CONCENTRATION_REDUCED',
@@ -2523,14 +5024,14 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
 
   for (const target of targets) {
     const targetBaselineEC = target.baselineEC ?? defaultBaselineEC;
-    const maxDosing = target.maxDosingML ?? 50;
-    const finalLiters = target.finalLiters ?? 1000;
+    const maxDosing = target.maxDosingML ?? maxDosingML;
+    const finalLiters = target.finalLiters ?? workingVolumeL;
 
-    const dosingResult = this.solveDosing(tanksForDosing, {
+    const dosingResult = await this.solveDosing(tanksForDosing, {
       ratio: target.ratio,
       targetEC: target.targetEC,
       baselineEC: targetBaselineEC
-    }, { maxDosing, tolerance: 0.15 });
+    }, { maxDosing, minDosing: minDosingML, weights: nutrientWeights, tolerance: 0.15, ecModel });
 
     const tankDosing = {};
     for (const [tankId, mL_per_L] of Object.entries(dosingResult.dosing)) {
@@ -2555,6 +5056,7 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
       predicted: {
         nutrients: dosingResult.achieved,
         ratio: target.ratio,
+        residuals: dosingResult.residuals,
         EC: dosingResult.predictedEC,
         ionBalance: {
           cations: ionBalance.totalCations,
@@ -2577,6 +5079,18 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
     return { success: false, tanks, dosing: dosingInstructions, errors: allErrors, warnings: allIssues.filter(i => i.level !== 'error') };
   }
 
+  // Smallest whole-liter tank that holds the stock each target draws for its working volume
+  let tankVolumeL = stockTankVolumeL;
+  if (autoTankVolume) {
+    const largestDraw_mL = Math.max(...dosingInstructions.flatMap(d => Object.values(d.tanks).map(t => t.mL_total)));
+    tankVolumeL = Math.max(1, Math.ceil(largestDraw_mL / 1000));
+    for (const tank of Object.values(tanks)) {
+      for (const fertData of Object.values(tank.fertilizers)) {
+        fertData.grams_total = fertData.grams_per_L * tankVolumeL;
+      }
+    }
+  }
+
   return {
     success: true,
     tanks,
@@ -2584,19 +5098,35 @@ window.FertilizerCore._tryStockSolutionWithKTanks = async function(
     warnings: allIssues.filter(i => i.level !== 'error'),
     errors: [],
     meta: {
-      concentrationFactor: stockConcentration,
-      tankVolumeL: stockTankVolumeL,
+      concentrationFactor: effectiveConcentration,
+      requestedConcentration: stockConcentration,
+      concentrationLimit,
+      tankVolumeL,
+      safetyMargin,
       baselineEC: defaultBaselineEC,
+      storageTemperatureC: isNaN(parseFloat(storageTemperatureC)) ? null : parseFloat(storageTemperatureC),
       mode: 'B', // Common stocks
-      numTanks: Object.keys(tanks).length
+      numTanks: Object.keys(tanks).length,
+      solverBackend: optimResult.solverBackend
     }
   };
 };
 
+// Worst relative ratio error over a target's nutrients (solveDosing residuals)
+function worstRatioError(residuals) {
+  return Math.max(0, ...Object.values(residuals || {}).map(r => Math.abs(r.error)));
+}
+
 /**
- * Mode A (alternative): Optimize separately for each target, then try to merge
- * @param {Object} options - Same as calculateStockSolutions
- * @returns {Promise<Object>} StockPlan
+ * Mode A (alternative): Optimize separately for each target, then merge the formulas
+ * into one set of shared tanks. Each target's fidelity compares the worst ratio error of
+ * its dosing from the shared tanks with that of its own formula; Progressive-K adds tanks
+ * until every target is within mergeTolerance of its own optimum.
+ * @param {Object} options - Same as calculateStockSolutions, plus
+ * @param {number} options.mergeTolerance - Fidelity a target may lose to the shared tanks
+ *   (fraction, default MODE_A_FIDELITY_TOLERANCE)
+ * @returns {Promise<Object>} StockPlan with meta.mode 'A'; each dosing entry has
+ *   fidelity = {optimumError, sharedError, loss, withinTolerance}
  */
 window.FertilizerCore.calculateStockSolutionsModeA = async function(options) {
   const {
@@ -2604,15 +5134,36 @@ window.FertilizerCore.calculateStockSolutionsModeA = async function(options) {
     availableFertilizers,
     stockConcentration = 100,
     stockTankVolumeL = 20,
-    baselineEC: defaultBaselineEC = 0
+    workingVolumeL = 1000,
+    safetyMargin = this.DEFAULT_STOCK_SAFETY_MARGIN,
+    maxDosingML = 50,
+    minDosingML = 0,
+    nutrientWeights = {},
+    mergeTolerance = this.MODE_A_FIDELITY_TOLERANCE,
+    baselineEC: defaultBaselineEC = 0,
+    onProgress,
+    ecModel,
+    storageTemperatureC
   } = options;
 
-  // For each target, optimize independently
-  const perTargetResults = [];
+  if (!targets || targets.length === 0) {
+    return { success: false, errors: [{ level: 'error', code: 'NO_TARGETS', message: 'No targets specified' }] };
+  }
+
+  if (!availableFertilizers || availableFertilizers.length === 0) {
+    return { success: false, errors: [{ level: 'error', code: 'NO_FERTILIZERS', message: 'No fertilizers available' }] };
+  }
+
   const fertObjects = availableFertilizers
     .map(id => this.FERTILIZERS.find(f => f.id === id))
     .filter(Boolean);
 
+  if (fertObjects.length === 0) {
+    return { success: false, errors: [{ level: 'error', code: 'NO_VALID_FERTILIZERS', message: 'No valid fertilizers found' }] };
+  }
+
+  // For each target, optimize independently
+  const perTargetResults = [];
   for (const target of targets) {
     const baselineEC = target.baselineEC ?? defaultBaselineEC;
     const effectiveEC = target.targetEC - baselineEC;
@@ -2623,51 +5174,195 @@ window.FertilizerCore.calculateStockSolutionsModeA = async function(options) {
       fertObjects,
       effectiveEC * 50,
       'elemental',
-      { useMilp: true, targetEC: effectiveEC }
+      { useMilp: true, targetEC: effectiveEC, ecModel, onProgress }
     );
 
+    if (!optimResult.formula || Object.keys(optimResult.formula).length === 0) {
+      return { success: false, errors: [{ level: 'error', code: 'OPTIMIZATION_FAILED', message: `Could not find fertilizer formula for target ${target.id}`, details: { targetId: target.id } }] };
+    }
+
+    // Its own optimum: the formula as one 1000x stock, free of tank and injector limits
+    const ownStock = {};
+    for (const [fertId, grams] of Object.entries(optimResult.formula)) {
+      ownStock[fertId] = grams * 1000;
+    }
+    const own = await this.solveDosing({ own: ownStock }, {
+      ratio: target.ratio,
+      targetEC: target.targetEC,
+      baselineEC
+    }, { weights: nutrientWeights, ecModel });
+
     perTargetResults.push({
       target,
       formula: optimResult.formula,
-      achieved: optimResult.achieved
+      solverBackend: optimResult.solverBackend,
+      optimumError: worstRatioError(own.residuals)
     });
   }
 
-  // For Mode A, we return separate stock plans per target
-  const plans = [];
-  for (const result of perTargetResults) {
-    const tankAssignment = this.assignToTanks(result.formula, 2);
-    const tanks = {};
+  // Merge: every formula rescaled to the mean total weight, then averaged, so each
+  // target counts equally in the shared tank compositions
+  const totals = perTargetResults.map(r => Object.values(r.formula).reduce((a, b) => a + b, 0));
+  const meanTotal = totals.reduce((a, b) => a + b, 0) / totals.length;
+  const mergedFormula = {};
+  perTargetResults.forEach((r, i) => {
+    for (const [fertId, grams] of Object.entries(r.formula)) {
+      mergedFormula[fertId] = (mergedFormula[fertId] || 0) + grams * meanTotal / totals[i] / perTargetResults.length;
+    }
+  });
+  const fallbackBackend = perTargetResults.find(r => r.solverBackend !== 'highs');
+  const baseFormula = {
+    formula: mergedFormula,
+    solverBackend: (fallbackBackend || perTargetResults[0]).solverBackend
+  };
 
-    for (const [tankId, tankFormula] of Object.entries(tankAssignment)) {
-      if (!tankFormula || Object.keys(tankFormula).length === 0) continue;
+  const maxECTarget = [...targets].sort((a, b) => (b.targetEC || 0) - (a.targetEC || 0))[0];
 
-      tanks[tankId] = { id: tankId, fertilizers: {} };
-      for (const [fertId, gramsPerFinalL] of Object.entries(tankFormula)) {
-        const stock_gL = gramsPerFinalL * stockConcentration;
-        tanks[tankId].fertilizers[fertId] = {
-          grams_per_L: stock_gL,
-          grams_total: stock_gL * stockTankVolumeL
-        };
-      }
+  // Progressive-K on the merged formula; keep the plan that loses the least fidelity
+  let best = null;
+  let lastFailure = null;
+  for (let numTanks = 2; numTanks <= 4; numTanks++) {
+    if (onProgress) onProgress('tanks', { numTanks, percent: Math.round((numTanks - 2) / 3 * 100) });
+    const result = await this._tryStockSolutionWithKTanks(
+      numTanks,
+      targets,
+      fertObjects,
+      stockConcentration,
+      stockTankVolumeL,
+      defaultBaselineEC,
+      maxECTarget,
+      onProgress,
+      { workingVolumeL, safetyMargin, maxDosingML, minDosingML, nutrientWeights, ecModel, storageTemperatureC, baseFormula }
+    );
+
+    if (!result.success) {
+      lastFailure = result;
+      continue;
     }
 
-    plans.push({
-      targetId: result.target.id,
-      tanks,
-      dosing: { A: { mL_per_L: 1000 / stockConcentration }, B: { mL_per_L: 1000 / stockConcentration } }
+    result.dosing.forEach((d, i) => {
+      const optimumError = perTargetResults[i].optimumError;
+      const sharedError = worstRatioError(d.predicted.residuals);
+      const loss = Math.max(0, sharedError - optimumError);
+      d.fidelity = { optimumError, sharedError, loss, withinTolerance: loss <= mergeTolerance };
     });
+    const worstLoss = Math.max(...result.dosing.map(d => d.fidelity.loss));
+    if (!best || worstLoss < best.worstLoss) {
+      best = { result, worstLoss };
+    }
+    if (worstLoss <= mergeTolerance) break;
   }
 
-  return {
-    success: true,
-    mode: 'A',
-    plans,
-    meta: {
-      concentrationFactor: stockConcentration,
-      tankVolumeL: stockTankVolumeL,
-      baselineEC: defaultBaselineEC
+  if (!best) {
+    return lastFailure || { success: false, errors: [{ level: 'error', code: 'INFEASIBLE', message: 'Could not find feasible stock solution with up to 4 tanks' }] };
+  }
+
+  const plan = best.result;
+  plan.dosing.filter(d => !d.fidelity.withinTolerance).forEach(d => {
+    const pct = value => (value * 100).toFixed(1);
+    plan.warnings.push({
+      level: 'warning',
+      code: 'FIDELITY_LOSS',
+      message: `Shared stocks give up ${pct(d.fidelity.loss)}% ratio fidelity for ${d.targetId} (worst nutrient ${pct(d.fidelity.sharedError)}% off vs ${pct(d.fidelity.optimumError)}% on its own)`,
+      details: { targetId: d.targetId, ...d.fidelity, tolerance: mergeTolerance }
+    });
+  });
+  plan.meta.mode = 'A'; // Per-target optima merged into shared stocks
+  plan.meta.mergeTolerance = mergeTolerance;
+  return plan;
+};
+
+// =============================================================================
+// MIX SHEET
+// =============================================================================
+
+/**
+ * Data for a printable mix sheet: weighing checklist, tank contents, dosing and expected EC.
+ * A formula is either mixed directly as working solution (concentrationFactor 1) or made into
+ * stock concentrates - tanks from `assignment` (e.g. splitIntoTwoTanks) or assignToTanks.
+ * A stock plan passes its tanks and dosing as calculated.
+ * @param {Object} options
+ * @param {Object} options.formula - { fertId: grams } for `volume` liters of working solution
+ * @param {number} options.volume - Working solution volume in liters
+ * @param {number} options.concentrationFactor - 1 = mix the working solution directly (default), e.g. 100 for 100× stocks
+ * @param {number} options.tankVolume - Liters per stock tank (concentrates only)
+ * @param {number} options.numTanks - Stock tanks for assignToTanks (2-4, default 2)
+ * @param {Object} options.assignment - Optional { A: { fertId: grams }, B: {...} } split of the formula
+ * @param {Array} options.tanks - Stock plan tanks [{ id, fertilizers: { fertId: grams in the tank } }]; replaces the formula
+ * @param {Array} options.dosing - Stock plan dosing [{ name, ec, mLPerL: { A: 5, ... } }]
+ * @param {Object} options.sourceWater - Optional water analysis (ppm) for the expected EC of a formula
+ * @returns {Object} { concentrationFactor, tankVolume, volume, tanks, steps, dosing, expectedEC }
+ *   tanks: [{ id, fertilizers: [{ id, grams, gPerL, solubilityPct }], totalGrams, mLPerL }] (id null when mixed directly);
+ *   steps: weighing checklist [{ step, tank, id, grams }]; expectedEC: mS/cm of the formula (null for stock plans)
+ */
+window.FertilizerCore.buildMixSheet = function(options) {
+  const {
+    formula = {},
+    volume = 0,
+    concentrationFactor = 1,
+    tankVolume = 0,
+    numTanks = 2,
+    assignment = null,
+    tanks: planTanks = null,
+    dosing: planDosing = [],
+    sourceWater = null
+  } = options;
+
+  const describeTank = (id, gramsById, liters, mLPerL) => {
+    const fertilizers = Object.entries(gramsById)
+      .filter(([, grams]) => grams > 0)
+      .map(([fertId, grams]) => {
+        const gPerL = liters > 0 ? grams / liters : 0;
+        return { id: fertId, grams, gPerL, solubilityPct: gPerL / this.getSolubility(fertId) * 100 };
+      });
+    return { id, fertilizers, totalGrams: fertilizers.reduce((sum, f) => sum + f.grams, 0), mLPerL };
+  };
+
+  let tanks;
+  let dosing = planDosing;
+  let expectedEC = null;
+
+  if (planTanks) {
+    tanks = planTanks.map(tank => describeTank(tank.id, tank.fertilizers, tankVolume, null));
+    tanks.forEach(tank => {
+      const doses = dosing.map(d => d.mLPerL[tank.id] || 0).filter(mL => mL > 0);
+      tank.mLPerL = doses.length > 0 && doses.every(mL => mL === doses[0]) ? doses[0] : null;
+    });
+  } else {
+    const ppm = this.calculatePpmFromFormula(formula, volume, { sourceWater });
+    expectedEC = this.estimateECFromPPM(ppm).ec_mS_cm;
+
+    if (concentrationFactor > 1) {
+      const split = assignment || this.assignToTanks(formula, numTanks);
+      const mLPerL = 1000 / concentrationFactor;
+      tanks = Object.entries(split)
+        .filter(([, gramsById]) => Object.values(gramsById).some(grams => grams > 0))
+        .map(([tankId, gramsById]) => {
+          const stockGrams = {};
+          Object.entries(gramsById).forEach(([fertId, grams]) => {
+            stockGrams[fertId] = grams / volume * concentrationFactor * tankVolume;
+          });
+          return describeTank(tankId, stockGrams, tankVolume, mLPerL);
+        });
+      dosing = [{ name: null, ec: expectedEC, mLPerL: Object.fromEntries(tanks.map(tank => [tank.id, mLPerL])) }];
+    } else {
+      tanks = [describeTank(null, formula, volume, null)];
     }
+  }
+
+  const steps = [];
+  tanks.forEach(tank => {
+    tank.fertilizers.forEach(f => steps.push({ step: steps.length + 1, tank: tank.id, id: f.id, grams: f.grams }));
+  });
+
+  return {
+    concentrationFactor: planTanks || concentrationFactor > 1 ? concentrationFactor : 1,
+    tankVolume: planTanks || concentrationFactor > 1 ? tankVolume : null,
+    volume,
+    tanks,
+    steps,
+    dosing,
+    expectedEC
   };
 };
 
@@ -2676,15 +5371,49 @@ window.FertilizerCore.calculateStockSolutionsModeA = async function(options) {
 // =============================================================================
 // Data: FERTILIZERS, OXIDE_CONVERSIONS, MOLAR_MASSES, IONIC_CHARGES, EC_CONTRIBUTIONS,
 //       IONIC_MOLAR_CONDUCTIVITY, ION_CHARGES, ION_DATA, COMMON_FERTILIZERS, FERTILIZER_COMPATIBILITY,
-//       DEFAULT_SOLUBILITY_GL
+//       DEFAULT_SOLUBILITY_GL, SOURCE_WATER_IONS, SOURCE_WATER_TRACE_KEYS, ACID_FERTILIZERS,
+//       CARBONIC_ACID_PKA1, PH_SHIFTING_FERTILIZERS, PHOSPHATE_PKA1, AMMONIUM_PKA, WATER_PKW,
+//       PH_DEPENDENT_IONS, PHOSPHATE_PKA2, DEFAULT_SOLUTION_PH, DAVIES_A, DAVIES_MAX_IONIC_STRENGTH, ION_PAIRS,
+//       PRECIPITATION_SALTS, PHOSPHATE_PKA3, CHELATED_FE_SOURCES, SATURATION_INDEX_LIMITS,
+//       SOLUBILITY_REFERENCE_TEMP_C, SOLUBILITY_CURVES, SOLUBILITY_CURVE_FORMULAS, FERTILIZER_SOLUBILITY_CURVES,
+//       DEFAULT_STOCK_SAFETY_MARGIN, MAX_STOCK_CONCENTRATION, MODE_A_FIDELITY_TOLERANCE,
+//       MICRONUTRIENT_KEYS, DEFAULT_MICRO_TOLERANCES, CUSTOM_FERTILIZER_ID_PREFIX,
+//       CUSTOM_FERTILIZER_STORAGE_KEY, CUSTOM_FERTILIZER_ANALYSIS_FIELDS, CUSTOM_FERTILIZER_IONS,
+//       PRICE_STORAGE_KEY, DEFAULT_BAG_KG
 // Helpers: hasCaContent, hasSulfateContent, hasPhosphateContent, hasSilicateContent, hasIncompatibleFertilizers,
 //          getSolubility, getCompatibilityTag, parseRatio, getElementalContributionPerGram
-// EC: estimateEC, ppmToIonsForEC, estimateECFromPPM
+// Units: VOLUME_UNITS, MASS_UNITS, CONCENTRATION_UNITS, DEFAULT_UNITS, UNIT_STORAGE_KEY, NUTRIENT_ION_BASIS,
+//        normalizeUnits, convertVolume, convertMass, ppmToConcentration, concentrationToPpm,
+//        loadUnitPreferences, saveUnitPreferences
+// Ion Targets: ION_TARGETS, ionTargetsToPpm, ppmToIonTargets
+// Source Water: normalizeWaterAnalysis, hasSourceWater, addSourceWaterToPPM, subtractSourceWaterFromTargets,
+//               getSourceWaterIons
+// Acid Dosing: getAcidStrength, calculateResidualBicarbonate, neutralizeBicarbonate, getDoseContribution,
+//              calculateAcidDose
+// Solution pH: getDoseProtonBalance, predictSolutionPH, applySpeciationToIonBalance
+// Custom Fertilizers: isCustomFertilizer, createCustomFertilizerId, deriveIonDataFromPct, buildCustomFertilizer,
+//                     registerCustomFertilizers, loadCustomFertilizers, saveCustomFertilizers,
+//                     encodeCustomFertilizers, decodeCustomFertilizers
+// Prices & Cost: getPricePerKg, resolvePricesPerKg, calculateFormulaCost, loadFertilizerPrices,
+//                saveFertilizerPrices
+// EC: estimateEC, daviesActivityCoefficient, estimateECDavies, ppmToIonsForEC, estimateECFromPPM
+// TDS: TDS_SCALES, ecToTds, tdsToEc, ecToTdsScales, parseECTarget
+// EC Calibration: DEFAULT_EC_MODEL, EC_CALIBRATION_STORAGE_KEY, setECModel, getECModel, EC_MODEL_TYPES,
+//                 setECModelType, getECModelType, measuredECAt25,
+//                 fitECModel, loadECCalibration, saveECCalibration
 // Ion Balance: getIonBalanceStatus, calculateIonBalanceCore
 // Ratios: calculateNutrientRatios
+// Recipe Comparison: COMPARISON_PPM_KEYS, COMPARISON_OXIDE_KEYS, calculatePpmFromFormula, compareRecipes
 // Optimization: solveMilpBrowser, solveNonNegativeLeastSquares, pruneSolution, optimizeFormula
-// Stock Solutions: assignToTanks, checkTankFeasibility, calculateAchievedPPM, checkRatioMatch,
-//                  solveDosing, calculateStockSolutions, calculateStockSolutionsModeA
+// MILP Backends: setHighsLoader, setGlpkLoader, getGlpkInstance, solveLpModel, hasLpModel (HiGHS, then GLPK; solveMilpBrowser adds the NNLS fallback)
+// Solver Worker: runSolverTask (runs optimizeFormula / calculateStockSolutions in fertilizer-worker.js)
+// Stock Solutions: assignToTanks, checkTankPrecipitation, checkTankFeasibility, findMaxStockConcentration,
+//                  calculateAchievedPPM, checkRatioMatch, solveDosing, calculateStockSolutions,
+//                  calculateStockSolutionsModeA
+// Mix Sheet: buildMixSheet (weighing checklist, tank contents and dosing for the printable sheet)
 //
 // Copy Text Builders (in fertilizer-copy.js):
 //   buildTankCopyText, buildTwoTankCopyText, buildGramsToPpmCopyText, buildFormulaCopyText, buildReverseCopyText
+//
+// Spreadsheet Export (in fertilizer-export.js):
+//   buildExportTables, tablesToCSV, tablesToXLSX
@@ -618,6 +618,296 @@
     'H+': 1
   };
 
+  // Ions reported on a source-water analysis
+  // key: ppm key used throughout the calculator (N and P are reported as the element,
+  // S as sulfate-S, HCO3 as the whole bicarbonate ion)
+  // molarMass: g/mol of the ppm basis, used for meq/L <-> ppm conversion
+  // ion: label used in ion balance (matches ION_DATA), ecIon: key in IONIC_MOLAR_CONDUCTIVITY
+  window.FertilizerCore.SOURCE_WATER_IONS = [
+    { key: 'Ca',    ion: 'Ca²⁺',    ecIon: 'Ca2+',    molarMass: 40.078, charge: 2, type: 'cation' },
+    { key: 'Mg',    ion: 'Mg²⁺',    ecIon: 'Mg2+',    molarMass: 24.305, charge: 2, type: 'cation' },
+    { key: 'K',     ion: 'K⁺',      ecIon: 'K+',      molarMass: 39.098, charge: 1, type: 'cation' },
+    { key: 'Na',    ion: 'Na⁺',     ecIon: 'Na+',     molarMass: 22.99,  charge: 1, type: 'cation' },
+    { key: 'N_NH4', ion: 'NH₄⁺',    ecIon: 'NH4+',    molarMass: 14.007, charge: 1, type: 'cation' },
+    { key: 'N_NO3', ion: 'NO₃⁻',    ecIon: 'NO3-',    molarMass: 14.007, charge: 1, type: 'anion' },
+    { key: 'Cl',    ion: 'Cl⁻',     ecIon: 'Cl-',     molarMass: 35.453, charge: 1, type: 'anion' },
+    { key: 'S',     ion: 'SO₄²⁻',   ecIon: 'SO4^2-',  molarMass: 32.065, charge: 2, type: 'anion' },
+    { key: 'P',     ion: 'H₂PO₄⁻',  ecIon: 'H2PO4-',  molarMass: 30.974, charge: 1, type: 'anion' },
+    { key: 'HCO3',  ion: 'HCO₃⁻',   ecIon: 'HCO3-',   molarMass: 61.017, charge: 1, type: 'anion' }
+  ];
+
+  // Trace elements on a source-water analysis (always entered in ppm, not charge balanced)
+  window.FertilizerCore.SOURCE_WATER_TRACE_KEYS = ['Fe', 'Mn', 'Zn', 'Cu', 'B', 'Si'];
+
+  // ======================================================================
+  // ACID DATA
+  // ======================================================================
+  // Acids that can neutralise bicarbonate. The acid strength is derived from the
+  // fertilizer's nutrient content: each atom of `nutrient` carries `protonsPerAtom`
+  // protons that react below pH ~6.5 (H₃PO₄ only gives up its first proton there,
+  // and PeKacid is KH₂PO₄·H₃PO₄, so half of its P is acidic).
+  // density_g_mL is null for solids (dose reported in grams only).
+
+  window.FertilizerCore.ACID_FERTILIZERS = {
+    nitric_acid_38: { nutrient: 'N_NO3', atomicMass: 14.007, protonsPerAtom: 1, density_g_mL: 1.24 },
+    nitric_acid_60: { nutrient: 'N_NO3', atomicMass: 14.007, protonsPerAtom: 1, density_g_mL: 1.37 },
+    phosphoric_acid_49: { nutrient: 'P', atomicMass: 30.974, protonsPerAtom: 1, density_g_mL: 1.33 },
+    icl_pekacid_pk_acid: { nutrient: 'P', atomicMass: 30.974, protonsPerAtom: 0.5, density_g_mL: null }
+  };
+
+  // First dissociation constant of carbonic acid (H₂CO₃* ⇌ H⁺ + HCO₃⁻) at 25°C
+  window.FertilizerCore.CARBONIC_ACID_PKA1 = 6.35;
+
+  // ======================================================================
+  // SOLUTION pH DATA
+  // ======================================================================
+  // The proton balance is counted against H₂PO₄⁻, H₂CO₃ and NH₄⁺: MAP, MKP and ammonium
+  // salts dissolve as exactly these and shift nothing. ACID_FERTILIZERS add their protons;
+  // the fertilizers below shift the balance too (protonsPerAtom < 0 for bases: DAP's
+  // HPO₄²⁻ and KHCO₃'s HCO₃⁻ each take up one proton). carbonatePerAtom is the HCO₃⁻ the
+  // fertilizer brings, which its ppm results do not show.
+
+  window.FertilizerCore.PH_SHIFTING_FERTILIZERS = {
+    urea_phosphate: { nutrient: 'P', atomicMass: 30.974, protonsPerAtom: 1 },
+    dap_common: { nutrient: 'P', atomicMass: 30.974, protonsPerAtom: -1 },
+    potassium_bicarbonate: { nutrient: 'K', atomicMass: 39.098, protonsPerAtom: -1, carbonatePerAtom: 1 }
+  };
+
+  // H₃PO₄ ⇌ H⁺ + H₂PO₄⁻, NH₄⁺ ⇌ NH₃ + H⁺ and water, at 25°C
+  window.FertilizerCore.PHOSPHATE_PKA1 = 2.15;
+  window.FertilizerCore.AMMONIUM_PKA = 9.25;
+  window.FertilizerCore.WATER_PKW = 14.0;
+
+  // Ions whose amount depends on pH, as they appear in the ion balance
+  // (ion: label used in ion balance, ecIon: key in IONIC_MOLAR_CONDUCTIVITY)
+  window.FertilizerCore.PH_DEPENDENT_IONS = [
+    { ecIon: 'NH4+',    ion: 'NH₄⁺',    charge: 1, type: 'cation' },
+    { ecIon: 'H+',      ion: 'H⁺',      charge: 1, type: 'cation' },
+    { ecIon: 'H2PO4-',  ion: 'H₂PO₄⁻',  charge: 1, type: 'anion' },
+    { ecIon: 'HPO4^2-', ion: 'HPO₄²⁻',  charge: 2, type: 'anion' },
+    { ecIon: 'HCO3-',   ion: 'HCO₃⁻',   charge: 1, type: 'anion' },
+    { ecIon: 'OH-',     ion: 'OH⁻',     charge: 1, type: 'anion' }
+  ];
+
+  // ======================================================================
+  // ACTIVITY EC MODEL DATA (Davies)
+  // ======================================================================
+  // Second dissociation constant of phosphoric acid (H₂PO₄⁻ ⇌ H⁺ + HPO₄²⁻) at 25°C
+  window.FertilizerCore.PHOSPHATE_PKA2 = 7.2;
+
+  // Solution pH assumed for the phosphate split when no pH prediction is given
+  window.FertilizerCore.DEFAULT_SOLUTION_PH = 5.8;
+
+  // Davies A constant at 25°C
+  window.FertilizerCore.DAVIES_A = 0.509;
+
+  // Above this ionic strength (mol/L) the Davies equation stops being reliable; coefficients
+  // for stronger solutions (stock tanks) are held at their value here
+  window.FertilizerCore.DAVIES_MAX_IONIC_STRENGTH = 0.5;
+
+  // Neutral ion pairs (cation + anion ⇌ pair), log K at 25°C (PHREEQC database)
+  window.FertilizerCore.ION_PAIRS = [
+    { pair: 'CaSO4', cation: 'Ca2+', anion: 'SO4^2-', logK: 2.30 },
+    { pair: 'MgSO4', cation: 'Mg2+', anion: 'SO4^2-', logK: 2.37 },
+    { pair: 'CaHPO4', cation: 'Ca2+', anion: 'HPO4^2-', logK: 2.74 },
+    { pair: 'MgHPO4', cation: 'Mg2+', anion: 'HPO4^2-', logK: 2.87 }
+  ];
+
+  // ======================================================================
+  // STOCK TANK PRECIPITATION DATA
+  // ======================================================================
+  // Sparingly soluble salts checked in concentrated stock tanks: log Ksp at 25°C and the
+  // ions of one formula unit (ion keys as in IONIC_MOLAR_CONDUCTIVITY, plus PO4^3- and SiO3^2-).
+  // Calcium silicate is amorphous and its Ksp approximate.
+  window.FertilizerCore.PRECIPITATION_SALTS = [
+    { id: 'gypsum', formula: 'CaSO₄·2H₂O', logKsp: -4.58,
+      ions: [{ ion: 'Ca2+', charge: 2 }, { ion: 'SO4^2-', charge: 2 }] },
+    { id: 'brushite', formula: 'CaHPO₄·2H₂O', logKsp: -6.59,
+      ions: [{ ion: 'Ca2+', charge: 2 }, { ion: 'HPO4^2-', charge: 2 }] },
+    { id: 'struvite', formula: 'MgNH₄PO₄·6H₂O', logKsp: -13.26,
+      ions: [{ ion: 'Mg2+', charge: 2 }, { ion: 'NH4+', charge: 1 }, { ion: 'PO4^3-', charge: 3 }] },
+    { id: 'calcium_silicate', formula: 'CaSiO₃', logKsp: -7.6,
+      ions: [{ ion: 'Ca2+', charge: 2 }, { ion: 'SiO3^2-', charge: 2 }] },
+    { id: 'strengite', formula: 'FePO₄·2H₂O', logKsp: -26.4,
+      ions: [{ ion: 'Fe3+', charge: 3 }, { ion: 'PO4^3-', charge: 3 }] }
+  ];
+
+  // Third dissociation constant of phosphoric acid (HPO₄²⁻ ⇌ H⁺ + PO₄³⁻) at 25°C
+  window.FertilizerCore.PHOSPHATE_PKA3 = 12.35;
+
+  // Fe sources whose iron is chelated and cannot form iron phosphate. Fe from any other
+  // product (custom ones included) is counted as free Fe³⁺.
+  window.FertilizerCore.CHELATED_FE_SOURCES = [
+    'fe_edta_13', 'fe_dtpa_12', 'fe_dtpa_liquid_3', 'fe_dtpa_liquid_6', 'fe_eddha_6', 'fe_hbed_6',
+    'rexolin_cxk', 'utkarsh_double_combi', 'nutrivant_fruit_12_5_27'
+  ];
+
+  // Saturation index bands. Ksp values and Davies activities at stock strength are good to
+  // about ±0.3 log units, so a salt only counts as precipitating above +0.3 and as close to
+  // it above -0.3.
+  window.FertilizerCore.SATURATION_INDEX_LIMITS = { warning: -0.3, error: 0.3 };
+
+  // ======================================================================
+  // SOLUBILITY TEMPERATURE DATA
+  // ======================================================================
+
+  // solubility_gL is the limit at this temperature (°C)
+  window.FertilizerCore.SOLUBILITY_REFERENCE_TEMP_C = 20;
+
+  // Solubility of the parent salt in water (g anhydrous salt per 100 g water) at 0-40°C,
+  // from standard solubility tables. Only the shape of a curve is used: a fertilizer's
+  // solubility_gL is scaled by curve(T) / curve(20°C), so product-specific limits are kept.
+  window.FertilizerCore.SOLUBILITY_CURVES = {
+    calcium_nitrate: [[0, 102], [10, 115], [20, 129], [30, 152], [40, 191]],
+    potassium_nitrate: [[0, 13.3], [10, 20.9], [20, 31.6], [30, 45.8], [40, 63.9]],
+    monoammonium_phosphate: [[0, 22.7], [10, 29.5], [20, 37.4], [30, 46.4], [40, 56.7]],
+    monopotassium_phosphate: [[0, 14.8], [10, 18.3], [20, 22.6], [30, 28.0], [40, 33.5]],
+    diammonium_phosphate: [[0, 57.5], [10, 63.0], [20, 68.6], [30, 75.1], [40, 81.8]],
+    urea: [[0, 68], [10, 85], [20, 108], [30, 133], [40, 167]],
+    ammonium_sulfate: [[0, 70.6], [10, 73.0], [20, 75.4], [30, 78.0], [40, 81.0]],
+    ammonium_nitrate: [[0, 118], [10, 150], [20, 192], [30, 242], [40, 297]],
+    magnesium_sulfate: [[0, 22.0], [10, 28.2], [20, 33.7], [30, 38.9], [40, 44.5]],
+    magnesium_nitrate: [[0, 62.1], [10, 66.0], [20, 69.5], [30, 73.6], [40, 78.9]],
+    potassium_sulfate: [[0, 7.4], [10, 9.3], [20, 11.1], [30, 13.0], [40, 14.8]],
+    potassium_chloride: [[0, 28.0], [10, 31.2], [20, 34.2], [30, 37.2], [40, 40.1]],
+    potassium_bicarbonate: [[0, 22.5], [10, 27.4], [20, 33.7], [30, 39.9], [40, 47.5]],
+    calcium_chloride: [[0, 59.5], [10, 64.7], [20, 74.5], [30, 100], [40, 128]],
+    boric_acid: [[0, 2.52], [10, 3.49], [20, 4.72], [30, 6.23], [40, 8.08]],
+    borax: [[0, 1.11], [10, 1.60], [20, 2.56], [30, 3.86], [40, 6.67]],
+    zinc_sulfate: [[0, 41.6], [10, 47.2], [20, 53.8], [30, 61.3], [40, 70.5]],
+    copper_sulfate: [[0, 14.3], [10, 17.4], [20, 20.7], [30, 25.0], [40, 28.5]],
+    manganese_sulfate: [[0, 52.9], [10, 59.7], [20, 62.9], [30, 62.9], [40, 60.0]]
+  };
+
+  // Salt of each curve, shown when a custom fertilizer picks the curve it follows
+  window.FertilizerCore.SOLUBILITY_CURVE_FORMULAS = {
+    calcium_nitrate: 'Ca(NO₃)₂',
+    potassium_nitrate: 'KNO₃',
+    monoammonium_phosphate: 'NH₄H₂PO₄',
+    monopotassium_phosphate: 'KH₂PO₄',
+    diammonium_phosphate: '(NH₄)₂HPO₄',
+    urea: 'CO(NH₂)₂',
+    ammonium_sulfate: '(NH₄)₂SO₄',
+    ammonium_nitrate: 'NH₄NO₃',
+    magnesium_sulfate: 'MgSO₄',
+    magnesium_nitrate: 'Mg(NO₃)₂',
+    potassium_sulfate: 'K₂SO₄',
+    potassium_chloride: 'KCl',
+    potassium_bicarbonate: 'KHCO₃',
+    calcium_chloride: 'CaCl₂',
+    boric_acid: 'H₃BO₃',
+    borax: 'Na₂B₄O₇',
+    zinc_sulfate: 'ZnSO₄',
+    copper_sulfate: 'CuSO₄',
+    manganese_sulfate: 'MnSO₄'
+  };
+
+  // Curve each fertilizer follows (double salts use their least soluble component).
+  // Liquids, chelates and blends are not listed and keep their 20°C solubility.
+  // Custom fertilizers name theirs in solubilityCurve.
+  window.FertilizerCore.FERTILIZER_SOLUBILITY_CURVES = {
+    calcium_nitrate_calcinit_typical: 'calcium_nitrate',
+    hydrospeed_cab_max: 'calcium_nitrate',
+    calcium_nitrate_4h2o: 'calcium_nitrate',
+    calcium_nitrate_anhydrous: 'calcium_nitrate',
+    calcium_ammonium_nitrate_26: 'calcium_nitrate',
+    calcium_ammonium_nitrate_27: 'calcium_nitrate',
+    potassium_nitrate_typical: 'potassium_nitrate',
+    map_typical: 'monoammonium_phosphate',
+    mkp_typical: 'monopotassium_phosphate',
+    dap_common: 'diammonium_phosphate',
+    urea_common: 'urea',
+    ammonium_sulfate_common: 'ammonium_sulfate',
+    ammonium_nitrate_common: 'ammonium_nitrate',
+    magnesium_sulfate_heptahydrate_common: 'magnesium_sulfate',
+    magnesium_sulfate_16mgo: 'magnesium_sulfate',
+    magnesium_sulfate_anhydrous: 'magnesium_sulfate',
+    magnesium_nitrate_hexahydrate_typical: 'magnesium_nitrate',
+    potassium_sulfate_common: 'potassium_sulfate',
+    langbeinite_common: 'potassium_sulfate',
+    potassium_schoenite: 'potassium_sulfate',
+    potassium_chloride_common: 'potassium_chloride',
+    potassium_bicarbonate: 'potassium_bicarbonate',
+    calcium_chloride_dihydrate_common: 'calcium_chloride',
+    calcium_chloride_solid: 'calcium_chloride',
+    boric_acid_common: 'boric_acid',
+    borax: 'borax',
+    zinc_sulfate_heptahydrate_common: 'zinc_sulfate',
+    zinc_sulfate_mono: 'zinc_sulfate',
+    copper_sulfate: 'copper_sulfate',
+    manganese_sulfate: 'manganese_sulfate'
+  };
+
+  // ======================================================================
+  // STOCK CONCENTRATION DATA
+  // ======================================================================
+
+  // Share of a tank's limits kept free: stock factors are chosen so the tanks would
+  // still pass at factor / (1 - margin), i.e. 80% of solubility with the default
+  window.FertilizerCore.DEFAULT_STOCK_SAFETY_MARGIN = 0.2;
+
+  // Upper end of the automatic concentration factor search
+  window.FertilizerCore.MAX_STOCK_CONCENTRATION = 500;
+
+  // Mode A: ratio fidelity (worst nutrient error, as a fraction) a target may give up on the
+  // shared tanks against its own optimum before another tank is tried
+  window.FertilizerCore.MODE_A_FIDELITY_TOLERANCE = 0.05;
+
+  // ======================================================================
+  // MICRONUTRIENT TARGET DATA
+  // ======================================================================
+  // Micronutrients the formula builder can target (absolute ppm, never ratio-scaled).
+  // Targets are fractions of a ppm, so they get a wider relative band than the
+  // macro 1% tolerance; Mo doses are tiny enough that weighing error dominates.
+
+  window.FertilizerCore.MICRONUTRIENT_KEYS = ['Fe', 'Mn', 'Zn', 'Cu', 'B', 'Mo'];
+
+  window.FertilizerCore.DEFAULT_MICRO_TOLERANCES = {
+    Fe: 0.1, Mn: 0.1, Zn: 0.1, Cu: 0.1, B: 0.1, Mo: 0.15
+  };
+
+  // ======================================================================
+  // CUSTOM FERTILIZER DATA
+  // ======================================================================
+  // User-defined products are stored in localStorage and registered into
+  // FERTILIZERS / ION_DATA at startup. Their ids always start with the prefix
+  // so they can never collide with (or be URL-encoded as) a built-in product.
+
+  window.FertilizerCore.CUSTOM_FERTILIZER_ID_PREFIX = 'custom_';
+  window.FertilizerCore.CUSTOM_FERTILIZER_STORAGE_KEY = 'fertCalcCustomFertilizers';
+
+  // Guaranteed-analysis fields offered by the editor for each label basis (all % w/w).
+  // Oxide labels give P₂O₅, K₂O, CaO, MgO and SO₃; N, Si and micros are always elemental.
+  window.FertilizerCore.CUSTOM_FERTILIZER_ANALYSIS_FIELDS = {
+    oxide: ['N_NO3', 'N_NH4', 'N_Urea', 'P2O5', 'K2O', 'CaO', 'MgO', 'SO3', 'Si', 'Fe', 'Mn', 'Zn', 'Cu', 'B', 'Mo'],
+    elemental: ['N_NO3', 'N_NH4', 'N_Urea', 'P', 'K', 'Ca', 'Mg', 'S', 'Si', 'Fe', 'Mn', 'Zn', 'Cu', 'B', 'Mo']
+  };
+
+  // Ions a custom product can declare for ion balance (labels match ION_DATA).
+  // basis/basisMass: the pct key each ion is derived from when no ions are entered.
+  window.FertilizerCore.CUSTOM_FERTILIZER_IONS = [
+    { ion: 'NH₄⁺',    charge: 1, type: 'cation', basis: 'N_NH4', basisMass: 14.007 },
+    { ion: 'K⁺',      charge: 1, type: 'cation', basis: 'K',     basisMass: 39.098 },
+    { ion: 'Ca²⁺',    charge: 2, type: 'cation', basis: 'Ca',    basisMass: 40.078 },
+    { ion: 'Mg²⁺',    charge: 2, type: 'cation', basis: 'Mg',    basisMass: 24.305 },
+    { ion: 'Na⁺',     charge: 1, type: 'cation' },
+    { ion: 'NO₃⁻',    charge: 1, type: 'anion',  basis: 'N_NO3', basisMass: 14.007 },
+    { ion: 'H₂PO₄⁻',  charge: 1, type: 'anion',  basis: 'P',     basisMass: 30.974 },
+    { ion: 'HPO₄²⁻',  charge: 2, type: 'anion' },
+    { ion: 'SO₄²⁻',   charge: 2, type: 'anion',  basis: 'S',     basisMass: 32.065 },
+    { ion: 'Cl⁻',     charge: 1, type: 'anion' },
+    { ion: 'SiO₃²⁻',  charge: 2, type: 'anion',  basis: 'Si',    basisMass: 28.086 }
+  ];
+
+  // ======================================================================
+  // FERTILIZER PRICE DATA
+  // ======================================================================
+  // Prices are the user's own (local currency), saved in localStorage as
+  // { currency, items: { fertilizer_id: { price, unit: 'kg' | 'bag', bagKg } } }
+
+  window.FertilizerCore.PRICE_STORAGE_KEY = 'fertCalcPrices';
+  window.FertilizerCore.DEFAULT_BAG_KG = 25;
+
   // ======================================================================
   // ION BALANCE DATA
   // ======================================================================
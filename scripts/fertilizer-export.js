@@ -0,0 +1,390 @@
+// =============================================================================
+// FERTILIZER CALCULATOR - SPREADSHEET EXPORT
+// =============================================================================
+// Result tables for CSV / Excel export: fertilizer grams, target vs achieved,
+// ion breakdown per fertilizer, EC contributions per ion, ratios, stock tanks and dosing.
+// Tables are plain data ({ name, columns, rows }) with numbers left as numbers,
+// so spreadsheets can calculate with them; headers come from the formatter.
+// Formatter object should have: t(key, params)
+//
+// Usage: Include this script after fertilizer-core.js
+// =============================================================================
+
+(function() {
+  'use strict';
+
+  // Ensure FertilizerCore namespace exists
+  if (typeof window.FertilizerCore === 'undefined') {
+    window.FertilizerCore = {};
+  }
+
+  // Chemistry labels for nutrient keys (same in every language)
+  const NUTRIENT_LABELS = {
+    N_total: 'N', N_NO3: 'NO₃-N', N_NH4: 'NH₄-N', N_Urea: 'Urea-N',
+    P2O5: 'P₂O₅', K2O: 'K₂O', CaO: 'CaO', MgO: 'MgO', SO3: 'SO₃', HCO3: 'HCO₃'
+  };
+
+  // Predicted ppm columns of the stock dosing table
+  const DOSING_NUTRIENT_KEYS = ['N_total', 'P', 'K', 'Ca', 'Mg', 'S'];
+
+  const nutrientLabel = (key) => NUTRIENT_LABELS[key] || key;
+
+  // Drop floating point noise; spreadsheets still get a number
+  const round = (value, digits = 4) => {
+    if (typeof value !== 'number' || !isFinite(value)) return value;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  };
+
+  /**
+   * Build the export tables for a result view
+   * @param {Object} data
+   * @param {number} data.volume - Solution volume in liters
+   * @param {Array} data.fertilizers - Final solution doses [{ id, name, grams }] (omit for stock plans)
+   * @param {Object} data.sourceWater - Optional water analysis (ppm) included in ppm, ions and EC
+   * @param {Object} data.comparison - Optional { kind, rows }: kind 'ppm' rows { label, target, achieved },
+   *   'ratio' rows { label, target, achieved, ppm }, 'change' rows { label, before, after }
+   * @param {Array} data.tanks - Optional tanks [{ name, fertilizers: [{ name, grams, gPerL, solubilityPct }] }]
+   * @param {Object} data.dosing - Optional stock dosing { tankNames, rows: [{ name, ratio, ec, predictedEC, doses, nutrients }] }
+   * @param {Object} fmt - Formatter with t()
+   * @returns {Array} Tables [{ name, columns, rows }]
+   */
+  window.FertilizerCore.buildExportTables = function(data, fmt) {
+    const { volume, fertilizers = [], sourceWater = null, comparison = null, tanks = [], dosing = null } = data;
+    const tables = [];
+
+    if (fertilizers.length > 0) {
+      tables.push({
+        name: fmt.t('exportSheetFertilizers'),
+        columns: [fmt.t('exportColFertilizer'), fmt.t('exportColGrams'), fmt.t('exportColGramsPerLiter')],
+        rows: fertilizers.map(f => [f.name, round(f.grams), round(volume > 0 ? f.grams / volume : 0)])
+      });
+    }
+
+    if (comparison && comparison.rows.length > 0) {
+      const layouts = {
+        ppm: {
+          columns: ['exportColTargetPpm', 'exportColAchievedPpm', 'exportColDifferencePpm', 'exportColDifferencePct'],
+          row: r => [r.target, r.achieved, r.achieved - r.target, r.target ? (r.achieved - r.target) / r.target * 100 : null]
+        },
+        ratio: {
+          columns: ['exportColTargetRatio', 'exportColAchievedRatio', 'exportColAchievedPpm'],
+          row: r => [r.target, r.achieved, r.ppm]
+        },
+        change: {
+          columns: ['exportColBeforePpm', 'exportColAfterPpm', 'exportColChangePpm'],
+          row: r => [r.before, r.after, r.after - r.before]
+        }
+      };
+      const layout = layouts[comparison.kind];
+      tables.push({
+        name: fmt.t('exportSheetTargets'),
+        columns: [fmt.t('exportColNutrient'), ...layout.columns.map(key => fmt.t(key))],
+        rows: comparison.rows.map(r => [r.label, ...layout.row(r).map(v => round(v))])
+      });
+    }
+
+    if (fertilizers.length > 0 && volume > 0) {
+      const core = window.FertilizerCore;
+      const formula = {};
+      fertilizers.forEach(f => { formula[f.id] = (formula[f.id] || 0) + f.grams; });
+      const ppm = core.calculatePpmFromFormula(formula, volume, { sourceWater });
+
+      // Elemental ppm, then the oxide label values derived from them
+      const nutrientRows = core.COMPARISON_PPM_KEYS
+        .filter(key => ppm[key] > 0)
+        .map(key => [nutrientLabel(key), round(ppm[key])]);
+      core.COMPARISON_OXIDE_KEYS
+        .filter(({ element }) => ppm[element] > 0)
+        .forEach(({ key, element, factor }) => {
+          nutrientRows.push([nutrientLabel(key), round(ppm[element] / core.OXIDE_CONVERSIONS[factor])]);
+        });
+      tables.push({
+        name: fmt.t('exportSheetNutrients'),
+        columns: [fmt.t('exportColNutrient'), fmt.t('exportColPpm')],
+        rows: nutrientRows
+      });
+
+      // Ion breakdown per fertilizer (and the source water), then the balance
+      const balance = core.calculateIonBalanceCore(fertilizers, volume, { includeBreakdown: true, sourceWater });
+      const ionRows = [];
+      balance.fertilizerBreakdown.forEach(({ fert, ions }) => {
+        ions.forEach(ion => ionRows.push([fert.name, ion.ion, ion.type, round(ion.meq)]));
+      });
+      (balance.sourceWaterIons || []).forEach(ion => {
+        ionRows.push([fmt.t('exportSourceWater'), ion.ion, ion.type, round(ion.meq)]);
+      });
+      ionRows.push([fmt.t('exportTotalCations'), '', '', round(balance.totalCations)]);
+      ionRows.push([fmt.t('exportTotalAnions'), '', '', round(balance.totalAnions)]);
+      ionRows.push([fmt.t('exportImbalancePct'), '', '', round(balance.imbalance)]);
+      tables.push({
+        name: fmt.t('exportSheetIons'),
+        columns: [fmt.t('exportColSource'), fmt.t('exportColIon'), fmt.t('exportColIonType'), fmt.t('exportColMeqPerLiter')],
+        rows: ionRows
+      });
+
+      // EC: contribution of each ion to the raw sum, then the corrected estimate
+      const solutionPpm = core.calculatePpmFromFormula(formula, volume);
+      const ec = core.estimateECFromPPM(solutionPpm, { sourceWater });
+      const ecRows = Object.entries(ec.contributions).map(([ion, c]) => [
+        ion,
+        round(c.ppm),
+        round(c.concentration_mmolL),
+        c.lambda,
+        round(c.contribution_mS_cm),
+        round(ec.rawEC > 0 ? c.contribution_mS_cm / ec.rawEC * 100 : 0, 1)
+      ]);
+      ecRows.push([fmt.t('exportEcRawSum'), '', '', '', round(ec.rawEC), 100]);
+      ecRows.push([fmt.t('exportEcEstimate'), '', '', '', round(ec.ec_mS_cm), '']);
+      tables.push({
+        name: fmt.t('exportSheetEC'),
+        columns: [
+          fmt.t('exportColIon'), fmt.t('exportColPpm'), fmt.t('exportColMmolPerLiter'),
+          fmt.t('exportColLambda'), fmt.t('exportColECContribution'), fmt.t('exportColShare')
+        ],
+        rows: ecRows
+      });
+
+      const ratios = core.calculateNutrientRatios(ppm);
+      if (ratios.length > 0) {
+        tables.push({
+          name: fmt.t('exportSheetRatios'),
+          columns: [fmt.t('exportColRatio'), fmt.t('exportColValue'), fmt.t('exportColBasis')],
+          rows: ratios.map(r => [r.name, r.ratio, r.unit || 'ppm'])
+        });
+      }
+    }
+
+    if (tanks.length > 0) {
+      const rows = [];
+      tanks.forEach(tank => {
+        tank.fertilizers.forEach(f => {
+          rows.push([tank.name, f.name, round(f.grams), round(f.gPerL), f.solubilityPct != null ? round(f.solubilityPct, 1) : '']);
+        });
+      });
+      tables.push({
+        name: fmt.t('exportSheetTanks'),
+        columns: [
+          fmt.t('exportColTank'), fmt.t('exportColFertilizer'), fmt.t('exportColGrams'),
+          fmt.t('exportColGramsPerLiter'), fmt.t('exportColSolubility')
+        ],
+        rows
+      });
+    }
+
+    if (dosing && dosing.rows.length > 0) {
+      tables.push({
+        name: fmt.t('exportSheetDosing'),
+        columns: [
+          fmt.t('exportColTarget'), fmt.t('exportColRatio'), fmt.t('exportColTargetEC'), fmt.t('exportColPredictedEC'),
+          ...dosing.tankNames.map(name => fmt.t('exportColDose', { tank: name })),
+          ...DOSING_NUTRIENT_KEYS.map(key => `${nutrientLabel(key)} (ppm)`)
+        ],
+        rows: dosing.rows.map(row => [
+          row.name,
+          row.ratio,
+          round(row.ec),
+          row.predictedEC != null ? round(row.predictedEC) : '',
+          ...row.doses.map(dose => round(dose)),
+          ...DOSING_NUTRIENT_KEYS.map(key => round((row.nutrients || {})[key] || 0))
+        ])
+      });
+    }
+
+    return tables;
+  };
+
+  // =============================================================================
+  // CSV
+  // =============================================================================
+
+  function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Text a spreadsheet would run as a formula (fertilizer names can come from shared
+    // custom fertilizers) gets a leading apostrophe; numbers stay numbers
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Write tables as one CSV document: each table is its name, header row and rows,
+   * followed by an empty line
+   * @param {Array} tables - [{ name, columns, rows }]
+   * @returns {string} CSV text (CRLF line endings)
+   */
+  window.FertilizerCore.tablesToCSV = function(tables) {
+    const lines = [];
+    tables.forEach((table, index) => {
+      if (index > 0) lines.push('');
+      lines.push(csvField(table.name));
+      lines.push(table.columns.map(csvField).join(','));
+      table.rows.forEach(row => lines.push(row.map(csvField).join(',')));
+    });
+    return lines.join('\r\n') + '\r\n';
+  };
+
+  // =============================================================================
+  // XLSX (Office Open XML in a stored ZIP, no library needed)
+  // =============================================================================
+
+  let _crcTable = null;
+
+  function crc32(bytes) {
+    if (!_crcTable) {
+      _crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        _crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // ZIP archive with uncompressed (stored) entries: [{ name, data: Uint8Array }]
+  function zipStore(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(12, 0x21, true); // 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, name.length, true);
+      chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014B50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(14, 0x21, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, file.data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      out.set(part, position);
+      position += part.length;
+    });
+    return out;
+  }
+
+  const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+  // A, B, ..., Z, AA, AB, ...
+  function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+  }
+
+  // Excel sheet names: max 31 characters, none of : \ / ? * [ ], unique in the workbook
+  function sheetNames(tables) {
+    const used = new Set();
+    return tables.map((table, index) => {
+      const base = String(table.name || `Sheet${index + 1}`).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31).trim() || `Sheet${index + 1}`;
+      let name = base;
+      for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 28)} (${n})`;
+      used.add(name.toLowerCase());
+      return name;
+    });
+  }
+
+  function sheetXml(table) {
+    const cell = (value, ref, style) => {
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    };
+    const rowXml = (values, rowIndex, style) => `<row r="${rowIndex}">${
+      values.map((value, col) => cell(value, `${columnName(col)}${rowIndex}`, style)).join('')
+    }</row>`;
+    const rows = [rowXml(table.columns, 1, ' s="1"'), ...table.rows.map((row, index) => rowXml(row, index + 2, ''))];
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+      `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+  }
+
+  /**
+   * Write tables as an Excel workbook (.xlsx), one worksheet per table with a bold, frozen header row
+   * @param {Array} tables - [{ name, columns, rows }]
+   * @returns {Uint8Array} XLSX file contents
+   */
+  window.FertilizerCore.tablesToXLSX = function(tables) {
+    const encoder = new TextEncoder();
+    const names = sheetNames(tables);
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const sheetIds = tables.map((table, index) => index + 1);
+
+    const files = [
+      ['[Content_Types].xml', xml +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheetIds.map(id => `<Override PartName="/xl/worksheets/sheet${id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'],
+      ['_rels/.rels', xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'],
+      ['xl/workbook.xml', xml +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets>${sheetIds.map(id => `<sheet name="${escapeXml(names[id - 1])}" sheetId="${id}" r:id="rId${id}"/>`).join('')}</sheets>` +
+        '</workbook>'],
+      ['xl/_rels/workbook.xml.rels', xml +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheetIds.map(id => `<Relationship Id="rId${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${id}.xml"/>`).join('') +
+        `<Relationship Id="rId${tables.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'],
+      ['xl/styles.xml', xml +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>'],
+      ...tables.map((table, index) => [`xl/worksheets/sheet${index + 1}.xml`, sheetXml(table)])
+    ];
+
+    return zipStore(files.map(([name, text]) => ({ name, data: encoder.encode(text) })));
+  };
+
+})();
@@ -0,0 +1,257 @@
+// =============================================================================
+// FERTILIZER CALCULATOR - RECIPE LIBRARY
+// =============================================================================
+// Named recipes with a version history, stored in this browser's IndexedDB.
+// A recipe holds the metadata (name, crop, stage, notes); every save adds a version
+// with the wizard state needed to re-open it and a short summary of the result.
+//
+//   recipes:  { id, name, crop, stage, notes, mode, createdAt, updatedAt, currentVersion }
+//   versions: { recipeId, version, savedAt, mode, state, summary }
+//
+// All functions return Promises. Usage: include this script after fertilizer-core.js
+// =============================================================================
+
+(function() {
+  'use strict';
+
+  window.FertilizerRecipes = window.FertilizerRecipes || {};
+
+  const DB_NAME = 'fertilizer-calculator-recipes';
+  const DB_VERSION = 1;
+  const RECIPE_STORE = 'recipes';
+  const VERSION_STORE = 'versions';
+
+  let _dbPromise = null;
+
+  // Wrap an IDBRequest (or a transaction, with its complete event) in a Promise
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      if (request instanceof IDBTransaction) {
+        request.oncomplete = () => resolve();
+        request.onabort = request.onerror = () => reject(request.error);
+      } else {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }
+    });
+  }
+
+  function openDatabase() {
+    if (_dbPromise) return _dbPromise;
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(RECIPE_STORE)) {
+        db.createObjectStore(RECIPE_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(VERSION_STORE)) {
+        const versions = db.createObjectStore(VERSION_STORE, { keyPath: ['recipeId', 'version'] });
+        versions.createIndex('recipeId', 'recipeId');
+      }
+    };
+    _dbPromise = promisify(request).catch(err => {
+      _dbPromise = null;
+      throw err;
+    });
+    return _dbPromise;
+  }
+
+  function createRecipeId() {
+    return `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Trimmed copy of the editable fields; the name is required
+  function cleanMeta(meta) {
+    const clean = {
+      name: String(meta.name || '').trim(),
+      crop: String(meta.crop || '').trim(),
+      stage: String(meta.stage || '').trim(),
+      notes: String(meta.notes || '').trim()
+    };
+    if (!clean.name) throw new Error('A recipe needs a name');
+    return clean;
+  }
+
+  /**
+   * Records for one save: a new recipe (no existing record) or the next version of one.
+   * Name, crop, stage and notes are taken from the entry either way.
+   * @param {Object|null} existing - Stored recipe the entry adds a version to, or null
+   * @param {Object} entry - Same fields as saveRecipe
+   * @param {number} now - Save time (ms since epoch)
+   * @returns {Object} { recipe, version } - the records to store
+   */
+  window.FertilizerRecipes.buildSaveRecords = function(existing, entry, now) {
+    const meta = cleanMeta(entry);
+    const recipe = existing
+      ? { ...existing, ...meta, mode: entry.mode, updatedAt: now, currentVersion: existing.currentVersion + 1 }
+      : { id: createRecipeId(), ...meta, mode: entry.mode, createdAt: now, updatedAt: now, currentVersion: 1 };
+    const version = {
+      recipeId: recipe.id,
+      version: recipe.currentVersion,
+      savedAt: now,
+      mode: entry.mode,
+      state: entry.state,
+      summary: entry.summary || null
+    };
+    return { recipe, version };
+  };
+
+  /**
+   * Save entry for a copy of one recipe version: the original's metadata under a new name.
+   * It has no recipeId, so saving it starts a fresh history at version 1.
+   * @param {Object} original - Recipe record
+   * @param {Object} source - Version record to copy
+   * @param {string} name - Name of the copy
+   * @returns {Object} Entry for saveRecipe
+   */
+  window.FertilizerRecipes.buildDuplicateEntry = function(original, source, name) {
+    return {
+      name,
+      crop: original.crop,
+      stage: original.stage,
+      notes: original.notes,
+      mode: source.mode,
+      state: source.state,
+      summary: source.summary
+    };
+  };
+
+  /**
+   * Is the recipe library usable in this browser (IndexedDB present)?
+   * @returns {boolean}
+   */
+  window.FertilizerRecipes.isSupported = function() {
+    return typeof indexedDB !== 'undefined';
+  };
+
+  /**
+   * List every saved recipe, most recently updated first
+   * @returns {Promise<Array>} Recipe records
+   */
+  window.FertilizerRecipes.listRecipes = async function() {
+    const db = await openDatabase();
+    const recipes = await promisify(db.transaction(RECIPE_STORE).objectStore(RECIPE_STORE).getAll());
+    return recipes.sort((a, b) => b.updatedAt - a.updatedAt);
+  };
+
+  /**
+   * Get one recipe
+   * @param {string} id - Recipe id
+   * @returns {Promise<Object|null>} Recipe record, or null if it does not exist
+   */
+  window.FertilizerRecipes.getRecipe = async function(id) {
+    const db = await openDatabase();
+    const recipe = await promisify(db.transaction(RECIPE_STORE).objectStore(RECIPE_STORE).get(id));
+    return recipe || null;
+  };
+
+  /**
+   * Save a result: a new recipe (no recipeId) or a new version of an existing one.
+   * Name, crop, stage and notes are updated on the recipe either way.
+   * @param {Object} entry
+   * @param {string} entry.recipeId - Optional existing recipe to add a version to
+   * @param {string} entry.name - Recipe name (required)
+   * @param {string} entry.crop - Optional crop
+   * @param {string} entry.stage - Optional growth stage
+   * @param {string} entry.notes - Optional notes
+   * @param {string} entry.mode - Calculator mode of this result ('ppm-calc', 'stock-solution', ...)
+   * @param {Object} entry.state - Wizard state needed to re-open the result
+   * @param {Object} entry.summary - Optional short description of the result for the list
+   * @returns {Promise<Object>} { recipe, version } - the saved records
+   */
+  window.FertilizerRecipes.saveRecipe = async function(entry) {
+    cleanMeta(entry); // a nameless entry fails before the database is opened
+    const db = await openDatabase();
+    const tx = db.transaction([RECIPE_STORE, VERSION_STORE], 'readwrite');
+    const recipeStore = tx.objectStore(RECIPE_STORE);
+
+    const existing = entry.recipeId ? await promisify(recipeStore.get(entry.recipeId)) : null;
+    if (entry.recipeId && !existing) {
+      tx.abort();
+      throw new Error(`Recipe ${entry.recipeId} no longer exists`);
+    }
+
+    const { recipe, version } = window.FertilizerRecipes.buildSaveRecords(existing, entry, Date.now());
+    recipeStore.put(recipe);
+    tx.objectStore(VERSION_STORE).put(version);
+    await promisify(tx);
+    return { recipe, version };
+  };
+
+  /**
+   * Version history of a recipe, newest first
+   * @param {string} recipeId - Recipe id
+   * @returns {Promise<Array>} Version records
+   */
+  window.FertilizerRecipes.listVersions = async function(recipeId) {
+    const db = await openDatabase();
+    const index = db.transaction(VERSION_STORE).objectStore(VERSION_STORE).index('recipeId');
+    const versions = await promisify(index.getAll(recipeId));
+    return versions.sort((a, b) => b.version - a.version);
+  };
+
+  /**
+   * Get one version of a recipe
+   * @param {string} recipeId - Recipe id
+   * @param {number} version - Version number (default: the recipe's current version)
+   * @returns {Promise<Object|null>} Version record, or null if it does not exist
+   */
+  window.FertilizerRecipes.getVersion = async function(recipeId, version) {
+    let number = version;
+    if (!number) {
+      const recipe = await window.FertilizerRecipes.getRecipe(recipeId);
+      if (!recipe) return null;
+      number = recipe.currentVersion;
+    }
+    const db = await openDatabase();
+    const record = await promisify(db.transaction(VERSION_STORE).objectStore(VERSION_STORE).get([recipeId, number]));
+    return record || null;
+  };
+
+  /**
+   * Copy a recipe as a new recipe, starting from one of its versions.
+   * The copy gets a fresh history (version 1) so it can be edited without touching the original.
+   * @param {string} recipeId - Recipe to copy
+   * @param {string} name - Name of the copy
+   * @param {number} version - Version to copy (default: current)
+   * @returns {Promise<Object>} { recipe, version } of the copy
+   */
+  window.FertilizerRecipes.duplicateRecipe = async function(recipeId, name, version) {
+    const original = await window.FertilizerRecipes.getRecipe(recipeId);
+    const source = original && await window.FertilizerRecipes.getVersion(recipeId, version);
+    if (!source) throw new Error(`Recipe ${recipeId} no longer exists`);
+    return window.FertilizerRecipes.saveRecipe(window.FertilizerRecipes.buildDuplicateEntry(original, source, name));
+  };
+
+  /**
+   * Delete a recipe and its whole version history
+   * @param {string} recipeId - Recipe id
+   * @returns {Promise<void>}
+   */
+  window.FertilizerRecipes.deleteRecipe = async function(recipeId) {
+    const db = await openDatabase();
+    const tx = db.transaction([RECIPE_STORE, VERSION_STORE], 'readwrite');
+    tx.objectStore(RECIPE_STORE).delete(recipeId);
+    tx.objectStore(VERSION_STORE).delete(IDBKeyRange.bound([recipeId, 0], [recipeId, Infinity]));
+    await promisify(tx);
+  };
+
+  /**
+   * Filter recipes by a search text matched against name, crop, stage and notes
+   * @param {Array} recipes - Recipe records
+   * @param {string} query - Search text (case-insensitive; every word must match)
+   * @returns {Array} Matching recipes, in the given order
+   */
+  window.FertilizerRecipes.filterRecipes = function(recipes, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return recipes;
+    return recipes.filter(recipe => {
+      const text = [recipe.name, recipe.crop, recipe.stage, recipe.notes].join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  };
+
+})();
@@ -11,7 +11,7 @@
 
   /**
    * Check nutrient solution for potential issues and generate warnings
-   * @param {Object} results - PPM results for each nutrient
+   * @param {Object} results - PPM results for each nutrient (final solution, including source water)
    * @param {Array} activeFertilizers - Array of fertilizer objects with pct and name properties
    * @param {Object} ionBalance - Optional ion balance data
    * @param {Object} deps - Dependencies: { i18n, estimateECFromPPM }
@@ -36,6 +36,7 @@
     const cu = results.Cu || 0;
     const b = results.B || 0;
     const mo = results.Mo || 0;
+    const hco3 = results.HCO3 || 0;
     const nh4 = results.N_NH4 || 0;
     const no3 = results.N_NO3 || 0;
     const totalN = nh4 + no3;
@@ -275,7 +276,16 @@
       });
     }
 
-    // 21. High Boron (narrow safe window)
+    // 21. High bicarbonate (alkalinity from source water pushes pH up)
+    if (hco3 > 100) {
+      warnings.push({
+        level: hco3 > 150 ? 'warning' : 'info',
+        category: i18n.t('warningCategoryHighBicarbonate'),
+        message: i18n.t('warningMsgHighBicarbonate', { hco3: i18n.formatNumber(hco3.toFixed(0)) })
+      });
+    }
+
+    // 22. High Boron (narrow safe window)
     if (b > 0.5) {
       const severity = b > 1.0 ? 'warning' : 'info';
       warnings.push({
@@ -285,7 +295,7 @@
       });
     }
 
-    // 22. High Cu/Zn/Mn (micros can go toxic fast)
+    // 23. High Cu/Zn/Mn (micros can go toxic fast)
     if (cu > 0.1) {
       warnings.push({
         level: cu > 0.2 ? 'warning' : 'info',
@@ -314,7 +324,7 @@
     // SECTION F: CALCULATOR SANITY CHECK
     // ============================================================================
 
-    // 23. Charge balance (electroneutrality) - use data from ion balance section if available
+    // 24. Charge balance (electroneutrality) - use data from ion balance section if available
     if (ionBalance && ionBalance.totalCations > 0.1) {
       // Use the properly calculated ion balance data
       if (ionBalance.imbalance > 15) {
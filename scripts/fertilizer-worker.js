@@ -0,0 +1,59 @@
+/**
+ * Fertilizer Calculator Solver Worker
+ * Runs the MILP-heavy FertilizerCore methods off the main thread
+ *
+ * Started by FertilizerCore.runSolverTask. Loads the same data/core scripts as the page,
+ * so the solver code is shared; its cached HiGHS instance lives as long as the worker.
+ * GLPK, the fallback MILP backend, is only loaded (by getGlpkInstance) when HiGHS fails.
+ *
+ * Messages in:  { id, method, args, customFertilizers, ecModel, ecModelType }
+ * Messages out: { id, type: 'progress', status, detail }
+ *               { id, type: 'log', msg, level }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', error }
+ */
+
+// fertilizer-data.js and fertilizer-core.js attach to window.FertilizerCore
+self.window = self;
+
+importScripts(
+  '../assets/vendor/lp-model/lp-model.min.js',
+  '../assets/vendor/highs/highs.js',
+  'fertilizer-data.js',
+  'fertilizer-core.js'
+);
+
+// Runs are handled one at a time so dev logs can be routed to the run that produced them
+let currentTaskId = null;
+
+self.addDevLog = (msg, level = 'info') => {
+  self.postMessage({ id: currentTaskId, type: 'log', msg, level });
+};
+
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+  const { id, method, args, customFertilizers, ecModel, ecModelType } = event.data;
+
+  queue = queue.then(async () => {
+    currentTaskId = id;
+    try {
+      window.FertilizerCore.registerCustomFertilizers(customFertilizers || []);
+      window.FertilizerCore.setECModel(ecModel || null);
+      window.FertilizerCore.setECModelType(ecModelType);
+
+      const onProgress = (status, detail) => {
+        self.postMessage({ id, type: 'progress', status, detail });
+      };
+      // The last argument is the method's options object
+      const options = { ...(args[args.length - 1] || {}), onProgress };
+      const result = await window.FertilizerCore[method](...args.slice(0, -1), options);
+      self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+      console.error(`Solver worker: ${method} failed`, error);
+      self.postMessage({ id, type: 'error', error: error.message || String(error) });
+    } finally {
+      currentTaskId = null;
+    }
+  });
+};
@@ -237,8 +237,11 @@
         'K': 'K',
         'K2O': 'K₂O',
         'Ca': 'Ca',
+        'CaO': 'CaO',
         'Mg': 'Mg',
+        'MgO': 'MgO',
         'S': 'S',
+        'SO3': 'SO₃',
         'Si': 'Si',
         'Fe': 'Fe',
         'Mn': 'Mn',
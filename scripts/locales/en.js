@@ -29,58 +29,62 @@ window.i18nLocales.en = {
   stockSolutionMakerDescription: 'Create concentrated stock solutions that can serve multiple growth stages by varying the dosing amounts.',
   stockSolutionUseCase: 'You want to pre-mix concentrated stock solutions that can serve multiple growth stages by varying the dosing amounts.',
 
-  // Acidify Mix with PeKacid mode
-  acidifyMixPekacid: 'Acidify Mix with PeKacid',
-  acidifyMixPekacidDescription: 'Introduce PeKacid into your existing fertilizer mix for acidification, while keeping nutrient levels balanced.',
-  acidifyMixPekacidUseCase: 'You have a recipe and want to add PeKacid for pH control while maintaining the same nutrient profile.',
+  // Acidify Mix mode
+  acidifyMixPekacid: 'Acidify Mix (PeKacid or Acid)',
+  acidifyMixPekacidDescription: 'Add PeKacid, nitric or phosphoric acid to your existing fertilizer mix for acidification, while keeping nutrient levels balanced. The dose can be worked out from your water test.',
+  acidifyMixPekacidUseCase: 'You have a recipe and want to add an acid for pH/alkalinity control while maintaining the same nutrient profile.',
 
   // Acidify - Step: Fertilizer Input
   acidifySelectFertilizersTitle: 'Enter Your Current Recipe',
-  acidifySelectFertilizersDescription: 'Select the fertilizers in your existing mix and enter the amounts. PeKacid will be added in the next step.',
-
-  // Acidify - Step: PeKacid Amount
-  acidifyPekacidAmountTitle: 'How much PeKacid to add?',
-  acidifyPekacidAmountDescription: 'Enter how much PeKacid you want to introduce per liter. The calculator will adjust your recipe to maintain the same nutrient levels.',
-  acidifyPekacidAmountLabel: 'PeKacid amount (grams per liter)',
-  acidifyPekacidAmountHint: 'PeKacid (0-60-20) provides P₂O₅ and K₂O. Other fertilizers will be reduced to compensate.',
-  alertEnterPekacidAmount: 'Please enter a PeKacid amount greater than 0.',
+  acidifySelectFertilizersDescription: 'Select the fertilizers in your existing mix and enter the amounts. The acid will be added in the next step.',
+
+  // Acidify - Step: Acid and Dose
+  acidifyAcidTitle: 'Which acid, and how much?',
+  acidifyAcidDescription: 'Pick the acid and either enter a fixed amount or let the calculator work it out from your water\'s bicarbonate. Your recipe will be adjusted to keep the same nutrient levels.',
+  acidifyAcidLabel: 'Acid',
+  acidifyDoseMethodAmount: 'Fixed amount',
+  acidifyDoseMethodWater: 'From water test',
+  acidifyAcidAmountLabel: 'Acid amount (grams per liter)',
+  acidifyWaterHCO3Label: 'Bicarbonate in your water',
+  acidifyTargetResidualHCO3: 'Keep residual HCO₃',
+  acidifyTargetPH: 'Target pH',
+  acidifyDosePreview: 'Dose: {grams} g/L ({meq} meq/L acid), leaving {residual} ppm HCO₃⁻',
+  acidifyAcidCreditHint: 'The N, P and K the acid adds are credited against your recipe - other fertilizers will be reduced to compensate.',
+  alertEnterAcidAmount: 'Please enter an acid amount greater than 0.',
+  alertEnterWaterBicarbonate: 'Please enter the bicarbonate (HCO₃) level of your water.',
+  alertNoAcidNeeded: 'Your water is already at or below the target - no acid is needed.',
 
   // Acidify - Results
-  acidifyResultsTitle: 'Adjusted Recipe with PeKacid',
-  acidifySuccessMessage: 'Success! Your recipe has been adjusted to include PeKacid while maintaining nutrient balance.',
+  acidifyResultsTitle: 'Adjusted Recipe with {acid}',
+  acidifySuccessMessage: 'Success! Your recipe has been adjusted to include {acid} while maintaining nutrient balance.',
   acidifyBeforeTitle: 'Original Recipe',
-  acidifyAfterTitle: 'With PeKacid',
+  acidifyAfterTitle: 'With {acid}',
   acidifyAdjustmentsTitle: 'Adjustments Made',
   acidifyPpmComparisonTitle: 'Nutrient Levels (PPM)',
-  acidifyPpmComparisonDesc: 'Values should remain the same before and after PeKacid addition.',
-  acidifyPekacidAdded: 'PeKacid added',
+  acidifyPpmComparisonDesc: 'Values should remain the same before and after adding {acid}.',
+  acidifyAcidAdded: '{acid} added',
+  acidifyDoseTitle: 'Acid Dose',
+  acidifyDoseFromWater: '{meq} meq/L of acid brings bicarbonate from {start} to {residual} ppm HCO₃⁻.',
+  acidifyDoseTotal: 'Total for this batch',
 
   // Acidify - Failure
   acidifyFailedTitle: 'Adjustment Not Possible',
-  acidifyFailedMessage: 'Cannot maintain the same nutrient profile with the requested PeKacid amount.',
+  acidifyFailedMessage: 'Cannot maintain the same nutrient profile with the requested acid amount.',
   acidifyWhyFailed: 'Why did this fail?',
-  acidifyFailedExplanation: 'The PeKacid amount requested would add more P or K than can be compensated by reducing other fertilizers in your mix. Your recipe may not have enough P or K sources to reduce.',
+  acidifyFailedExplanation: 'The acid amount requested would add more N, P or K than can be compensated by reducing other fertilizers in your mix. Your recipe may not have enough sources of those nutrients to reduce.',
   acidifySuggestions: 'Suggestions',
-  acidifySuggestion1: 'Try a smaller amount of PeKacid',
-  acidifySuggestion2: 'Add more P or K sources to your original recipe',
-  acidifySuggestion3: 'Use the PPM to Grams calculator to build a new recipe with PeKacid included',
+  acidifySuggestion1: 'Try a smaller amount of acid, a higher residual HCO₃ target or a different acid',
+  acidifySuggestion2: 'Add more N, P or K sources to your original recipe',
+  acidifySuggestion3: 'Use the PPM to Grams calculator to build a new recipe with the acid included',
   acidifyOriginalRecipe: 'Your Original Recipe',
-  acidifyFailedBothPK: 'PeKacid would add more P and K than your original recipe contains.',
-  acidifyFailedBothPKDetails: 'Your recipe doesn\'t have enough P and K sources to reduce.',
-  acidifyFailedP: 'PeKacid would add more P than your original recipe contains.',
-  acidifyFailedPDetails: 'Your recipe doesn\'t have enough P sources. Need to reduce {amount}g more elemental P.',
-  acidifyFailedK: 'PeKacid would add more K than your original recipe contains.',
-  acidifyFailedKDetails: 'Your recipe doesn\'t have enough K sources. Need to reduce {amount}g more elemental K.',
-  acidifyExceedsBothPKDetails: 'PeKacid adds {pPpm} ppm P₂O₅ but your recipe only has {origP} ppm. PeKacid adds {kPpm} ppm K₂O but your recipe only has {origK} ppm.',
-  acidifyExceedsPDetails: 'PeKacid adds {pPpm} ppm P₂O₅ but your recipe only has {origP} ppm.',
-  acidifyExceedsKDetails: 'PeKacid adds {kPpm} ppm K₂O but your recipe only has {origK} ppm.',
+  acidifyFailedExceeds: '{acid} would add more {nutrients} than your original recipe contains.',
+  acidifyExceedsNutrientDetails: '{acid} adds {acidPpm} ppm {nutrient} but your recipe only has {origPpm} ppm.',
+  acidifyFailedTargets: 'Cannot achieve target {nutrients} levels with available fertilizers.',
   acidifyOptimizationFailed: 'Could not find an exact solution to maintain nutrient balance.',
-  acidifyOptimizationFailedDetails: 'The optimizer found a solution but the nutrient levels differ from the original recipe. This may happen if your recipe lacks sufficient P or K sources to compensate for PeKacid.',
-  acidifyCannotReduceDetails: 'Need to reduce {pAmount} more ppm P₂O₅ and {kAmount} more ppm K₂O but no suitable fertilizers available.',
-  acidifyCannotReducePDetails: 'Need to reduce {amount} more ppm P₂O₅ but no suitable P sources available.',
-  acidifyCannotReduceKDetails: 'Need to reduce {amount} more ppm K₂O but no suitable K sources available.',
+  acidifyOptimizationFailedDetails: 'The optimizer found a solution but the nutrient levels differ from the original recipe. This may happen if your recipe lacks sufficient {nutrients} sources to compensate for {acid}.',
+  acidifyCannotReduceDetails: 'Need to reduce {amounts} more to make room for {acid}, but no suitable {nutrients} sources are available.',
   acidifyNutrientChangeWarning: 'Note: Other nutrients changed',
-  acidifyNutrientChangeDetails: 'Reducing fertilizers to compensate for PeKacid also affected: {changes}. This is expected because those fertilizers provided multiple nutrients.',
+  acidifyNutrientChangeDetails: 'Reducing fertilizers to compensate for {acid} also affected: {changes}. This is expected because those fertilizers provided multiple nutrients.',
   calculatingAdjustments: 'Calculating adjustments...',
   runningOptimizer: 'Running optimizer...',
   processingResults: 'Processing results...',
@@ -91,6 +95,220 @@ window.i18nLocales.en = {
   diffLabel: 'Diff',
   total: 'Total',
 
+  // Source water analysis
+  sourceWaterTitle: 'Source Water Analysis',
+  sourceWaterDescription: 'Enter your water report so the nutrients already present in your tap/well water are counted in every result.',
+  sourceWaterEnable: 'Include source water',
+  sourceWaterUnit: 'Units',
+  sourceWaterUnitPpm: 'ppm (mg/L)',
+  sourceWaterUnitMeq: 'meq/L',
+  sourceWaterTraceHint: 'Micronutrients and silicon are always entered in ppm.',
+
+  // Custom fertilizers
+  customFertTitle: 'My Fertilizers',
+  customFertManage: 'My fertilizers…',
+  customFertDescription: 'Add products that are not in the built-in list. They are saved in this browser, can be used in every mode and are included when you share a link.',
+  customFertEmpty: 'You have not added any fertilizers yet.',
+  customFertAdd: 'Add fertilizer',
+  customFertEdit: 'Edit',
+  customFertDelete: 'Delete',
+  customFertConfirmDelete: 'Delete "{name}"?',
+  customFertName: 'Name',
+  customFertBasis: 'Label analysis',
+  customFertBasisOxide: 'Oxide (P₂O₅, K₂O, …)',
+  customFertBasisElemental: 'Elemental (P, K, …)',
+  customFertSolubility: 'Solubility (g/L)',
+  customFertDensity: 'Density (g/mL, liquids)',
+  customFertSolubilityCurve: 'Solubility changes with temperature like',
+  customFertSolubilityCurveNone: 'Not adjusted (20 °C value)',
+  customFertIons: 'Ion composition',
+  customFertIonsDerive: 'Derive from analysis',
+  customFertIonsManual: 'Enter formula',
+  customFertFormula: 'Formula',
+  customFertMolarMass: 'Molar mass (g/mol)',
+  customFertAddIon: 'Add ion',
+  customFertSave: 'Save',
+  customFertCancel: 'Cancel',
+  customFertErrorName: 'Please enter a name.',
+  customFertErrorNoNutrients: 'Enter at least one nutrient percentage.',
+  customFertErrorTotalPercent: 'The nutrient percentages add up to more than 100%.',
+  customFertErrorSolubility: 'Solubility must be a positive number.',
+  customFertErrorDensity: 'Density must be a positive number.',
+  customFertErrorIons: 'Enter a molar mass and at least one ion with a count greater than 0.',
+
+  // Fertilizer prices & cost
+  pricesTitle: 'Fertilizer Prices',
+  pricesManage: 'Prices…',
+  pricesDescription: 'Enter what you pay for each product. Prices are saved in this browser and are used for recipe costs and the lowest-cost option.',
+  pricesCurrency: 'Currency symbol',
+  pricesEmpty: 'Select some fertilizers first, then add their prices here.',
+  pricesPrice: 'Price',
+  pricesPerKg: 'per kg',
+  pricesPerBag: 'per bag',
+  pricesBagSize: 'Bag size (kg)',
+  objectiveLabel: 'Optimise for:',
+  objectivePriority: 'Fewest products',
+  objectiveCost: 'Lowest cost',
+  objectiveCostNoPrices: 'None of the selected fertilizers has a price yet, so the fewest-products recipe will be used.',
+  costPerBatch: 'Cost per batch',
+  costPer1000L: 'Cost per 1000 L',
+  costPerKgN: 'Cost per kg N',
+  costUnpricedNote: 'Not included (no price): {names}.',
+
+  // Recipe library
+  recipeLibraryTitle: 'Recipe Library',
+  recipeLibraryOpen: 'My saved recipes…',
+  recipeLibraryDescription: 'Recipes are saved in this browser. Every save of a recipe is kept as a version, so you can go back to an earlier one.',
+  recipeStorageUnavailable: 'Saved recipes are not available in this browser (private mode or storage disabled).',
+  recipeEmpty: 'You have not saved any recipes yet. Use "Save recipe" on a result.',
+  recipeSearch: 'Search by name, crop, stage or notes',
+  recipeSaveButton: 'Save recipe',
+  recipeSaveCurrent: 'Save this result',
+  recipeSaveAsVersion: 'New version of "{name}"',
+  recipeSaveAsNew: 'New recipe',
+  recipeName: 'Name',
+  recipeCrop: 'Crop',
+  recipeStage: 'Growth stage',
+  recipeNotes: 'Notes',
+  recipeNameRequired: 'Please enter a name for the recipe.',
+  recipeSave: 'Save',
+  recipeOpen: 'Open',
+  recipeDuplicate: 'Duplicate',
+  recipeDuplicatePrompt: 'Name of the copy:',
+  recipeCopyName: '{name} (copy)',
+  recipeHistory: 'Versions',
+  recipeBackToList: 'Back to recipes',
+  recipeVersionLabel: 'v{version}',
+  recipeConfirmDelete: 'Delete "{name}" and all of its versions?',
+  recipeCompareButton: 'Compare…',
+  recipeCompareTitle: 'Compare Recipes',
+  recipeCompareSelect: 'Select for comparison',
+  recipeCompareSelected: 'Compare selected ({count})',
+  recipeCompareIncludeCurrent: 'Include the result on screen',
+  recipeCompareCurrent: 'Current result',
+  recipeCompareFertilizers: 'Fertilizers',
+  recipeCompareElemental: 'Achieved ppm (elemental)',
+  recipeCompareOxide: 'Achieved ppm (oxide)',
+  recipeCompareMmol: 'Ions (mmol/L)',
+  recipeCompareSolution: 'EC, ion balance and ratios',
+  recipeCompareEC: 'Estimated EC',
+  recipeCompareIonBalance: 'Ion balance',
+  recipeCompareWarnings: 'Warnings',
+  recipeCompareNoWarnings: 'No warnings for any of these recipes.',
+  recipeCompareLegend: 'Highlighted rows differ by more than 5% between the recipes. Fertilizers are compared per liter, so recipes for different volumes can be compared. Stock plans are not included.',
+
+  // Printable mix sheet and tank labels
+  mixSheetButton: 'Print mix sheet',
+  mixSheetTitle: 'Mix Sheet',
+  mixSheetBatchName: 'Batch name',
+  mixSheetDate: 'Batch date',
+  mixSheetMixDirect: 'Mix directly ({volume} L working solution)',
+  mixSheetMixStock: 'Make stock concentrates',
+  mixSheetConcentration: 'Concentration factor (×)',
+  mixSheetTanks: 'Stock tanks',
+  mixSheetStockInfo: '{factor}× stock, {volume} L per tank',
+  mixSheetVolumeInfo: '{volume} L working solution',
+  mixSheetExpectedEC: 'Expected EC',
+  mixSheetChecklist: 'Weighing checklist',
+  mixSheetDirectHint: 'Fill the tank with most of the water, then weigh and dissolve each fertilizer in order. Tick each line once it is in.',
+  mixSheetStockHint: 'Fill each tank with about 2/3 of its water, dissolve its fertilizers in order, then top up to volume. Never mix the concentrates of different tanks. Tick each line once it is in.',
+  mixSheetTankColumn: 'Tank',
+  mixSheetFertilizer: 'Fertilizer',
+  mixSheetWeigh: 'Weigh',
+  mixSheetInitials: 'Initials',
+  mixSheetTank: 'Tank {tank}',
+  mixSheetMixingTank: 'Mixing tank',
+  mixSheetTankContents: 'Tank contents',
+  mixSheetOverSolubility: '{pct}% of solubility - may not dissolve',
+  mixSheetDosing: 'Dosing',
+  mixSheetTarget: 'Target',
+  mixSheetWorkingSolution: 'Working solution',
+  mixSheetLabelDose: 'Dose {dose} mL per L of water',
+  mixSheetLabelMixed: 'Mixed',
+  mixSheetPrint: 'Print / Save as PDF',
+  mixSheetPopupBlocked: 'Allow pop-ups for this site to print the mix sheet.',
+
+  // EC calibration from measured readings
+  ecCalButton: 'EC model',
+  ecCalTitle: 'EC Model and Calibration',
+  ecModelLabel: 'EC model:',
+  ecModelStandard: 'Standard',
+  ecModelDavies: 'Davies (activity)',
+  ecModelStandardHint: 'Sums each ion\'s conductivity with one ionic strength correction. Calibrating to your readings below fits the correction and, optionally, each ion\'s conductivity.',
+  ecModelDaviesHint: 'Uses Davies activity coefficients per ion, splits phosphate into H₂PO₄⁻/HPO₄²⁻ (pH 5.8) and accounts for CaSO₄, MgSO₄, CaHPO₄ and MgHPO₄ ion pairs, which lower EC in strong recipes. Calibrating to your readings below scales it by one fitted factor.',
+  ecCalDescription: 'Log the EC your meter reads for recipes you have mixed. Fitting the EC models to these readings corrects every future EC prediction, including the EC targets of the solver. Readings and the model are saved in this browser.',
+  ecCalLogFor: 'Log a reading for {name}',
+  ecCalPredicted: 'Predicted: {ec} mS/cm',
+  ecCalMeasured: 'Measured EC (mS/cm)',
+  ecCalTemperature: 'Solution temperature (°C)',
+  ecCalCompensated: 'My meter compensates to 25 °C (ATC)',
+  ecCalAddReading: 'Add reading',
+  ecCalNoSolution: 'Calculate a recipe first to log a reading for it. Stock plans cannot be logged; log the diluted solution instead.',
+  ecCalNoReadings: 'No readings yet.',
+  ecCalReading: 'Recipe',
+  ecCalMeasured25: 'Measured (25 °C)',
+  ecCalDefaultModel: 'Default model',
+  ecCalCalibratedModel: 'Calibrated model',
+  ecCalRemove: 'Remove reading',
+  ecCalPerIon: 'Also adjust each ion\'s conductivity (needs {count} or more readings)',
+  ecCalFit: 'Fit model to readings',
+  ecCalUseDefault: 'Use default model',
+  ecCalActive: 'Calibrated model in use (fitted to {count} readings)',
+  ecCalConstant: 'Ionic strength constant: {from} (default) → {to}',
+  ecCalError: 'Average error vs readings: {before} (default) → {after}',
+  ecCalDaviesError: 'Davies model error vs readings: {before} (default) → {after}',
+  ecCalDaviesRefit: 'This model was fitted before the Davies model could be calibrated. Fit it again to calibrate the Davies model too.',
+  ecDefaultModelNote: 'Calibrated · default model: {ec}',
+
+  // CSV / Excel export of the result tables
+  exportCsvButton: 'Export CSV',
+  exportXlsxButton: 'Export Excel',
+  exportSheetFertilizers: 'Fertilizers',
+  exportSheetTargets: 'Target vs achieved',
+  exportSheetNutrients: 'Nutrients',
+  exportSheetIons: 'Ion breakdown',
+  exportSheetEC: 'EC contributions',
+  exportSheetRatios: 'Ratios',
+  exportSheetTanks: 'Tanks',
+  exportSheetDosing: 'Dosing',
+  exportColFertilizer: 'Fertilizer',
+  exportColGrams: 'Grams',
+  exportColGramsPerLiter: 'g/L',
+  exportColNutrient: 'Nutrient',
+  exportColPpm: 'ppm',
+  exportColTargetPpm: 'Target (ppm)',
+  exportColAchievedPpm: 'Achieved (ppm)',
+  exportColDifferencePpm: 'Difference (ppm)',
+  exportColDifferencePct: 'Difference (%)',
+  exportColTargetRatio: 'Target ratio',
+  exportColAchievedRatio: 'Achieved ratio',
+  exportColBeforePpm: 'Before (ppm)',
+  exportColAfterPpm: 'After (ppm)',
+  exportColChangePpm: 'Change (ppm)',
+  exportColSource: 'Source',
+  exportColIon: 'Ion',
+  exportColIonType: 'Type',
+  exportColMeqPerLiter: 'meq/L',
+  exportColMmolPerLiter: 'mmol/L',
+  exportColLambda: 'Molar conductivity (S·cm²/mol)',
+  exportColECContribution: 'EC contribution (mS/cm)',
+  exportColShare: 'Share (%)',
+  exportColRatio: 'Ratio',
+  exportColValue: 'Value',
+  exportColBasis: 'Basis',
+  exportColTank: 'Tank',
+  exportColSolubility: 'Solubility used (%)',
+  exportColTarget: 'Target',
+  exportColTargetEC: 'Target EC (mS/cm)',
+  exportColPredictedEC: 'Predicted EC (mS/cm)',
+  exportColDose: '{tank} (mL/L)',
+  exportSourceWater: 'Source water',
+  exportTotalCations: 'Total cations',
+  exportTotalAnions: 'Total anions',
+  exportImbalancePct: 'Imbalance (%)',
+  exportEcRawSum: 'Sum of contributions',
+  exportEcEstimate: 'Estimated EC (ionic strength corrected)',
+
   // Stock Solution Settings step
   stockSettingsTitle: 'Stock Solution Settings',
   stockSettingsDescription: 'Configure your stock solution parameters. These settings apply to all tanks.',
@@ -102,6 +320,30 @@ window.i18nLocales.en = {
   stockBaselineECHint: 'EC of your source water (leave 0 for RO water)',
   stockMaxDosingLabel: 'Max Dosing Volume',
   stockMaxDosingHint: 'Maximum dosing per tank (affects concentration)',
+  stockStorageTempLabel: 'Coldest Storage Temperature',
+  stockStorageTempHint: 'Lowest temperature the stock tanks reach; solubility limits are checked at it',
+  stockAutoConcentration: 'Highest factor the tanks allow',
+  stockAutoTankVolume: 'Smallest tank for a working volume',
+  stockWorkingVolumeHint: 'Working solution each fill of the tanks must make, for every target',
+  stockMinDosingLabel: 'Injector Minimum',
+  stockMinDosingHint: 'Lowest dose your injectors deliver; each tank is either off or at least this (0 for no limit)',
+  residualVsTarget: '{pct}% ({ppm} ppm)',
+  residualHint: 'Difference from the target ratio at the achieved strength',
+  stockSafetyMarginLabel: 'Safety Margin',
+  stockSafetyMarginHint: 'Headroom kept below solubility and precipitation limits',
+  stockModeLabel: 'Stock Plan',
+  stockModeB: 'Common stocks for all targets',
+  stockModeA: 'Merged per-target optima',
+  stockModeHint: 'Merged optima optimize each target on its own, then share tanks and show the ratio fidelity each target gives up',
+  stockSwitchMode: 'Compare: {mode}',
+  fidelityVsOptimum: 'Shared tanks: worst ratio error {shared}% vs {own}% on its own (−{loss}%)',
+  fidelityHint: 'Ratio fidelity this target gives up by sharing tanks with the other targets',
+  stockConcentrationLimit: 'Limited by',
+  stockLimitSolubility: '{fertilizer} solubility in tank {tank}',
+  stockLimitPrecipitation: '{salt} precipitation in tank {tank}',
+  stockLimitMaximum: 'no tank limit below {max}×',
+  autoShort: 'auto',
+  storageTemperature: 'Storage Temperature',
 
   // Stock Solution Targets step
   stockTargetsTitle: 'Define Target Ratios',
@@ -172,6 +414,23 @@ window.i18nLocales.en = {
   ecOption25: '2.5 mS/cm - Flowering/Fruiting',
   ecOption30: '3.0 mS/cm - Maximum (experienced growers)',
 
+  // TDS targets and readings (500 / 640 / 700 scales)
+  ecTargetTypeLabel: 'Target as:',
+  tdsScale500: '500 scale (NaCl)',
+  tdsScale640: '640 scale',
+  tdsScale700: '700 scale (442)',
+  tdsTargetPlaceholder: 'TDS in ppm',
+  tdsTargetPrompt: 'Enter the ppm your TDS meter should read, on the scale your meter uses.',
+  tdsTargetDesc: 'Same strength as {ec} mS/cm EC.',
+  tdsTargetShort: '{ppm} ppm TDS ({scale} scale)',
+  tdsReadings: 'TDS meter reading',
+  predictedPh: 'Predicted pH',
+  tankSaturationTitle: 'Precipitation check (tank pH {pH})',
+  saturationIndexShort: 'SI {si}',
+  tankSaturationHint: 'Saturation index = log(ion activity product / Ksp). Above 0 the tank is supersaturated with the salt: above 0.3 it will cloud, from -0.3 it may do so once the tank gets cold.',
+  phosphateSplit: 'Phosphate',
+  residualBicarbonate: 'Bicarbonate left',
+
   // Results indicator text
   currentLabel: 'Current:',
   litersShort: 'L',
@@ -210,6 +469,16 @@ window.i18nLocales.en = {
   ofTotalN: 'of total N',
   nh4PctLabel: '% of N as Ammonium-NH₄ (optional)',
   nh4PctHint: 'Leave blank to let the solver choose the N form split freely.',
+
+  // Micronutrient targets (PPM → Grams and NPK Ratio → Grams)
+  microTargetsTitle: 'Micronutrient Targets (optional)',
+  microTargetsHint: 'Always in ppm, even when the macronutrients are entered as ratios. Leave blank to skip.',
+  microFe: 'Iron (Fe)',
+  microMn: 'Manganese (Mn)',
+  microZn: 'Zinc (Zn)',
+  microCu: 'Copper (Cu)',
+  microB: 'Boron (B)',
+  microMo: 'Molybdenum (Mo)',
   nh4PctNotAchieved: 'NH₄-N target of {target}% could not be achieved with selected fertilizers (got {achieved}%). Try adding fertilizers with ammonium-N (MAP, DAP, ammonium sulfate) or a pure-K source (SOP) to the selection.',
   nh4PctPartiallyAchieved: 'NH₄-N target of {target}% approximately achieved ({achieved}%). Selected fertilizers limit the achievable split.',
   clickToLearnIonBalance: 'Click to learn how we calculate Ion Balance',
@@ -260,6 +529,8 @@ window.i18nLocales.en = {
   copyResults: 'Copy Results',
   copyResultsToClipboard: 'Copy results to clipboard',
   openInCalculator: 'Open in calculator',
+  updateAvailable: 'A new version of the calculator is available.',
+  updateReload: 'Reload',
   urlOverflowBanner: 'The shared link could not encode all inputs (too long). Calculator opened in default state.',
   urlOverflowCopyWarning: 'Inputs too large to fit in URL — copied an error link instead.',
   twoTanks: 'Two Tanks',
@@ -328,6 +599,9 @@ window.i18nLocales.en = {
   alertFixInvalidInputs: 'Please fix the invalid input values (highlighted in red)',
   alertSelectFertilizerWithAmount: 'Please select at least one fertilizer with an amount greater than 0',
   alertEnterValidSolutionVolume: 'Please enter a valid solution volume greater than 0',
+  alertEnterValidTds: 'Please enter a TDS target greater than 0 ppm',
+  alertInvalidWorkingVolume: 'Please enter a working solution volume of at least 1 liter',
+  alertInvalidSafetyMargin: 'Safety margin should be between 0 and 99%',
   alertEnterPositiveNutrientTarget: 'Please enter a positive value for at least one nutrient target',
   alertSelectAvailableFertilizer: 'Please select at least one available fertilizer',
   alertCalculationError: 'An error occurred during calculation. Please try again.',
@@ -342,6 +616,9 @@ window.i18nLocales.en = {
   alertCopyFailedTryAgain: 'Failed to copy to clipboard. Please try again.',
   alertRunCalculationFirst: 'Please run a calculation first.',
   alertEnterAtLeastOneRatio: 'Please enter at least one valid target ratio (e.g., 3:1:2 for N:P:K).',
+  alertEcCalNotSaved: 'Your EC readings could not be saved in this browser (storage is full or disabled).',
+  alertEnterMeasuredEc: 'Please enter the measured EC (greater than 0 mS/cm)',
+  alertCustomFertNotSaved: 'Your fertilizers could not be saved in this browser (storage is full or disabled). They will be lost when the page is closed.',
   alertStockCalculationFailed: 'Stock solution calculation failed. Please check your targets and selected fertilizers.',
   calculatingStockSolutions: 'Calculating Stock Solutions...',
   optimizingTankComposition: 'Optimizing tank composition...',
@@ -382,6 +659,7 @@ window.i18nLocales.en = {
   warningCategoryNKRatio: 'N:K Ratio',
   warningCategoryHighEC: 'High EC',
   warningCategoryLowEC: 'Low EC',
+  warningCategoryHighBicarbonate: 'High Bicarbonate (Alkalinity)',
   warningCategoryHighBoron: 'High Boron',
   warningCategoryHighCopper: 'High Copper',
   warningCategoryHighZinc: 'High Zinc',
@@ -412,6 +690,7 @@ window.i18nLocales.en = {
   warningMsgLowEC: 'Electrical conductivity is quite low ({ec} mS/cm). This solution may be too dilute for optimal plant growth. Consider increasing fertilizer amounts. Most crops prefer EC between 1.5-2.5 mS/cm.',
   warningMsgHighChlorideLevel: 'Chloride level is {cl} ppm. High chloride (>100 ppm) can be toxic to sensitive crops. Consider using sulfate-based fertilizers instead of chloride-based ones.',
   warningMsgHighSodiumLevel: 'Sodium level is {na} ppm. {severity} Sodium can accumulate and compete with K/Ca/Mg uptake. Keep Na as low as possible, ideally <50 ppm.',
+  warningMsgHighBicarbonate: 'Bicarbonate level is {hco3} ppm HCO₃⁻. High alkalinity will push the root-zone pH up over time. Consider acidifying the source water (nitric or phosphoric acid) before adding fertilizers.',
   warningMsgThisIsVeryHigh: 'This is very high!',
   warningMsgHighBoron: 'Boron level is {b} ppm. {severity} Boron has a narrow safe window (typically 0.2-0.5 ppm). Many crops show toxicity not far above sufficiency levels.',
   warningMsgThisMayCauseToxicity: 'This may cause toxicity!',
@@ -691,6 +970,10 @@ window.i18nLocales.en = {
   preparingModel: 'Preparing optimization model...',
   runningSolver: 'Running MILP solver...',
   optimizingCombination: 'Optimizing fertilizer combination...',
+  solverRunCount: '(solve {count})',
+  stockTryingTanks: 'Trying {count} stock tanks...',
+  solverBackendGlpk: 'Solved with the GLPK backup solver because the main solver (HiGHS) could not run in this browser.',
+  solverBackendNnls: 'Approximate result: no MILP solver could run in this browser, so a least-squares fit was used. Product priorities, prices, the PeKacid limit and the NH₄ target were not applied.',
   scalingToTargetEc: 'Scaling to target EC...',
   preparingResults: 'Preparing results...',
   complete: 'Complete!',
@@ -698,6 +981,19 @@ window.i18nLocales.en = {
   // Language selector
   language: 'Language',
 
+  // Ion targets (PPM → Grams)
+  targetUnitLabel: 'Enter targets as:',
+  ionTargetsHint: 'Enter the ion concentrations of a published scheme (e.g. Sonneveld). Nitrate and ammonium are solved as separate targets, and the results are reported in the same unit.',
+
+  // Unit selector
+  units: 'Units',
+  unitVolume: 'Volume',
+  unitMass: 'Weight',
+  unitConcentration: 'Concentration',
+  unitLiters: 'liters',
+  unitGallons: 'US gallons',
+  unitsHint: 'Shared links and saved recipes always store liters, grams and ppm.',
+
   // Priority
   priority: 'Priority',
 
@@ -758,6 +1054,7 @@ window.i18nLocales.en = {
   shareTitle: '🌱 Fertilizer Calculator Results',
   shareFertilizersUsed: '📦 Fertilizers Used',
   shareSolutionVolume: '({volume}L solution)',
+  shareSolutionVolumeUnit: '({volume} solution)',
   shareNutrientConcentrations: '📊 Nutrient Concentrations (PPM)',
   shareKeyRatios: '📐 Key Ratios',
   shareGeneratedBy: 'Generated by https://umangbhatt.in/fertilizer-calculator/',
@@ -766,11 +1063,16 @@ window.i18nLocales.en = {
   shareFormulaBuilderTitle: '🌱 Formula Builder Results',
   shareTargetPpmValues: '🎯 Target PPM Values',
   shareLabelValuePpm: '• {label}: *{value} ppm*',
+  shareLabelValue: '• {label}: *{value}*',
   shareFertilizersToAdd: '📦 Fertilizers to Add',
   shareFertilizersToAddVolume: '📦 Fertilizers to Add ({volume}L)',
+  shareFertilizersToAddVolumeUnit: '📦 Fertilizers to Add ({volume})',
   shareNoSuitableFormula: 'No suitable formula found',
   shareFertilizerGrams: '• {name}: *{grams}g*',
+  shareFertilizerAmount: '• {name}: *{amount}*',
   shareAchievedPpm: '✅ Achieved PPM',
+  shareTargetValues: '🎯 Target Values',
+  shareAchievedValues: '✅ Achieved',
   shareIonBalance: '⚖️ Ion Balance',
   shareCationsValue: '• Cations: *{value} meq/L*',
   shareAnionsValue: '• Anions: *{value} meq/L*',
@@ -0,0 +1,391 @@
+#!/usr/bin/env node
+/**
+ * fertcalc - solve fertilizer recipes from JSON job files
+ *
+ * Usage: node scripts/node/fertcalc.js <job.json> [--format text|json|csv] [--output <file>]
+ *
+ * A job file holds one job or an array of jobs:
+ *   {
+ *     "name": "Tomato week 6",
+ *     "mode": "formula",              // 'formula' (ppm targets), 'ratio' (NPK ratio) or 'stock'
+ *     "calcMode": "elemental",        // or 'oxide' (P and K targets as P2O5 / K2O)
+ *     "volume": 100,                  // litres of final solution (formula / ratio)
+ *     "targets": { "N": 180, "P": 45, "K": 250, "Ca": 160, "Mg": 45, "S": 60, "Fe": 2 },
+ *     "ionTargets": { "NO3": 16, "NH4": 1.25, "H2PO4": 1.5, "K": 9.5, "Ca": 5.4, "Mg": 2.4, "SO4": 4.4 },
+ *     "targetUnit": "mmol",           // ionTargets unit, or 'meq' (formula mode, instead of the macro targets)
+ *     "ratios": { "N": 3, "P": 1, "K": 4 },  // ratio mode, with "concentration" (ppm of the
+ *     "targetEC": 1.8,                //   smallest ratio, default 75) or "targetEC" (mS/cm)
+ *     "targetTDS": { "scale": 700, "ppm": 1260 },  // ratio mode, instead of "targetEC" (500, 640 or 700 scale)
+ *     "fertilizers": ["calcium_nitrate_calcinit_typical", "potassium_nitrate_typical"],
+ *     "customFertilizers": [],        // definitions as saved by the custom fertilizer editor
+ *     "pekacidMaxLimit": 0.1,         // g/L
+ *     "nh4PctTarget": 8,
+ *     "sourceWater": { "Ca": 40, "Mg": 12, "HCO3": 180 },
+ *     "objective": "priority",        // or 'cost' with "prices": { fertilizer_id: pricePerKg }
+ *     "ecModel": "standard",          // or 'davies' (activity coefficients and ion pairs) for EC targets and reports
+ *     "stock": {                      // stock mode
+ *       "targets": [{ "id": "veg", "ratio": { "N": 3, "P": 1, "K": 4, "Ca": 3, "Mg": 1 }, "targetEC": 1.6 }],
+ *       "concentrationFactor": 100,   // or "auto": highest factor the tanks allow
+ *       "tankVolume": 20,            // or "auto": smallest tank for workingVolume liters per target
+ *       "workingVolume": 1000,
+ *       "safetyMargin": 0.2,         // headroom below solubility and precipitation limits
+ *       "maxDosing": 20,             // mL/L per tank
+ *       "minDosing": 1,              // injector minimum mL/L
+ *       "baselineEC": 0.3,
+ *       "storageTemperature": 8,     // coldest tank temperature (°C) for solubility limits
+ *       "mode": "B"                  // 'B' common stocks, or 'A' per-target optima merged into shared tanks
+ *     }
+ *   }
+ *
+ * Prints what the wizard shows: grams per fertilizer, achieved ppm, EC (estimateECFromPPM),
+ * predicted pH (predictSolutionPH), ion balance and warnings - or tank recipes and dosing for stock jobs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadFertilizerCore } = require('./index.js');
+
+const FORMATS = ['text', 'json', 'csv'];
+const MODES = ['formula', 'ratio', 'stock'];
+
+// Achieved ppm keys in wizard order
+const ACHIEVED_KEYS = ['N_total', 'N_NO3', 'N_NH4', 'P', 'K', 'P2O5', 'K2O', 'Ca', 'Mg', 'S', 'Si',
+  'Fe', 'Mn', 'Zn', 'Cu', 'B', 'Mo', 'Na', 'Cl', 'HCO3'];
+
+function usage() {
+  return 'Usage: fertcalc <job.json> [--format text|json|csv] [--output <file>]';
+}
+
+function parseArgs(argv) {
+  const args = { file: null, format: 'text', output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format' || arg === '-f') {
+      args.format = argv[++i];
+    } else if (arg === '--output' || arg === '-o') {
+      args.output = argv[++i];
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  if (!args.help && !args.file) throw new Error('Missing job file');
+  if (!FORMATS.includes(args.format)) throw new Error(`Unknown format "${args.format}" (use ${FORMATS.join(', ')})`);
+  return args;
+}
+
+// =============================================================================
+// JOBS
+// =============================================================================
+
+function resolveFertilizers(FertilizerCore, job) {
+  const ids = job.fertilizers || FertilizerCore.COMMON_FERTILIZERS;
+  const unknown = ids.filter(id => !FertilizerCore.FERTILIZERS.some(f => f.id === id));
+  if (unknown.length > 0) throw new Error(`Unknown fertilizer IDs: ${unknown.join(', ')}`);
+  return ids.map(id => FertilizerCore.FERTILIZERS.find(f => f.id === id));
+}
+
+async function runRecipeJob(modules, job) {
+  const { FertilizerCore, FertilizerWarnings, i18n } = modules;
+  const volume = job.volume || 10;
+  const calcMode = job.calcMode || 'elemental';
+  const fertilizers = resolveFertilizers(FertilizerCore, job);
+  const sourceWater = job.sourceWater ? FertilizerCore.normalizeWaterAnalysis(job.sourceWater, 'ppm') : null;
+
+  const options = {
+    useMilp: true,
+    pekacidMaxLimit: job.pekacidMaxLimit || 0,
+    nh4PctTarget: typeof job.nh4PctTarget === 'number' ? job.nh4PctTarget : null,
+    sourceWater,
+    objective: job.objective || 'priority',
+    prices: job.prices || null
+  };
+
+  let result;
+  if (job.mode === 'formula') {
+    if (!job.targets && !job.ionTargets) throw new Error('Formula jobs need "targets" or "ionTargets"');
+    // Ion targets are elemental ppm with separate NO3 / NH4; "targets" can still add Si and micros
+    const targets = job.ionTargets
+      ? { ...job.targets, ...FertilizerCore.ionTargetsToPpm(job.ionTargets, job.targetUnit || 'mmol') }
+      : job.targets;
+    result = await FertilizerCore.optimizeFormula(targets, volume, fertilizers, 75, job.ionTargets ? 'elemental' : calcMode,
+      { ...options, useAbsoluteTargets: true });
+  } else {
+    if (!job.ratios) throw new Error('Ratio jobs need "ratios"');
+    result = await FertilizerCore.optimizeFormula(job.ratios, volume, fertilizers, job.concentration || 75, calcMode,
+      { ...options, targetEC: job.targetEC || null, targetTDS: job.targetTDS || null });
+  }
+
+  const activeFertilizers = Object.entries(result.formula).map(([id, grams]) => ({
+    ...FertilizerCore.FERTILIZERS.find(f => f.id === id),
+    grams
+  }));
+  const speciation = FertilizerCore.predictSolutionPH(result.formula, volume, { sourceWater: result.sourceWater });
+  const ionBalance = FertilizerCore.calculateIonBalanceCore(activeFertilizers, volume, { sourceWater: result.sourceWater, speciation });
+  const ec = FertilizerCore.estimateECFromPPM(result.achieved, { speciation });
+  const warnings = FertilizerWarnings.checkWarnings(result.achieved, activeFertilizers, ionBalance, {
+    i18n,
+    estimateECFromPPM: FertilizerCore.estimateECFromPPM
+  });
+
+  return {
+    name: job.name || '',
+    mode: job.mode,
+    volume,
+    solverBackend: result.solverBackend,
+    formula: activeFertilizers.map(f => ({
+      id: f.id,
+      name: i18n.getFertilizerName(f),
+      grams: f.grams,
+      gramsPerLiter: f.grams / volume
+    })),
+    achieved: result.achieved,
+    ec: ec.ec_mS_cm,
+    tds: ec.tds,
+    pH: speciation.pH,
+    phosphate: speciation.phosphate,
+    ionBalance: {
+      cations: ionBalance.totalCations,
+      anions: ionBalance.totalAnions,
+      imbalance: ionBalance.imbalance,
+      status: i18n.t(ionBalance.statusLevel)
+    },
+    warnings: warnings.map(w => ({ level: w.level, message: w.message }))
+  };
+}
+
+// What capped an automatic concentration factor, with a readable fertilizer name or salt formula
+function concentrationLimitReport(FertilizerCore, i18n, limit) {
+  if (!limit) return null;
+  const fert = FertilizerCore.FERTILIZERS.find(f => f.id === limit.fertilizer);
+  const salt = FertilizerCore.PRECIPITATION_SALTS.find(s => s.id === limit.salt);
+  const label = fert ? i18n.getFertilizerName(fert) : (salt ? salt.formula : null);
+  return { ...limit, label };
+}
+
+async function runStockJob(modules, job) {
+  const { FertilizerCore, i18n } = modules;
+  const stock = job.stock || {};
+  if (!Array.isArray(stock.targets) || stock.targets.length === 0) throw new Error('Stock jobs need "stock.targets"');
+  const fertilizers = resolveFertilizers(FertilizerCore, job);
+
+  const calculate = stock.mode === 'A' ? FertilizerCore.calculateStockSolutionsModeA : FertilizerCore.calculateStockSolutions;
+  const result = await calculate.call(FertilizerCore, {
+    targets: stock.targets,
+    availableFertilizers: fertilizers.map(f => f.id),
+    stockConcentration: stock.concentrationFactor || 100,
+    stockTankVolumeL: stock.tankVolume || 20,
+    workingVolumeL: stock.workingVolume,
+    safetyMargin: stock.safetyMargin,
+    maxDosingML: stock.maxDosing,
+    minDosingML: stock.minDosing,
+    baselineEC: stock.baselineEC || 0,
+    storageTemperatureC: stock.storageTemperature
+  });
+  if (!result.success) {
+    throw new Error((result.errors || []).map(e => e.message).join('; ') || 'No feasible stock solution');
+  }
+
+  return {
+    name: job.name || '',
+    mode: 'stock',
+    solverBackend: result.meta && result.meta.solverBackend,
+    stockMode: result.meta.mode,
+    concentrationFactor: result.meta.concentrationFactor,
+    tankVolume: result.meta.tankVolumeL,
+    storageTemperature: result.meta.storageTemperatureC,
+    concentrationLimit: concentrationLimitReport(FertilizerCore, i18n, result.meta.concentrationLimit),
+    tanks: Object.entries(result.tanks).map(([id, tank]) => ({
+      id,
+      fertilizers: Object.entries(tank.fertilizers || {}).map(([fertId, info]) => ({
+        id: fertId,
+        name: i18n.getFertilizerName(FertilizerCore.FERTILIZERS.find(f => f.id === fertId)) || fertId,
+        gramsPerLiter: info.grams_per_L,
+        gramsTotal: info.grams_total
+      })),
+      saturation: tank.precipitation ? tank.precipitation.saturation.map(entry => ({
+        salt: entry.formula,
+        saturationIndex: entry.saturationIndex
+      })) : []
+    })),
+    dosing: result.dosing.map(d => ({
+      targetId: d.targetId,
+      targetEC: d.targetEC,
+      predictedEC: d.predicted.EC,
+      mlPerLiter: Object.fromEntries(Object.entries(d.tanks).map(([tankId, t]) => [tankId, t.mL_per_L])),
+      achieved: d.predicted.nutrients,
+      residuals: Object.fromEntries(Object.entries(d.predicted.residuals || {}).map(([n, r]) => [n, r.error])),
+      fidelity: d.fidelity || null
+    })),
+    warnings: (result.warnings || []).map(w => ({ level: w.level, message: w.message }))
+  };
+}
+
+/**
+ * Run one job against a loaded core
+ * @param {Object} modules - Result of loadFertilizerCore()
+ * @param {Object} job - Job definition (see the header of this file)
+ * @returns {Promise<Object>} Report for the formatters
+ */
+async function runJob(modules, job) {
+  if (!MODES.includes(job.mode)) throw new Error(`Unknown mode "${job.mode}" (use ${MODES.join(', ')})`);
+  modules.FertilizerCore.registerCustomFertilizers(job.customFertilizers || []);
+  modules.FertilizerCore.setECModelType(job.ecModel);
+  return job.mode === 'stock' ? runStockJob(modules, job) : runRecipeJob(modules, job);
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+const round = (value, digits) => Number((value || 0).toFixed(digits));
+
+function achievedEntries(achieved) {
+  return ACHIEVED_KEYS
+    .filter(key => (achieved[key] || 0) > 0.001)
+    .map(key => [key, achieved[key]]);
+}
+
+function formatText(reports) {
+  return reports.map(report => {
+    const lines = [`== ${report.name || report.mode} ==`];
+    if (report.mode === 'stock') {
+      const storage = report.storageTemperature !== null ? `, stored at ${report.storageTemperature}°C` : '';
+      const plan = report.stockMode === 'A' ? ' (merged per-target optima)' : '';
+      lines.push(`Stock ${report.concentrationFactor}x, ${report.tankVolume} L per tank${storage}${plan}`);
+      const limit = report.concentrationLimit;
+      if (limit) {
+        lines.push(`Concentration limited by ${limit.reason === 'maximum' ? 'the search maximum' : `${limit.label} (${limit.reason}) in tank ${limit.tank}`}`);
+      }
+      report.tanks.forEach(tank => {
+        lines.push(`Tank ${tank.id}:`);
+        tank.fertilizers.forEach(f => {
+          lines.push(`  ${f.name}: ${round(f.gramsPerLiter, 2)} g/L (${round(f.gramsTotal, 1)} g)`);
+        });
+        if (tank.saturation.length > 0) {
+          lines.push(`  Saturation index: ${tank.saturation.map(e => `${e.salt} ${round(e.saturationIndex, 2)}`).join(', ')}`);
+        }
+      });
+      report.dosing.forEach(d => {
+        const doses = Object.entries(d.mlPerLiter).map(([tankId, ml]) => `${tankId} ${round(ml, 2)} mL/L`).join(', ');
+        lines.push(`Target ${d.targetId} (EC ${d.targetEC}): ${doses} -> EC ${round(d.predictedEC, 2)} mS/cm`);
+        const residuals = Object.entries(d.residuals).map(([n, error]) => `${n} ${round(error * 100, 1)}%`).join(', ');
+        if (residuals) lines.push(`  Ratio residual: ${residuals}`);
+        if (d.fidelity) {
+          lines.push(`  Shared tanks: worst ratio error ${round(d.fidelity.sharedError * 100, 1)}% vs ${round(d.fidelity.optimumError * 100, 1)}% on its own`);
+        }
+      });
+    } else {
+      lines.push(`Fertilizers for ${report.volume} L:`);
+      report.formula.forEach(f => {
+        lines.push(`  ${f.name}: ${round(f.grams, 2)} g (${round(f.gramsPerLiter, 3)} g/L)`);
+      });
+      lines.push('Achieved ppm:');
+      achievedEntries(report.achieved).forEach(([key, ppm]) => {
+        lines.push(`  ${key}: ${round(ppm, ppm < 1 ? 3 : 1)}`);
+      });
+      lines.push(`EC: ${round(report.ec, 2)} mS/cm`);
+      lines.push(`TDS: ${Object.entries(report.tds).map(([scale, ppm]) => `${round(ppm, 0)} ppm (${scale})`).join(', ')}`);
+      lines.push(`pH: ${report.pH.toFixed(1)}`);
+      lines.push(`Ion balance: cations ${round(report.ionBalance.cations, 2)} meq/L, anions ${round(report.ionBalance.anions, 2)} meq/L, imbalance ${round(report.ionBalance.imbalance, 1)}% (${report.ionBalance.status})`);
+    }
+    if (report.solverBackend && report.solverBackend !== 'highs') {
+      lines.push(`Solver: ${report.solverBackend}`);
+    }
+    report.warnings.forEach(w => lines.push(`[${w.level}] ${w.message}`));
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// Same formula guard as tablesToCSV: job files can name custom fertilizers
+function csvCell(value) {
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per value, so every job type fits the same columns
+function formatCsv(reports) {
+  const rows = [['job', 'section', 'item', 'value', 'unit']];
+  reports.forEach(report => {
+    const job = report.name || report.mode;
+    if (report.mode === 'stock') {
+      report.tanks.forEach(tank => tank.fertilizers.forEach(f => {
+        rows.push([job, `tank ${tank.id}`, f.name, round(f.gramsPerLiter, 3), 'g/L']);
+      }));
+      report.dosing.forEach(d => {
+        Object.entries(d.mlPerLiter).forEach(([tankId, ml]) => {
+          rows.push([job, `dosing ${d.targetId}`, `tank ${tankId}`, round(ml, 3), 'mL/L']);
+        });
+        rows.push([job, `dosing ${d.targetId}`, 'EC', round(d.predictedEC, 2), 'mS/cm']);
+      });
+    } else {
+      report.formula.forEach(f => rows.push([job, 'fertilizer', f.name, round(f.grams, 3), 'g']));
+      achievedEntries(report.achieved).forEach(([key, ppm]) => rows.push([job, 'achieved', key, round(ppm, 3), 'ppm']));
+      rows.push([job, 'ec', 'EC', round(report.ec, 2), 'mS/cm']);
+      Object.entries(report.tds).forEach(([scale, ppm]) => rows.push([job, 'ec', `TDS ${scale}`, round(ppm, 0), 'ppm']));
+      rows.push([job, 'ph', 'pH', round(report.pH, 2), '']);
+      Object.entries(report.phosphate).forEach(([species, mmol]) => rows.push([job, 'ph', species, round(mmol, 3), 'mmol/L']));
+      rows.push([job, 'ion balance', 'cations', round(report.ionBalance.cations, 2), 'meq/L']);
+      rows.push([job, 'ion balance', 'anions', round(report.ionBalance.anions, 2), 'meq/L']);
+      rows.push([job, 'ion balance', 'imbalance', round(report.ionBalance.imbalance, 1), '%']);
+    }
+    report.warnings.forEach(w => rows.push([job, 'warning', w.level, w.message, '']));
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Format job reports
+ * @param {Array} reports - runJob results
+ * @param {string} format - 'text', 'json' or 'csv'
+ * @returns {string}
+ */
+function formatReports(reports, format) {
+  if (format === 'json') return JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2) + '\n';
+  if (format === 'csv') return formatCsv(reports);
+  return formatText(reports);
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(path.resolve(args.file), 'utf-8'));
+  const jobs = Array.isArray(parsed) ? parsed : [parsed];
+  const modules = loadFertilizerCore();
+
+  const reports = [];
+  for (const job of jobs) {
+    try {
+      reports.push(await runJob(modules, job));
+    } catch (error) {
+      throw new Error(`${job.name || job.mode || 'job'}: ${error.message}`);
+    }
+  }
+
+  const output = formatReports(reports, args.format);
+  if (args.output) {
+    fs.writeFileSync(args.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`fertcalc: ${error.message}`);
+    if (/Missing job file|Unexpected argument|Unknown format/.test(error.message)) console.error(usage());
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { runJob, formatReports };
@@ -0,0 +1,136 @@
+/**
+ * Fertilizer Calculator Core for Node.js
+ * Loads the browser scripts (data, core, warnings, copy and export builders, recipe library) into their own context
+ * so automation and tests can run optimizeFormula / calculateStockSolutions headlessly.
+ *
+ * Usage (CommonJS):
+ *   const { loadFertilizerCore } = require('./scripts/node');
+ *   const { FertilizerCore } = loadFertilizerCore();
+ *   const result = await FertilizerCore.optimizeFormula(targets, 10, fertilizers, 75, 'elemental', { useAbsoluteTargets: true });
+ *
+ * ES modules: import { loadFertilizerCore } from './scripts/node/index.mjs';
+ *
+ * The browser files stay the source of truth - nothing here is a copy of them.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS_DIR = path.resolve(__dirname, '..');
+const VENDOR_DIR = path.resolve(__dirname, '..', '..', 'assets', 'vendor');
+
+// Same order as the <script> tags on the calculator page
+const SOURCE_FILES = [
+  'fertilizer-data.js',
+  'fertilizer-core.js',
+  'fertilizer-warnings.js',
+  'fertilizer-copy.js',
+  'fertilizer-export.js',
+  'fertilizer-recipes.js'
+];
+
+/**
+ * Default HiGHS loader: the vendored highs.js, reading highs.wasm from the same folder
+ * @returns {Promise<Object>} HiGHS instance
+ */
+function loadVendoredHighs() {
+  const highsDir = path.join(VENDOR_DIR, 'highs');
+  const highsFactory = require(path.join(highsDir, 'highs.js'));
+  return highsFactory({ locateFile: (file) => path.join(highsDir, file) });
+}
+
+/**
+ * Default GLPK loader: the vendored glpk.js (only used if HiGHS fails)
+ * @returns {Object} GLPK instance
+ */
+function loadVendoredGlpk() {
+  return require(path.join(VENDOR_DIR, 'glpk', 'glpk.min.js'))();
+}
+
+/**
+ * English formatter for the scripts that take one (warnings, copy builders).
+ * Same placeholder rules as i18n.t in scripts/i18n.js, with plain numerals.
+ * @param {Object} translations - Locale table (window.i18nLocales.en)
+ * @returns {Object} { t, formatNumber, getFertilizerName }
+ */
+function createFormatter(translations) {
+  return {
+    t(key, replacements = {}) {
+      let text = translations[key] || key;
+      Object.keys(replacements).forEach(placeholder => {
+        text = text.replace(new RegExp(`\\{${placeholder}\\}`, 'g'), String(replacements[placeholder]));
+      });
+      return text;
+    },
+    formatNumber: (num) => String(num),
+    getFertilizerName: (fert) => (fert ? translations[`fert_${fert.id}`] || fert.name : '')
+  };
+}
+
+// MILP logs are chatty; keep stdout clean unless the caller passes its own console
+const quietConsole = {
+  log: () => {},
+  info: () => {},
+  debug: () => {},
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+/**
+ * Load a FertilizerCore instance. Each call gets its own context, so custom fertilizers
+ * registered on one instance never leak into another.
+ * @param {Object} options
+ * @param {Function} options.highsLoader - Optional (onProgress) => Promise<HiGHS instance>,
+ *   e.g. to use the `highs` npm package or a different WASM location
+ * @param {Function} options.glpkLoader - Optional () => GLPK instance for the fallback backend
+ * @param {Object} options.console - Optional console for the scripts' logging (default: warnings and errors only)
+ * @param {Function} options.onLog - Optional (msg, level) => void receiving the solver dev logs
+ * @returns {Object} { FertilizerCore, FertilizerWarnings, FertilizerRecipes, i18n } - i18n is an English formatter
+ *   for FertilizerWarnings.checkWarnings and the copy builders
+ */
+function loadFertilizerCore(options = {}) {
+  const {
+    highsLoader = loadVendoredHighs,
+    glpkLoader = loadVendoredGlpk,
+    console: scriptConsole = quietConsole,
+    onLog = () => {}
+  } = options;
+
+  const context = {
+    console: scriptConsole,
+    setTimeout,
+    clearTimeout,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    atob,
+    btoa,
+    performance,
+    LPModel: require(path.join(VENDOR_DIR, 'lp-model', 'lp-model.min.js')),
+    // Without a sink the scripts queue dev logs in window._pendingDevLogs forever
+    addDevLog: onLog
+  };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+
+  [...SOURCE_FILES, 'locales/en.js'].forEach(file => {
+    const filename = path.join(SCRIPTS_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf-8'), context, { filename });
+  });
+
+  context.FertilizerCore.setHighsLoader(highsLoader);
+  context.FertilizerCore.setGlpkLoader(glpkLoader);
+
+  return {
+    FertilizerCore: context.FertilizerCore,
+    FertilizerWarnings: context.FertilizerWarnings,
+    FertilizerRecipes: context.FertilizerRecipes,
+    i18n: createFormatter(context.i18nLocales.en)
+  };
+}
+
+module.exports = { loadFertilizerCore, loadVendoredHighs, loadVendoredGlpk };
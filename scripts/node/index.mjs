@@ -0,0 +1,14 @@
+/**
+ * ES module entry for the Node.js build of FertilizerCore (see index.js)
+ *
+ *   import { loadFertilizerCore } from './scripts/node/index.mjs';
+ *   const { FertilizerCore } = loadFertilizerCore();
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const nodeBuild = require('./index.js');
+
+export const { loadFertilizerCore, loadVendoredHighs, loadVendoredGlpk } = nodeBuild;
+export default loadFertilizerCore;
@@ -1,19 +1,11 @@
 const path = require('path');
 
 const rootDir = path.resolve(__dirname, '..', '..');
-const highsScriptPath = path
-  .resolve(rootDir, 'assets', 'vendor', 'highs', 'highs.js')
-  .replace(/\\/g, '/');
+const { loadFertilizerCore } = require(path.resolve(rootDir, 'scripts', 'node'));
 
+// Runs the full suite, MILP tests included, against the Node build (real HiGHS WASM)
 global.window = global;
-global.document = {
-  getElementsByTagName: (tag) => (tag === 'script' ? [{ src: highsScriptPath }] : [])
-};
-
-global.window.highs = require(highsScriptPath);
-global.window.LPModel = require(path.resolve(rootDir, 'assets', 'vendor', 'lp-model', 'lp-model.min.js'));
-require(path.resolve(rootDir, 'scripts', 'fertilizer-data.js'));
-require(path.resolve(rootDir, 'scripts', 'fertilizer-core.js'));
+Object.assign(global.window, loadFertilizerCore());
 
 const { runTests } = require(path.resolve(rootDir, 'scripts', 'tests', 'stock-solution-maker.test.js'));
 
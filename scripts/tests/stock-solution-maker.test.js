@@ -11,9 +11,11 @@
  * - assignToTanks: Compatibility separation
  * - checkTankFeasibility: Solubility validation
  * - calculateAchievedPPM: Nutrient calculations
- * - solveDosing: EC-based dosing solver
+ * - solveDosing: EC-based dosing solver (linear program, grid search fallback)
  * - calculateStockSolutions: Full Progressive-K algorithm
  * - Progressive-K: Tank addition when needed
+ * - Recipe library: search, version and duplicate records
+ * - fertcalc: CLI jobs and report formats (Node only)
  * - Regression: Existing single-ratio feature unchanged
  */
 
@@ -24,9 +26,16 @@
   const tests = [];
   let passed = 0;
   let failed = 0;
+  let skipped = 0;
 
-  function test(name, fn) {
-    tests.push({ name, fn });
+  // What a test may need beyond the core scripts; without it the test is skipped, not failed
+  const REQUIREMENTS = {
+    lp: () => window.FertilizerCore.hasLpModel(), // lp-model plus a HiGHS or GLPK backend
+    node: () => typeof require === 'function' && typeof process !== 'undefined' // scripts/node
+  };
+
+  function test(name, fn, { requires } = {}) {
+    tests.push({ name, fn, requires });
   }
 
   function assert(condition, message) {
@@ -59,6 +68,11 @@
     console.log('='.repeat(60));
 
     for (const t of tests) {
+      if (t.requires && !REQUIREMENTS[t.requires]()) {
+        console.log(`○ ${t.name} (skipped: needs ${t.requires})`);
+        skipped++;
+        continue;
+      }
       try {
         await t.fn();
         console.log(`✓ ${t.name}`);
@@ -71,10 +85,10 @@
     }
 
     console.log('-'.repeat(60));
-    console.log(`Results: ${passed} passed, ${failed} failed`);
+    console.log(`Results: ${passed} passed, ${failed} failed, ${skipped} skipped`);
     console.log('='.repeat(60));
 
-    return { passed, failed };
+    return { passed, failed, skipped };
   }
 
   // Mock fertilizer library for isolated testing
@@ -324,14 +338,14 @@
       baselineEC: 0
     };
 
-    const result = window.FertilizerCore.solveDosing(tanks, target, { maxDosing: 50 });
+    const result = await window.FertilizerCore.solveDosing(tanks, target, { maxDosing: 50 });
 
     assert(result.feasible, 'Should be feasible');
     assertApprox(result.predictedEC, 1.5, 0.2, 'EC should be close to target');
     assert(result.dosing.A > 0, 'Tank A dosing > 0');
   });
 
-  test('solveDosing: Fails when EC below baseline', () => {
+  test('solveDosing: Fails when EC below baseline', async () => {
     const tanks = {
       A: { 'calcium_nitrate_calcinit_typical': 100 }
     };
@@ -341,7 +355,7 @@
       baselineEC: 0.5
     };
 
-    const result = window.FertilizerCore.solveDosing(tanks, target);
+    const result = await window.FertilizerCore.solveDosing(tanks, target);
 
     assert(!result.feasible, 'Should be infeasible');
     assert(result.issues.some(i => i.code === 'EC_UNACHIEVABLE'), 'Should have EC error');
@@ -377,7 +391,7 @@
     assertHasKey(result, 'dosing', 'Should have dosing');
     assertEqual(result.dosing.length, 1, 'Should have 1 dosing instruction');
     assertEqual(result.dosing[0].targetId, 'veg', 'Target ID matches');
-  });
+  }, { requires: 'lp' });
 
   test('calculateStockSolutions: Multiple targets with different ECs', async () => {
     const options = {
@@ -420,7 +434,7 @@
 
     assert(seedlingDose < vegDose, 'Seedling dose < veg dose');
     assert(vegDose < flowerDose, 'Veg dose < flower dose');
-  });
+  }, { requires: 'lp' });
 
   test('calculateStockSolutions: Tank separation', async () => {
     const options = {
@@ -457,7 +471,7 @@
         assert(tag !== 'calcium', `Tank B should not have Ca, got ${fertId}`);
       }
     }
-  });
+  }, { requires: 'lp' });
 
   test('calculateStockSolutions: Includes solubility percentage', async () => {
     // Potassium nitrate has N:K ≈ 13.7:38.2 ≈ 1:2.8
@@ -486,7 +500,7 @@
         assert(fertData.solubility_pct > 0, 'Solubility pct > 0');
       }
     }
-  });
+  }, { requires: 'lp' });
 
   // ==========================================================================
   // Progressive-K Tests
@@ -514,7 +528,7 @@
 
     assert(result.success, 'Should succeed');
     assertEqual(result.meta.numTanks, 2, 'Should use 2 tanks');
-  });
+  }, { requires: 'lp' });
 
   // ==========================================================================
   // Regression Tests
@@ -540,7 +554,7 @@
     assertHasKey(result, 'formula', 'Should have formula');
     assertHasKey(result, 'achieved', 'Should have achieved');
     assert(Object.keys(result.formula).length > 0, 'Should have fertilizers in formula');
-  });
+  }, { requires: 'lp' });
 
   test('Regression: getElementalContributionPerGram works correctly', () => {
     const fert = window.FertilizerCore.FERTILIZERS.find(f => f.id === 'calcium_nitrate_calcinit_typical');
@@ -591,6 +605,83 @@
     assert(result.errors.some(e => e.code === 'NO_FERTILIZERS'), 'Should have NO_FERTILIZERS error');
   });
 
+  test('runSolverTask: runs in place without workers and rejects unknown methods', async () => {
+    const task = window.FertilizerCore.runSolverTask('calculateStockSolutions', [{
+      targets: [],
+      availableFertilizers: ['calcium_nitrate_calcinit_typical']
+    }]);
+    const result = await task.promise;
+
+    assert(!result.success, 'Same result as a direct call');
+    assert(result.errors.some(e => e.code === 'NO_TARGETS'), 'Should have NO_TARGETS error');
+
+    let threw = false;
+    try {
+      window.FertilizerCore.runSolverTask('estimateEC', [{}]);
+    } catch (e) {
+      threw = true;
+    }
+    assert(threw, 'Only solver methods can be run');
+  });
+
+  test('solveLpModel: rejects with every backend error when no MILP solver loads', async () => {
+    const previousHighs = window.FertilizerCore.setHighsLoader(() => Promise.reject(new Error('WASM blocked')));
+    const previousGlpk = window.FertilizerCore.setGlpkLoader(() => { throw new Error('GLPK missing'); });
+    let message = '';
+    try {
+      await window.FertilizerCore.solveLpModel({}, null);
+    } catch (e) {
+      message = e.message;
+    } finally {
+      window.FertilizerCore.setHighsLoader(previousHighs);
+      window.FertilizerCore.setGlpkLoader(previousGlpk);
+    }
+
+    assert(message.includes('highs: WASM blocked'), 'Should report the HiGHS failure');
+    assert(message.includes('glpk: GLPK missing'), 'Should report the GLPK failure');
+  });
+
+  test('solveLpModel: a model error fails one solve, a crash disables the backend', async () => {
+    const core = window.FertilizerCore;
+    const model = (lp) => ({ toLPFormat: () => lp, toGLPKFormat: () => ({ lp, subjectTo: [] }), constraints: [] });
+    let highsCrash = null;
+    const fakeHighs = {
+      solve: (lp) => {
+        if (highsCrash) throw highsCrash;
+        if (lp === 'bad') throw new Error('Unable to parse the model');
+        return { Columns: { x: { Primal: 1 } } };
+      }
+    };
+    const fakeGlpk = {
+      GLP_OPT: 5, GLP_FEAS: 2, GLP_FX: 5, GLP_MSG_OFF: 0,
+      solve: (lp) => ({ result: lp.lp === 'bad' ? { status: 1 } : { status: 5, vars: { x: 2 } } })
+    };
+    const previousHighs = core.setHighsLoader(() => Promise.resolve(fakeHighs));
+    const previousGlpk = core.setGlpkLoader(() => fakeGlpk);
+    try {
+      let message = '';
+      try {
+        await core.solveLpModel(model('bad'));
+      } catch (e) {
+        message = e.message;
+      }
+      assert(message.includes('highs: Unable to parse') && message.includes('glpk: GLPK returned status 1'), 'Both backends tried the bad model');
+
+      const next = await core.solveLpModel(model('ok'));
+      assertEqual(next.backend, 'highs', 'HiGHS still used after a model error');
+      assertEqual(next.values.x, 1, 'HiGHS values');
+
+      highsCrash = new Error('Aborted()');
+      highsCrash.name = 'RuntimeError';
+      assertEqual((await core.solveLpModel(model('ok'))).backend, 'glpk', 'Crash falls through to GLPK');
+      highsCrash = null;
+      assertEqual((await core.solveLpModel(model('ok'))).backend, 'glpk', 'Crashed HiGHS stays skipped');
+    } finally {
+      core.setHighsLoader(previousHighs);
+      core.setGlpkLoader(previousGlpk);
+    }
+  });
+
   test('Error: Invalid fertilizer IDs ignored', async () => {
     // Potassium nitrate has N:K ≈ 13.7:38.2 ≈ 1:2.8
     // Use a ratio that matches what KNO3 can actually produce
@@ -601,7 +692,7 @@
 
     // Should still work with valid fertilizer (invalid ID is filtered out)
     assert(result.success, 'Should succeed with valid fertilizer');
-  });
+  }, { requires: 'lp' });
 
   // ==========================================================================
   // Multi-Target Ratio Tests
@@ -746,8 +837,818 @@
     assert(t1Match || t1Warnings.length === 0, 'Target 1 should achieve ratio or have no warnings');
     assert(t2Match || t2Warnings.length === 0, 'Target 2 should achieve ratio or have no warnings');
     assert(t3Match || t3Warnings.length === 0, 'Target 3 should achieve ratio or have no warnings');
+  }, { requires: 'lp' });
+
+  // ==========================================================================
+  // Source Water Tests
+  // ==========================================================================
+
+  // Municipal fallback water: 40 Ca, 12 Mg, 30 Na, 45 Cl, 180 HCO3 (ppm)
+  const MUNICIPAL_WATER = { Ca: 40, Mg: 12, Na: 30, Cl: 45, HCO3: 180 };
+
+  test('normalizeWaterAnalysis: converts meq/L to ppm', () => {
+    const waterPpm = window.FertilizerCore.normalizeWaterAnalysis({ Ca: 2, HCO3: 3, B: 0.1, Na: 0 }, 'meq');
+
+    assertApprox(waterPpm.Ca, 40.08, 0.01, 'Ca: 2 meq/L × 40.078 / 2');
+    assertApprox(waterPpm.HCO3, 183.05, 0.01, 'HCO3: 3 meq/L × 61.017');
+    assertEqual(waterPpm.B, 0.1, 'Trace elements stay in ppm');
+    assert(!('Na' in waterPpm), 'Zero values should be dropped');
+  });
+
+  test('addSourceWaterToPPM: adds water and keeps derived keys in sync', () => {
+    const ppm = { Ca: 100, K: 200, K2O: 200 / 0.8301, N_NO3: 150, N_total: 150 };
+    const combined = window.FertilizerCore.addSourceWaterToPPM(ppm, { Ca: 40, K: 10, N_NO3: 5 });
+
+    assertEqual(combined.Ca, 140, 'Ca should include water');
+    assertEqual(combined.N_total, 155, 'N_total should include water nitrate');
+    assertApprox(combined.K2O * window.FertilizerCore.OXIDE_CONVERSIONS.K2O_to_K, 210, 0.01, 'K2O should match combined K');
+    assertEqual(ppm.Ca, 100, 'Input should not be mutated');
+  });
+
+  test('subtractSourceWaterFromTargets: reduces targets and floors at zero', () => {
+    const targets = { N_total: 150, Ca: 30, Mg: 50, S: 0 };
+    const adjusted = window.FertilizerCore.subtractSourceWaterFromTargets(targets, { ...MUNICIPAL_WATER, S: 20 });
+
+    assertEqual(adjusted.Ca, 0, 'Ca fully covered by water');
+    assertEqual(adjusted.Mg, 38, 'Mg reduced by water');
+    assertEqual(adjusted.N_total, 150, 'N untouched');
+    assertEqual(adjusted.S, 0, 'Zero targets stay zero');
+  });
+
+  test('Source water raises EC and enters ion balance', () => {
+    const ppm = { N_NO3: 150, K: 200, Ca: 120, Mg: 40, S: 30, P: 30 };
+    const ecWithout = window.FertilizerCore.estimateECFromPPM(ppm);
+    const ecWith = window.FertilizerCore.estimateECFromPPM(ppm, { sourceWater: MUNICIPAL_WATER });
+    assert(ecWith.ec_mS_cm > ecWithout.ec_mS_cm, 'Source water should add EC');
+
+    const formula = { 'calcium_nitrate_calcinit_typical': 1.0 };
+    const plain = window.FertilizerCore.calculateIonBalanceCore(formula, 1);
+    const withWater = window.FertilizerCore.calculateIonBalanceCore(formula, 1, { sourceWater: MUNICIPAL_WATER });
+    const hco3 = withWater.sourceWaterIons.find(item => item.type === 'anion' && item.meq > 2.9);
+
+    assert(hco3 !== undefined, 'Bicarbonate should appear as a source water anion');
+    assertApprox(withWater.totalAnions - plain.totalAnions, 180 / 61.017 + 45 / 35.453, 0.001, 'Anions include HCO3 and Cl');
+  });
+
+  test('checkWarnings: flags source water bicarbonate and sodium', () => {
+    if (!window.FertilizerWarnings?.checkWarnings) {
+      console.log('  (skipped - FertilizerWarnings not available)');
+      return;
+    }
+
+    const ppm = window.FertilizerCore.addSourceWaterToPPM(
+      { N_NO3: 150, K: 200, Ca: 120, Mg: 40, S: 30, P: 30, N_total: 150 },
+      { ...MUNICIPAL_WATER, Na: 60 }
+    );
+    const mockI18n = { t: (key) => key, formatNumber: (n) => n };
+    const warnings = window.FertilizerWarnings.checkWarnings(
+      ppm,
+      [],
+      null,
+      { i18n: mockI18n, estimateECFromPPM: window.FertilizerCore.estimateECFromPPM }
+    );
+    const categories = warnings.map(w => w.category);
+
+    assert(categories.includes('warningCategoryHighBicarbonate'), 'Should warn about bicarbonate');
+    assert(categories.includes('warningCategoryHighSodium'), 'Should warn about sodium');
+  });
+
+  // ==========================================================================
+  // Acid Dosing Tests
+  // ==========================================================================
+
+  test('getAcidStrength: derives meq/g from nutrient content', () => {
+    // 38% HNO3 → 8.4% N → 84 mg N/g / 14.007 ≈ 6.0 meq/g
+    assertApprox(window.FertilizerCore.getAcidStrength('nitric_acid_38'), 6.0, 0.01, 'Nitric 38%');
+    // PeKacid: only the H3PO4 half of its P is acidic
+    assertApprox(window.FertilizerCore.getAcidStrength('icl_pekacid_pk_acid'), 4.23, 0.01, 'PeKacid');
+    assertEqual(window.FertilizerCore.getAcidStrength('potassium_nitrate_typical'), 0, 'Not an acid');
+  });
+
+  test('calculateAcidDose: residual HCO3 target with nitric acid', () => {
+    const dose = window.FertilizerCore.calculateAcidDose({
+      hco3: 180, targetHCO3: 30, acidId: 'nitric_acid_38', volume: 100
+    });
+
+    assertApprox(dose.acidMeqPerL, 150 / 61.017, 0.001, 'Acid neutralises 150 ppm HCO3');
+    assertApprox(dose.gramsPerL, 0.41, 0.005, 'Grams per liter');
+    assertApprox(dose.mlPerL, 0.33, 0.005, 'Liquid acid reported in mL/L');
+    assertApprox(dose.totalGrams, dose.gramsPerL * 100, 1e-9, 'Batch total');
+    assertApprox(dose.contribution.N_NO3, 34.4, 0.1, 'Nitrate N added by the acid');
+    assertEqual(dose.residualHCO3, 30, 'Residual HCO3');
+  });
+
+  test('calculateAcidDose: target pH uses carbonate equilibrium', () => {
+    // At pH = pKa1 half of the carbonate is still bicarbonate
+    const pka = window.FertilizerCore.CARBONIC_ACID_PKA1;
+    assertApprox(window.FertilizerCore.calculateResidualBicarbonate(120, pka), 60, 1e-9, 'Half at pKa1');
+
+    const dose = window.FertilizerCore.calculateAcidDose({
+      hco3: 180, targetPH: 5.8, acidId: 'phosphoric_acid_49'
+    });
+    assert(dose.residualHCO3 > 30 && dose.residualHCO3 < 45, 'About 22% left as HCO3 at pH 5.8');
+    assert(dose.contribution.P > 0, 'Phosphoric acid adds P');
+
+    const none = window.FertilizerCore.calculateAcidDose({ hco3: 20, targetHCO3: 30, acidId: 'nitric_acid_60' });
+    assertEqual(none.gramsPerL, 0, 'No acid when water is already below target');
+    assertEqual(window.FertilizerCore.calculateAcidDose({ hco3: 180, acidId: 'mkp_typical' }), null, 'Unknown acid');
+  });
+
+  // ==========================================================================
+  // Micronutrient Target Tests
+  // ==========================================================================
+
+  test('Micronutrient data: every target key has a tolerance and a product', () => {
+    const keys = window.FertilizerCore.MICRONUTRIENT_KEYS;
+    assertEqual(keys.length, 6, 'Fe, Mn, Zn, Cu, B, Mo');
+    keys.forEach(key => {
+      assertHasKey(window.FertilizerCore.DEFAULT_MICRO_TOLERANCES, key, `Tolerance for ${key}`);
+      assert(window.FertilizerCore.FERTILIZERS.some(f => (f.pct[key] || 0) > 0), `A fertilizer supplies ${key}`);
+    });
+  });
+
+  test('optimizeFormula: Fe and Mn targets met within their micronutrient tolerances', async () => {
+    const core = window.FertilizerCore;
+    const ferts = ['calcium_nitrate_calcinit_typical', 'potassium_nitrate_typical', 'mkp_typical',
+      'magnesium_sulfate_heptahydrate_common', 'fe_dtpa_12', 'mn_edta_13'].map(id => core.FERTILIZERS.find(f => f.id === id));
+    const micros = { Fe: 2.5, Mn: 0.6 };
+
+    const absolute = await core.optimizeFormula({ N: 150, P: 40, K: 200, Ca: 140, Mg: 40, ...micros }, 100, ferts, 75, 'elemental', { useAbsoluteTargets: true });
+    const scaled = await core.optimizeFormula({ N: 3, P: 1, K: 4, Ca: 3, Mg: 1, ...micros }, 100, ferts, 75, 'elemental', { targetEC: 1.6 });
+    [['absolute targets', absolute], ['EC-scaled ratio', scaled]].forEach(([label, result]) => {
+      Object.entries(micros).forEach(([m, target]) => {
+        assertApprox(result.achieved[m], target, target * core.DEFAULT_MICRO_TOLERANCES[m] + 1e-6, `${m} with ${label}`);
+      });
+    });
+    assert(scaled.formula.fe_dtpa_12 > 0 && scaled.formula.mn_edta_13 > 0, 'Chelates in the EC-scaled recipe');
+  }, { requires: 'lp' });
+
+  test('subtractSourceWaterFromTargets: covers micronutrient targets', () => {
+    const targets = { N_total: 150, Fe: 2, Mn: 0.5, B: 0.3, Mo: 0.05 };
+    const adjusted = window.FertilizerCore.subtractSourceWaterFromTargets(targets, { Ca: 40, Fe: 0.5, Mn: 0.8 });
+
+    assertApprox(adjusted.Fe, 1.5, 0.0001, 'Fe reduced by water');
+    assertEqual(adjusted.Mn, 0, 'Mn fully covered by water');
+    assertEqual(adjusted.B, 0.3, 'B untouched');
+    assertEqual(adjusted.Mo, 0.05, 'Mo untouched');
+  });
+
+  test('optimizeFormula: a micronutrient the source water covers gets no more from fertilizers', async () => {
+    const core = window.FertilizerCore;
+    const ferts = ['calcium_nitrate_calcinit_typical', 'potassium_nitrate_typical', 'mkp_typical',
+      'magnesium_sulfate_heptahydrate_common', 'fe_edta_13', 'rexolin_cxk'].map(id => core.FERTILIZERS.find(f => f.id === id));
+    const targets = { N: 150, P: 40, K: 200, Ca: 140, Mg: 40, Fe: 2, Mn: 0.5 };
+
+    const result = await core.optimizeFormula(targets, 100, ferts, 75, 'elemental', { useAbsoluteTargets: true, sourceWater: { Mn: 0.8 } });
+    assert(!result.formula.rexolin_cxk, 'Mn-bearing mix left out');
+    assertApprox(result.fertilizerAchieved.Mn || 0, 0, 0.01, 'No Mn added on top of the water');
+    assertApprox(result.achieved.Fe, 2, 2 * core.DEFAULT_MICRO_TOLERANCES.Fe + 0.001, 'Fe still met');
+  }, { requires: 'lp' });
+
+  test('optimizeFormula: source water keeps the total ratio under an EC target', async () => {
+    const core = window.FertilizerCore;
+    const ferts = ['calcium_nitrate_calcinit_typical', 'potassium_nitrate_typical', 'mkp_typical', 'magnesium_sulfate_heptahydrate_common',
+      'potassium_sulfate_common', 'magnesium_nitrate_hexahydrate_typical'].map(id => core.FERTILIZERS.find(f => f.id === id));
+    const ratio = { N: 150, P: 40, K: 200, Ca: 140, Mg: 40 };
+
+    const result = await core.optimizeFormula(ratio, 100, ferts, 75, 'elemental', { targetEC: 1.8, sourceWater: { Ca: 40, Mg: 12 } });
+    const total = result.achieved;
+    ['P', 'K', 'Ca', 'Mg'].forEach(key => {
+      const expected = ratio[key] / ratio.N;
+      assertApprox(total[key] / total.N_total, expected, expected * 0.05, `Water + fertilizer ${key}:N`);
+    });
+    assert(result.fertilizerAchieved.Ca < total.Ca - 39, 'Water Ca not added on top by fertilizers');
+    assertApprox(result.ecScaling.achievedEC, 1.8, 0.018, 'EC target met with the water');
+  }, { requires: 'lp' });
+
+  // ==========================================================================
+  // Custom Fertilizer Tests
+  // ==========================================================================
+
+  // Store-brand CalMag from an oxide label: 15.5% N (14.4 NO3 + 1.1 NH4), 19% CaO, 6% MgO
+  const LOCAL_CALMAG = {
+    id: 'custom_local_calmag',
+    name: 'Local CalMag',
+    basis: 'oxide',
+    analysis: { N_NO3: 14.4, N_NH4: 1.1, CaO: 19, MgO: 6 },
+    solubility_gL: 1000,
+    density_g_mL: 1.45,
+    ions: null
+  };
+
+  test('buildCustomFertilizer: converts oxide labels to calculator keys', () => {
+    const { fertilizer, ionData, errors } = window.FertilizerCore.buildCustomFertilizer(LOCAL_CALMAG);
+    const OXIDE = window.FertilizerCore.OXIDE_CONVERSIONS;
+
+    assertEqual(errors.length, 0, 'Valid definition');
+    assertApprox(fertilizer.pct.N_total, 15.5, 0.0001, 'N_total from N forms');
+    assertApprox(fertilizer.pct.Ca, 19 * OXIDE.CaO_to_Ca, 0.0001, 'CaO → Ca');
+    assertApprox(fertilizer.pct.Mg, 6 * OXIDE.MgO_to_Mg, 0.0001, 'MgO → Mg');
+    assertEqual(fertilizer.density_g_mL, 1.45, 'Density kept for liquids');
+    assert(ionData.derived, 'Ions derived when none are entered');
+
+    const balance = window.FertilizerCore.calculateIonBalanceCore([{ ...fertilizer, grams: 1 }], 1);
+    assertEqual(balance.totalCations, 0, 'Unregistered product has no ION_DATA yet');
+
+    const elemental = window.FertilizerCore.buildCustomFertilizer({ name: 'KNO3', basis: 'elemental', analysis: { N_NO3: 13.8, K: 38.6 } });
+    assertApprox(elemental.fertilizer.pct.K2O, 38.6 / OXIDE.K2O_to_K, 0.0001, 'Elemental K → K2O');
+    assert(window.FertilizerCore.isCustomFertilizer(elemental.fertilizer.id), 'Generated id has the custom prefix');
+
+    const invalid = window.FertilizerCore.buildCustomFertilizer({ name: '', analysis: { N_NO3: 80, K2O: 40 } });
+    assert(invalid.errors.includes('customFertErrorName'), 'Name is required');
+    assert(invalid.errors.includes('customFertErrorTotalPercent'), 'Analysis cannot exceed 100%');
+  });
+
+  test('registerCustomFertilizers: usable by ion balance and tank assignment, replaceable', () => {
+    const core = window.FertilizerCore;
+    const builtInCount = core.FERTILIZERS.length;
+    try {
+      core.registerCustomFertilizers([LOCAL_CALMAG]);
+      assertEqual(core.FERTILIZERS.length, builtInCount + 1, 'Product added');
+      assertEqual(core.getCompatibilityTag('custom_local_calmag'), 'calcium', 'CalMag goes to the calcium tank');
+      assertEqual(core.getSolubility('custom_local_calmag'), 1000, 'Solubility from the definition');
+
+      // Ions derived from a nitrate CalMag label should come out balanced
+      const balance = core.calculateIonBalanceCore({ custom_local_calmag: 1 }, 1);
+      assertEqual(balance.statusLevel, 'balanced', `Derived ions balance (${balance.imbalance.toFixed(2)}%)`);
+
+      core.registerCustomFertilizers([]);
+      assertEqual(core.FERTILIZERS.length, builtInCount, 'Re-registering replaces the previous list');
+      assertEqual(core.ION_DATA.custom_local_calmag, undefined, 'ION_DATA cleaned up');
+      assertEqual(core.getCompatibilityTag('custom_local_calmag'), 'neutral', 'Compatibility cleaned up');
+    } finally {
+      core.registerCustomFertilizers([]);
+    }
+  });
+
+  test('encode/decodeCustomFertilizers: round-trips for share URLs', () => {
+    const manual = {
+      ...LOCAL_CALMAG,
+      id: 'custom_mkp_local',
+      name: 'MKP (local) 0-52-34',
+      analysis: { P2O5: 52, K2O: 34 },
+      ions: { formula: 'KH₂PO₄', molarMass: 136.1, ions: [{ ion: 'K⁺', count: 1 }, { ion: 'H₂PO₄⁻', count: 1 }] }
+    };
+    const encoded = window.FertilizerCore.encodeCustomFertilizers([LOCAL_CALMAG, { ...manual, solubilityCurve: 'monopotassium_phosphate' }]);
+    assert(/^[A-Za-z0-9_-]+$/.test(encoded), 'URL-safe characters only');
+
+    const decoded = window.FertilizerCore.decodeCustomFertilizers(encoded);
+    assertEqual(decoded.length, 2, 'Both products decoded');
+    assertEqual(decoded[0].analysis.CaO, 19, 'Analysis preserved');
+    assertEqual(decoded[1].name, 'MKP (local) 0-52-34', 'Name preserved');
+    assertEqual(decoded[1].ions.ions[1].ion, 'H₂PO₄⁻', 'Unicode ion labels preserved');
+    assertEqual(decoded[1].solubilityCurve, 'monopotassium_phosphate', 'Solubility curve preserved');
+    assertEqual(decoded[0].solubilityCurve, null, 'No curve stays none');
+    assertEqual(window.FertilizerCore.decodeCustomFertilizers('not*valid').length, 0, 'Malformed input ignored');
   });
 
+  // ==========================================================================
+  // Fertilizer Price Tests
+  // ==========================================================================
+
+  test('getPricePerKg: per-kg and per-bag prices', () => {
+    assertEqual(window.FertilizerCore.getPricePerKg({ price: 2.4, unit: 'kg' }), 2.4, 'Per kg unchanged');
+    assertEqual(window.FertilizerCore.getPricePerKg({ price: 50, unit: 'bag', bagKg: 20 }), 2.5, 'Bag price divided by bag size');
+    assertEqual(window.FertilizerCore.getPricePerKg({ price: 50, unit: 'bag' }), 2, 'Default 25 kg bag');
+    assertEqual(window.FertilizerCore.getPricePerKg({ price: '' }), null, 'Empty price ignored');
+  });
+
+  test('calculateFormulaCost: batch, per 1000 L and per kg N', () => {
+    // 100 L with 80 g calcium nitrate (15.5% N) and 60 g potassium nitrate (13.7% N)
+    const formula = { calcium_nitrate_calcinit_typical: 80, potassium_nitrate_typical: 60 };
+    const prices = { calcium_nitrate_calcinit_typical: 1.5, potassium_nitrate_typical: 2.5 };
+    const cost = window.FertilizerCore.calculateFormulaCost(formula, 100, prices);
+
+    assertApprox(cost.batchCost, 0.08 * 1.5 + 0.06 * 2.5, 0.0001, 'Batch cost');
+    assertApprox(cost.costPer1000L, cost.batchCost * 10, 0.0001, 'Cost per 1000 L');
+    assertApprox(cost.nitrogenGrams, 80 * 0.155 + 60 * 0.137, 0.0001, 'Nitrogen from N forms');
+    assertApprox(cost.costPerKgN, cost.batchCost / (cost.nitrogenGrams / 1000), 0.0001, 'Cost per kg N');
+    assertEqual(cost.unpriced.length, 0, 'Everything priced');
+
+    const partial = window.FertilizerCore.calculateFormulaCost(formula, 100, { potassium_nitrate_typical: 2.5 });
+    assertEqual(partial.unpriced[0], 'calcium_nitrate_calcinit_typical', 'Unpriced product reported');
+    assertApprox(partial.batchCost, 0.15, 0.0001, 'Only priced products counted');
+  });
+
+  // ==========================================================================
+  // Recipe Comparison Tests
+  // ==========================================================================
+
+  test('calculatePpmFromFormula: N forms, oxide labels and source water', () => {
+    // 10 g potassium nitrate (13.7% N_NO3, 46.3% K2O) in 10 L
+    const ppm = window.FertilizerCore.calculatePpmFromFormula({ potassium_nitrate_typical: 10 }, 10);
+    assertApprox(ppm.N_total, 137, 0.001, 'N_total counted once from N_NO3');
+    assertApprox(ppm.K, 463 * window.FertilizerCore.OXIDE_CONVERSIONS.K2O_to_K, 0.001, 'K2O converted to K');
+
+    const withWater = window.FertilizerCore.calculatePpmFromFormula({ potassium_nitrate_typical: 10 }, 10, { sourceWater: { Ca: 40 } });
+    assertApprox(withWater.Ca, 40, 0.001, 'Source water added');
+  });
+
+  test('compareRecipes: same doses per liter match, changed doses are flagged', () => {
+    const compare = window.FertilizerCore.compareRecipes([
+      { name: 'Veg', formula: { calcium_nitrate_calcinit_typical: 10, potassium_nitrate_typical: 5 }, volume: 10 },
+      { name: 'Veg x2', formula: { calcium_nitrate_calcinit_typical: 20, potassium_nitrate_typical: 10 }, volume: 20 },
+      { name: 'Flower', formula: { calcium_nitrate_calcinit_typical: 10, potassium_nitrate_typical: 10 }, volume: 10 }
+    ]);
+    assertEqual(compare.columns.length, 3, 'One column per recipe');
+
+    const row = (rows, key) => rows.find(r => r.key === key);
+    assert(!row(compare.rows.fertilizers, 'calcium_nitrate_calcinit_typical').differs, 'Same g/L is not a difference');
+    assert(row(compare.rows.fertilizers, 'potassium_nitrate_typical').differs, 'Changed dose is flagged');
+    assertEqual(row(compare.rows.fertilizers, 'potassium_nitrate_typical').grams[1], 10, 'Batch grams kept');
+    assert(!row(compare.rows.ppm, 'Ca').differs, 'Same Ca');
+    assert(row(compare.rows.ppm, 'K').differs, 'K differs');
+    assert(row(compare.rows.oxide, 'K2O').differs, 'K2O differs');
+    assert(row(compare.rows.mmolL, 'K+').differs, 'K+ mmol/L differs');
+    assert(compare.rows.ec.differs, 'EC differs');
+    assertApprox(compare.rows.ec.values[0], compare.rows.ec.values[1], 0.0001, 'Same EC for the same concentration');
+    assert(!row(compare.rows.ppm, 'P'), 'Nutrients no recipe has are left out');
+  });
+
+  test('buildMixSheet: concentrates scale to the tank, direct mixes use one tank', () => {
+    const formula = { calcium_nitrate_calcinit_typical: 10, mkp_typical: 2 };
+    const sheet = window.FertilizerCore.buildMixSheet({
+      formula,
+      volume: 10,
+      concentrationFactor: 100,
+      tankVolume: 20,
+      assignment: { A: { calcium_nitrate_calcinit_typical: 10 }, B: { mkp_typical: 2 } }
+    });
+    assertEqual(sheet.tanks.map(t => t.id).join(''), 'AB', 'Tanks from the assignment');
+    assertApprox(sheet.tanks[0].fertilizers[0].grams, 2000, 0.001, '1 g/L x 100 x 20 L');
+    assertApprox(sheet.tanks[0].fertilizers[0].gPerL, 100, 0.001, 'Stock g/L');
+    assertApprox(sheet.tanks[1].mLPerL, 10, 0.001, '1000 / CF mL per liter');
+    assertEqual(sheet.steps.map(s => s.tank).join(''), 'AB', 'Checklist in tank order');
+    assert(sheet.expectedEC > 0, 'Expected EC of the working solution');
+
+    const direct = window.FertilizerCore.buildMixSheet({ formula, volume: 10 });
+    assertEqual(direct.tanks.length, 1, 'Mixed directly in one tank');
+    assertEqual(direct.tanks[0].id, null, 'No stock tank letter');
+    assertEqual(direct.steps[1].grams, 2, 'Formula grams weighed as is');
+  });
+
+  test('buildExportTables: result tables as CSV and XLSX', () => {
+    const fmt = { t: (key, params = {}) => key + (params.tank ? ` ${params.tank}` : '') };
+    const tables = window.FertilizerCore.buildExportTables({
+      volume: 10,
+      fertilizers: [
+        { id: 'calcium_nitrate_calcinit_typical', name: 'Calcium nitrate', grams: 10 },
+        { id: 'mkp_typical', name: 'MKP, "mono"', grams: 2 }
+      ],
+      comparison: { kind: 'ppm', rows: [{ label: 'N', target: 150, achieved: 155 }] }
+    }, fmt);
+    const table = (name) => tables.find(t => t.name === name);
+    assertEqual(table('exportSheetFertilizers').rows[1][2], 0.2, 'g/L of each fertilizer');
+    assertApprox(table('exportSheetTargets').rows[0][4], 3.3333, 0.0001, 'Difference in percent');
+    const ions = table('exportSheetIons').rows;
+    assert(ions.some(row => row[0] === 'MKP, "mono"' && row[1] === 'K⁺'), 'Ions listed per fertilizer');
+    assert(table('exportSheetEC').rows.length > 2, 'EC contribution per ion plus totals');
+
+    const csv = window.FertilizerCore.tablesToCSV(tables);
+    assert(csv.includes('"MKP, ""mono""",2,0.2\r\n'), 'CSV quotes commas and quotes, keeps numbers');
+
+    const formulas = window.FertilizerCore.tablesToCSV([{
+      name: 'Sheet',
+      columns: ['Name', 'Dose'],
+      rows: [['=1+1', -2.5], ['@SUM(A1)', 0], ['+cmd', 1], ['-x,y', 2]]
+    }]);
+    assert(formulas.includes("\r\n'=1+1,-2.5\r\n"), 'Formula text escaped, negative number kept');
+    assert(formulas.includes("\r\n'@SUM(A1),0\r\n"), '@ escaped');
+    assert(formulas.includes("\r\n'+cmd,1\r\n"), '+ escaped');
+    assert(formulas.includes(`\r\n"'-x,y",2\r\n`), '- escaped, then quoted');
+
+    const xlsx = window.FertilizerCore.tablesToXLSX(tables);
+    assertEqual(String.fromCharCode(xlsx[0], xlsx[1], xlsx[2], xlsx[3]), 'PK\u0003\u0004', 'XLSX is a ZIP archive');
+    const end = xlsx.length - 22;
+    assertEqual(xlsx[end + 10] | (xlsx[end + 11] << 8), 5 + tables.length, 'One worksheet per table');
+  });
+
+  test('Units: volume, mass and mmol/meq conversions round-trip', () => {
+    const core = window.FertilizerCore;
+    assertApprox(core.convertVolume(1, 'gal', 'L'), 3.785411784, 1e-9, '1 US gallon');
+    assertApprox(core.convertVolume(core.convertVolume(10, 'L', 'gal'), 'gal', 'L'), 10, 1e-9, 'L -> gal -> L');
+    assertApprox(core.convertMass(1, 'lb', 'oz'), 16, 1e-9, '16 oz per lb');
+    assertApprox(core.convertMass(2500, 'g', 'kg'), 2.5, 1e-9, 'g -> kg');
+    assertApprox(core.ppmToConcentration('K', 39.098, 'mmol'), 1, 0.001, 'K: 39.1 ppm = 1 mmol/L');
+    assertApprox(core.ppmToConcentration('Ca', 40.078, 'meq'), 2, 0.001, 'Ca2+: 1 mmol/L = 2 meq/L');
+    assertApprox(core.concentrationToPpm('Ca', 2, 'meq'), 40.078, 0.01, 'meq/L back to ppm');
+    assertEqual(core.ppmToConcentration('P2O5', 10, 'mmol'), null, 'Oxides have no ion form');
+    assertEqual(core.ppmToConcentration('B', 1, 'meq'), null, 'Boric acid is uncharged');
+    const units = core.normalizeUnits({ volume: 'gal', mass: 'stone' });
+    assertEqual(`${units.volume}/${units.mass}/${units.concentration}`, 'gal/g/ppm', 'Unknown units fall back to defaults');
+  });
+
+  test('Ion targets: mmol/L and meq/L schemes convert to ppm with separate NO3 / NH4', () => {
+    const core = window.FertilizerCore;
+    const ppm = core.ionTargetsToPpm({ NO3: 10, NH4: '1', H2PO4: 1.5, K: 7, Ca: '', Mg: 2, SO4: 1.5 }, 'mmol');
+    assertApprox(ppm.N_NO3, 140.07, 0.01, '10 mmol/L NO3 = 140 ppm N');
+    assertApprox(ppm.N_NH4, 14.007, 0.01, 'NH4 kept separate');
+    assertApprox(ppm.N, 154.077, 0.01, 'N is nitrate + ammonium');
+    assertApprox(ppm.P, 46.461, 0.01, 'H2PO4 as P');
+    assertEqual(ppm.Ca, 0, 'Blank ions are not targeted');
+    assertApprox(core.ionTargetsToPpm({ Ca: 8 }, 'meq').Ca, 160.312, 0.01, '8 meq/L Ca = 4 mmol/L');
+
+    const ions = core.ppmToIonTargets({ N_NO3: 140.07, S: 64.13 }, 'meq');
+    assertApprox(ions.NO3, 10, 0.001, 'Nitrate back in meq/L');
+    assertApprox(ions.SO4, 4, 0.001, 'Sulfate is divalent');
+    assertEqual(ions.K, 0, 'Missing nutrients report 0');
+  });
+
+  test('TDS: estimateEC reports 500/640/700 readings and TDS targets parse to EC', () => {
+    const core = window.FertilizerCore;
+    const ec = core.estimateECFromPPM({ N_NO3: 150, K: 200, Ca: 120, Mg: 40, S: 30, P: 30 });
+    assertApprox(ec.tds[500], ec.ec_mS_cm * 500, 0.001, 'NaCl scale');
+    assertApprox(ec.tds[700], ec.ec_mS_cm * 700, 0.001, '442 scale');
+    assertApprox(core.tdsToEc(core.ecToTds(1.8, 640), 640), 1.8, 0.0001, 'Round trip on the 640 scale');
+
+    const tds = core.parseECTarget('tds700:840');
+    assertApprox(tds.ec, 1.2, 0.0001, '840 ppm on the 700 scale = 1.2 mS/cm');
+    assertEqual(tds.scale, 700, 'Scale kept');
+    assertEqual(core.parseECTarget('ec:1.5').ec, 1.5, 'EC targets still parse');
+    assertEqual(core.parseECTarget('ec:1.5').scale, null, 'EC targets have no scale');
+    assertEqual(core.parseECTarget('tds300:840'), null, 'Unknown scales are rejected');
+    assertEqual(core.parseECTarget('tds500:'), null, 'Empty TDS is rejected');
+  });
+
+  test('EC calibration: fitting readings 9% below prediction corrects every estimate', () => {
+    const core = window.FertilizerCore;
+    const base = { N_NO3: 150, N_NH4: 10, K: 200, Ca: 120, Mg: 40, S: 30, P: 30 };
+    const readings = [0.6, 1, 1.4].map(f => {
+      const ppm = {};
+      Object.keys(base).forEach(key => { ppm[key] = base[key] * f; });
+      return { ppm, measuredEC: core.estimateECFromPPM(ppm).ec_mS_cm * 0.91, temperatureC: 20, compensated: true };
+    });
+
+    const model = core.fitECModel(readings);
+    assert(model.ionicStrengthK > 0.5, 'Over-prediction raises the ionic strength constant');
+    assertApprox(model.defaultFit.meanError, 0.0989, 0.001, 'Default model is ~10% high');
+    assert(Math.abs(model.calibratedFit.meanError) < 0.02, 'Calibrated model is within 2%');
+
+    assert(Math.abs(model.daviesCalibratedFit.rmsError) < Math.abs(model.daviesDefaultFit.rmsError), 'Davies factor fitted to the readings');
+
+    const defaultEC = core.estimateECFromPPM(base).ec_mS_cm;
+    const defaultDavies = core.estimateECFromPPM(base, { ecModel: 'davies' });
+    assertEqual(defaultDavies.calibrated, false, 'Davies uncalibrated by default');
+    core.setECModel(model);
+    try {
+      const calibrated = core.estimateECFromPPM(base);
+      assertApprox(calibrated.ec_mS_cm, defaultEC * 0.91, 0.03, 'Estimates use the calibrated model');
+      assertApprox(calibrated.defaultEC, defaultEC, 0.0001, 'Default model prediction reported alongside');
+
+      const davies = core.estimateECFromPPM(base, { ecModel: 'davies' });
+      assertEqual(davies.calibrated, true, 'Davies estimates use the calibration too');
+      assertApprox(davies.ec_mS_cm, defaultDavies.ec_mS_cm * model.daviesScale, 0.0001, 'Scaled by the Davies factor');
+      assertApprox(davies.defaultEC, defaultDavies.ec_mS_cm, 0.0001, 'Uncalibrated Davies prediction reported alongside');
+      assertApprox(davies.ec_mS_cm, defaultEC * 0.91, 0.05, 'Davies estimate moves to the readings');
+
+      const { daviesScale, ...beforeDavies } = model;
+      assert(Number.isFinite(daviesScale) && Math.abs(daviesScale - 1) < 0.1, 'Davies factor is a small correction for built-in salts');
+      core.setECModel(beforeDavies);
+      assertEqual(core.estimateECFromPPM(base, { ecModel: 'davies' }).calibrated, false, 'Older models leave Davies uncalibrated');
+    } finally {
+      core.setECModel(null);
+    }
+    assertEqual(core.estimateECFromPPM(base).defaultEC, null, 'Default model again after reset');
+    assertApprox(core.measuredECAt25({ measuredEC: 1.8, temperatureC: 20, compensated: false }), 2, 0.001, 'Uncompensated readings referred to 25 °C');
+  });
+
+  test('Davies EC model: activity coefficients and ion pairs lower EC and drive dosing', async () => {
+    const core = window.FertilizerCore;
+    const ppm = { N_NO3: 150, N_NH4: 10, K: 200, Ca: 120, Mg: 40, S: 60, P: 30 };
+    const standard = core.estimateECFromPPM(ppm);
+    const davies = core.estimateECFromPPM(ppm, { ecModel: 'davies' });
+
+    assertEqual(davies.ecModel, 'davies', 'Model reported');
+    assert(davies.ec_mS_cm < standard.ec_mS_cm, 'Activity model predicts lower EC');
+    assert(davies.ionPairs.CaSO4 > 0 && davies.ionPairs.MgSO4 > 0, 'Sulfate pairs formed');
+    assert(davies.freeIons['HPO4^2-'] > 0 && davies.freeIons['H2PO4-'] > davies.freeIons['HPO4^2-'], 'Phosphate split at pH 5.8');
+    assert(davies.activityCoefficients['Ca2+'] < davies.activityCoefficients['K+'], 'Divalent ions less active');
+
+    const tanks = { A: { 'calcium_nitrate_calcinit_typical': 150 } };
+    const target = { ratio: { N: 0.82, P: 0, K: 0, Ca: 1, Mg: 0 }, targetEC: 1.5, baselineEC: 0 };
+    const byOption = await core.solveDosing(tanks, target, { maxDosing: 50, ecModel: 'davies' });
+    core.setECModelType('davies');
+    try {
+      const byActive = await core.solveDosing(tanks, target, { maxDosing: 50 });
+      assertApprox(byActive.dosing.A, byOption.dosing.A, 0.0001, 'Active model type used by default');
+    } finally {
+      core.setECModelType('standard');
+    }
+    const standardDosing = await core.solveDosing(tanks, target, { maxDosing: 50 });
+    assert(byOption.dosing.A > standardDosing.dosing.A, 'Davies model needs more stock for the same EC');
+    assertApprox(byOption.predictedEC, 1.5, 0.02, 'Dosing hits the target under the Davies model');
+  });
+
+  test('Solution pH: acids, bases and alkalinity set the pH and phosphate split feeds EC and ion balance', () => {
+    const core = window.FertilizerCore;
+    const salts = { calcium_nitrate_calcinit_typical: 0.9, potassium_nitrate_typical: 0.5, mkp_typical: 0.15 };
+    const water = { Ca: 40, HCO3: 183 };
+
+    const plain = core.predictSolutionPH(salts, 1);
+    assert(plain.pH > 4 && plain.pH < 5.5, 'MKP alone gives a mildly acidic solution');
+    assert(plain.phosphate['H2PO4-'] > 0.95 * core.calculatePpmFromFormula(salts, 1).P / 30.974, 'Phosphate mostly H2PO4- below pH 5.5');
+    assert(core.predictSolutionPH({ ...salts, urea_phosphate: 0.2 }, 1).pH < plain.pH, 'Urea phosphate acidifies');
+
+    const dap = core.predictSolutionPH({ ...salts, dap_common: 0.15 }, 1);
+    assert(dap.pH > 6.5, 'DAP buffers the solution towards neutral');
+    assert(dap.phosphate['HPO4^2-'] > 0.3 * dap.phosphate['H2PO4-'], 'HPO4 2- appears near neutral pH');
+
+    const hard = core.predictSolutionPH(salts, 1, { sourceWater: water });
+    const dose = core.calculateAcidDose({ hco3: 183, targetPH: 5.8, acidId: 'nitric_acid_38' });
+    const acidified = { ...salts, nitric_acid_38: dose.gramsPerL };
+    const treated = core.predictSolutionPH(acidified, 1, { sourceWater: water });
+    assert(hard.pH > 6.5, 'Bicarbonate water stays alkaline without acid');
+    assertApprox(treated.pH, 5.8, 0.3, 'Acid dosed for pH 5.8 lands near it');
+
+    const ppm = core.calculatePpmFromFormula(acidified, 1, { sourceWater: water });
+    const ec = core.estimateECFromPPM(ppm, { speciation: treated });
+    assert(ec.ec_mS_cm < core.estimateECFromPPM(ppm).ec_mS_cm, 'Neutralised bicarbonate no longer conducts');
+    assertEqual(ec.speciation, treated, 'Speciation reported with the EC');
+
+    const before = core.calculateIonBalanceCore(acidified, 1, { sourceWater: water });
+    const after = core.calculateIonBalanceCore(acidified, 1, { sourceWater: water, speciation: treated });
+    assert(after.imbalance < before.imbalance, 'Ion balance counts the bicarbonate the acid removed');
+    assertApprox(after.ionDetails['HCO₃⁻'].meq, treated.ions['HCO3-'], 0.0001, 'Residual bicarbonate in the balance');
+  });
+
+  test('Precipitation: calcium with sulfate or phosphate saturates a 100x tank, chelated Fe does not', () => {
+    const core = window.FertilizerCore;
+    const siOf = (result, salt) => result.saturation.find(entry => entry.salt === salt);
+
+    assertEqual(core.checkTankPrecipitation({ calcium_nitrate_calcinit_typical: 100 }).saturation.length, 0,
+      'No salt can form from calcium nitrate alone');
+
+    const gypsum = siOf(core.checkTankPrecipitation({ calcium_nitrate_calcinit_typical: 100, magnesium_sulfate_heptahydrate_common: 50 }), 'gypsum');
+    assert(gypsum && gypsum.saturationIndex > 0 && gypsum.precipitates, 'Gypsum precipitates in a Ca + sulfate tank');
+    const brushite = siOf(core.checkTankPrecipitation({ calcium_nitrate_calcinit_typical: 100, mkp_typical: 20 }), 'brushite');
+    assert(brushite && brushite.precipitates, 'Brushite precipitates in a Ca + phosphate tank');
+
+    const feasibility = core.checkTankFeasibility({ calcium_nitrate_calcinit_typical: 100, mkp_typical: 20 });
+    assert(!feasibility.feasible, 'Saturated tank is not feasible');
+    assert(feasibility.issues.some(i => i.code === 'PRECIPITATION_EXPECTED' && i.details.salt === 'brushite'), 'Brushite reported as an error');
+
+    const diluted = siOf(core.checkTankPrecipitation({ map_typical: 15, magnesium_sulfate_heptahydrate_common: 50 }), 'struvite');
+    assert(diluted.saturationIndex < 0 && !diluted.nearSaturation, 'Acidic MAP + Epsom tank stays below struvite saturation');
+
+    const iron = core.checkTankPrecipitation({ fe_edta_13: 5, mkp_typical: 20 });
+    assert(!siOf(iron, 'strengite'), 'Chelated iron does not count towards strengite');
+  });
+
+  test('Solubility temperature: cold storage lowers KNO3 and MKP limits and fails a tank that is fine at 20°C', () => {
+    const core = window.FertilizerCore;
+
+    assertEqual(core.getSolubility('potassium_nitrate_typical'), 320, 'Listed value without a temperature');
+    assertApprox(core.getSolubility('potassium_nitrate_typical', 20), 320, 0.001, 'Listed value at the reference temperature');
+    assert(core.getSolubility('potassium_nitrate_typical', 5) < 0.6 * 320, 'KNO3 loses over 40% of its solubility at 5°C');
+    assert(core.getSolubility('mkp_typical', 5) < core.getSolubility('mkp_typical', 20), 'MKP less soluble when cold');
+    assert(core.getSolubility('potassium_nitrate_typical', 30) > 320, 'KNO3 more soluble when warm');
+    assertEqual(core.getSolubility('fe_edta_13', 5), core.getSolubility('fe_edta_13'), 'Chelates without a curve keep their limit');
+
+    const tank = { potassium_nitrate_typical: 200 };
+    assertEqual(core.checkTankFeasibility(tank).issues.length, 0, '200 g/L KNO3 is comfortable at 20°C');
+    const cold = core.checkTankFeasibility(tank, { temperatureC: 5 });
+    assert(!cold.feasible, 'The same tank crystallises at 5°C');
+    assertEqual(cold.issues[0].code, 'SOLUBILITY_EXCEEDED', 'Reported as exceeded solubility');
+    assertEqual(cold.issues[0].details.temperatureC, 5, 'Temperature in the issue details');
+    assertEqual(core.checkTankFeasibility({ potassium_nitrate_typical: 170 }, { temperatureC: 8 }).issues[0].code, 'SOLUBILITY_NEAR_LIMIT',
+      'Near-limit warning uses the cold solubility');
+  });
+
+  test('Solubility temperature: custom fertilizers follow the curve they pick, or are flagged as not adjusted', () => {
+    const core = window.FertilizerCore;
+    const local = { ...LOCAL_CALMAG, id: 'custom_local_kno3', name: 'Local KNO3', analysis: { N_NO3: 13, K2O: 46 }, solubility_gL: 300 };
+    const withCurve = { ...local, id: 'custom_local_kno3_curve', name: 'Local KNO3 (curve)', solubilityCurve: 'potassium_nitrate' };
+    assertEqual(core.buildCustomFertilizer({ ...local, solubilityCurve: 'sea_salt' }).fertilizer.solubilityCurve, undefined, 'Unknown curves ignored');
+
+    core.registerCustomFertilizers([local, withCurve]);
+    try {
+      assertEqual(core.getSolubility(local.id, 5), 300, 'No curve: stated solubility at any temperature');
+      assertApprox(core.getSolubility(withCurve.id, 5) / 300, core.getSolubility('potassium_nitrate_typical', 5) / 320, 0.0001,
+        'Chosen curve scales the stated solubility like the built-in salt');
+
+      const flagged = (temperatureC) => core.checkTankFeasibility({ [local.id]: 100, [withCurve.id]: 50 }, { temperatureC }).issues
+        .filter(issue => issue.code === 'SOLUBILITY_NOT_TEMPERATURE_ADJUSTED')
+        .map(issue => issue.details.fertilizer);
+      assertEqual(flagged(5).join(), local.id, 'Only the product without a curve is flagged');
+      assertEqual(flagged(20).length, 0, 'Nothing to adjust at the reference temperature');
+      assertEqual(flagged(null).length, 0, 'Nor without a storage temperature');
+    } finally {
+      core.registerCustomFertilizers([]);
+    }
+  });
+
+  test('Auto concentration: highest factor with a safety margin and the limiting tank and fertilizer', () => {
+    const core = window.FertilizerCore;
+    const assignment = { A: { calcium_nitrate_calcinit_typical: 0.9 }, C: { potassium_nitrate_typical: 1 } };
+
+    const auto = core.findMaxStockConcentration(assignment);
+    assertEqual(auto.concentrationFactor, 256, 'KNO3 kept at 80% of 320 g/L');
+    assertEqual(auto.limit.tank, 'C', 'Limiting tank');
+    assertEqual(auto.limit.fertilizer, 'potassium_nitrate_typical', 'Limiting fertilizer');
+    assertEqual(auto.limit.reason, 'solubility', 'Limited by solubility');
+
+    assertEqual(core.findMaxStockConcentration(assignment, { safetyMargin: 0 }).concentrationFactor, 320, 'No margin uses the full solubility');
+    assert(core.findMaxStockConcentration(assignment, { temperatureC: 5 }).concentrationFactor < 150, 'Cold storage lowers the factor');
+    assertEqual(core.findMaxStockConcentration({ A: { calcium_nitrate_calcinit_typical: 0.1 } }).limit.reason, 'maximum',
+      'Dilute tanks stop at the search maximum');
+
+    const struvite = core.findMaxStockConcentration({ B: { map_typical: 0.5, magnesium_sulfate_heptahydrate_common: 1.5 } });
+    assertEqual(struvite.limit.reason, 'precipitation', 'MAP + Epsom limited by precipitation before solubility');
+    assertEqual(struvite.limit.salt, 'struvite', 'Limiting salt');
+    const at = (factor) => core.checkTankFeasibility({ map_typical: 0.5 * factor, magnesium_sulfate_heptahydrate_common: 1.5 * factor });
+    assert(at(struvite.concentrationFactor / 0.8).feasible, 'Factor passes with the margin');
+    assert(!at((struvite.concentrationFactor + 1) / 0.8).feasible, 'Next factor does not');
+  });
+
+  test('LP dosing: exact ratio at the target EC within per-tank and injector limits, with residuals', async () => {
+    const core = window.FertilizerCore;
+    const tanks = {
+      A: { calcium_nitrate_calcinit_typical: 150 },
+      B: { mkp_typical: 30, magnesium_sulfate_heptahydrate_common: 100 },
+      C: { potassium_nitrate_typical: 150 }
+    };
+    const ppm = core.calculateAchievedPPM(tanks, { A: 4, B: 3, C: 5 });
+    const ratio = { N: ppm.N / ppm.P, P: 1, K: ppm.K / ppm.P, Ca: ppm.Ca / ppm.P, Mg: ppm.Mg / ppm.P };
+
+    const result = await core.solveDosing(tanks, { ratio, targetEC: 1.6 }, { maxDosing: 20 });
+    assert(result.solver === 'highs' || result.solver === 'glpk', 'Solved as a linear program');
+    assert(result.feasible, 'Reachable ratio is feasible');
+    assertApprox(result.predictedEC, 1.6, 0.01, 'Target EC met');
+    assertApprox(result.dosing.B / result.dosing.A, 0.75, 0.001, 'Dosing proportions recovered exactly');
+    ['N', 'P', 'K', 'Ca', 'Mg'].forEach(n => {
+      assert(Math.abs(result.residuals[n].error) < 0.001, `No residual for ${n}`);
+    });
+
+    const capped = await core.solveDosing(tanks, { ratio, targetEC: 1.6 }, { maxDosing: 2 });
+    assert(Object.values(capped.dosing).every(d => d <= 2.0001), 'Per-tank limit respected');
+    assert(capped.issues.some(i => i.code === 'DOSING_EXCEEDS_MAX'), 'Unreachable EC reported against the dosing limit');
+
+    const lowMg = { ratio: { ...ratio, Mg: ratio.Mg * 0.05 }, targetEC: 1.6 };
+    const free = await core.solveDosing(tanks, lowMg, { maxDosing: 20 });
+    const injector = await core.solveDosing(tanks, lowMg, { maxDosing: 20, minDosing: 2 });
+    assert(free.dosing.B > 0 && free.dosing.B < 2, 'Little of the Mg tank wanted');
+    assert(Object.values(injector.dosing).every(d => d === 0 || d >= 1.9999), 'Tanks are off or above the injector minimum');
+
+    const infeasible = { ratio: { N: 3, P: 1, K: 2, Ca: 2, Mg: 0.5 }, targetEC: 1.8 };
+    const weighted = await core.solveDosing(tanks, infeasible, { weights: { Ca: 5 } });
+    const unweighted = await core.solveDosing(tanks, infeasible);
+    assert(Math.abs(weighted.residuals.Ca.error) < Math.abs(unweighted.residuals.Ca.error), 'Weight moves the error off Ca');
+  }, { requires: 'lp' });
+
+  test('Mode A: per-target optima merged into shared tanks with the fidelity each target gives up', async () => {
+    const core = window.FertilizerCore;
+    const ratioOf = (id, formula, targetEC) => {
+      const ppm = core.calculateAchievedPPM({ X: formula }, { X: 1000 });
+      return { id, ratio: { N: ppm.N / ppm.P, P: 1, K: ppm.K / ppm.P, Ca: ppm.Ca / ppm.P, Mg: ppm.Mg / ppm.P }, targetEC };
+    };
+    const targets = [
+      ratioOf('veg', { calcium_nitrate_calcinit_typical: 0.8, potassium_nitrate_typical: 0.5, mkp_typical: 0.15, magnesium_sulfate_heptahydrate_common: 0.4 }, 1.6),
+      ratioOf('flower', { calcium_nitrate_calcinit_typical: 0.6, potassium_nitrate_typical: 0.3, potassium_sulfate_typical: 0.4, mkp_typical: 0.25, magnesium_sulfate_heptahydrate_common: 0.5 }, 2.0)
+    ];
+    const options = {
+      targets,
+      availableFertilizers: ['calcium_nitrate_calcinit_typical', 'potassium_nitrate_typical', 'mkp_typical', 'magnesium_sulfate_heptahydrate_common', 'potassium_sulfate_typical'],
+      stockConcentration: 100,
+      maxDosingML: 20
+    };
+
+    const result = await core.calculateStockSolutionsModeA(options);
+    assert(result.success, 'Merged plan found');
+    assertEqual(result.meta.mode, 'A', 'Mode A plan');
+    assert(!result.plans, 'No separate per-target plans');
+    assertEqual(result.dosing.length, 2, 'Both targets dosed');
+    const tankIds = Object.keys(result.tanks).sort().join();
+    result.dosing.forEach(d => {
+      assertEqual(Object.keys(d.tanks).sort().join(), tankIds, `${d.targetId} dosed from the shared tanks`);
+      assert(d.fidelity.optimumError < 0.05, `${d.targetId} optimum matches its ratio`);
+      assertApprox(d.fidelity.loss, Math.max(0, d.fidelity.sharedError - d.fidelity.optimumError), 1e-9, 'Loss against the optimum');
+      assertEqual(d.fidelity.withinTolerance, d.fidelity.loss <= core.MODE_A_FIDELITY_TOLERANCE, 'Default tolerance');
+      assertEqual(result.warnings.some(w => w.code === 'FIDELITY_LOSS' && w.details.targetId === d.targetId),
+        !d.fidelity.withinTolerance, 'Loss beyond the tolerance reported');
+    });
+
+    const loose = await core.calculateStockSolutionsModeA({ ...options, mergeTolerance: 0.5 });
+    assert(loose.dosing.every(d => d.fidelity.withinTolerance), 'Loose tolerance accepts the shared tanks');
+    assert(!loose.warnings.some(w => w.code === 'FIDELITY_LOSS'), 'No fidelity warning within tolerance');
+    assertEqual(loose.meta.mergeTolerance, 0.5, 'Tolerance reported');
+  }, { requires: 'lp' });
+
+  // ==========================================================================
+  // Recipe Library Tests
+  // ==========================================================================
+
+  const SAVED_RECIPES = [
+    { id: 'r1', name: 'Tomato veg', crop: 'Tomato', stage: 'Vegetative', notes: 'Coco, RO water' },
+    { id: 'r2', name: 'Tomato bloom', crop: 'Tomato', stage: 'Flowering', notes: '' },
+    { id: 'r3', name: 'Lettuce', crop: 'Lettuce', stage: '', notes: 'NFT, summer' }
+  ];
+
+  test('filterRecipes: every word must match name, crop, stage or notes', () => {
+    const filter = window.FertilizerRecipes.filterRecipes;
+    const ids = (query) => filter(SAVED_RECIPES, query).map(r => r.id).join();
+
+    assertEqual(ids(''), 'r1,r2,r3', 'Empty query keeps every recipe');
+    assertEqual(ids('   '), 'r1,r2,r3', 'Blank query keeps every recipe');
+    assertEqual(ids('TOMATO'), 'r1,r2', 'Case-insensitive');
+    assertEqual(ids('tomato flowering'), 'r2', 'All words must match');
+    assertEqual(ids('summer'), 'r3', 'Notes are searched');
+    assertEqual(ids('tomato summer'), '', 'Words across different recipes do not match');
+  });
+
+  test('buildSaveRecords: new recipes start at version 1, saves add the next version', () => {
+    const recipes = window.FertilizerRecipes;
+    const first = recipes.buildSaveRecords(null, { name: '  Tomato veg ', crop: 'Tomato', mode: 'ppm-calc', state: { volume: 100 } }, 1000);
+
+    assert(/^r[0-9a-z]+$/.test(first.recipe.id), 'Generated id');
+    assertEqual(first.recipe.name, 'Tomato veg', 'Name trimmed');
+    assertEqual(first.recipe.currentVersion, 1, 'First version');
+    assertEqual(first.recipe.createdAt, 1000, 'Created now');
+    assertEqual(first.version.recipeId, first.recipe.id, 'Version belongs to the recipe');
+    assertEqual(first.version.version, 1, 'Version number');
+    assertEqual(first.version.summary, null, 'No summary given');
+
+    const second = recipes.buildSaveRecords(first.recipe, { name: 'Tomato veg', notes: 'More K', mode: 'ppm-calc', state: { volume: 200 }, summary: { ec: 1.8 } }, 2000);
+    assertEqual(second.recipe.id, first.recipe.id, 'Same recipe');
+    assertEqual(second.recipe.currentVersion, 2, 'Next version');
+    assertEqual(second.recipe.createdAt, 1000, 'Creation time kept');
+    assertEqual(second.recipe.updatedAt, 2000, 'Updated now');
+    assertEqual(second.recipe.crop, '', 'Metadata taken from the new entry');
+    assertEqual(second.recipe.notes, 'More K', 'New notes');
+    assertEqual(second.version.version, 2, 'Version record numbered');
+    assertEqual(second.version.state.volume, 200, 'State of this save');
+    assertEqual(first.recipe.currentVersion, 1, 'Stored record not mutated');
+
+    let threw = false;
+    try {
+      recipes.buildSaveRecords(null, { name: '   ', mode: 'ppm-calc', state: {} }, 3000);
+    } catch (e) {
+      threw = true;
+    }
+    assert(threw, 'A recipe needs a name');
+  });
+
+  test('buildDuplicateEntry: a copy of one version starts its own history', () => {
+    const recipes = window.FertilizerRecipes;
+    const original = { id: 'r1', name: 'Tomato veg', crop: 'Tomato', stage: 'Vegetative', notes: 'Coco', currentVersion: 3 };
+    const source = { recipeId: 'r1', version: 2, mode: 'stock-solution', state: { targets: 2 }, summary: { tanks: 3 } };
+
+    const entry = recipes.buildDuplicateEntry(original, source, 'Tomato veg (copy)');
+    assertEqual(entry.recipeId, undefined, 'Saved as a new recipe');
+    assertEqual(entry.name, 'Tomato veg (copy)', 'New name');
+    assertEqual(entry.crop, 'Tomato', 'Crop copied');
+    assertEqual(entry.stage, 'Vegetative', 'Stage copied');
+    assertEqual(entry.notes, 'Coco', 'Notes copied');
+    assertEqual(entry.mode, 'stock-solution', 'Mode of the copied version');
+    assertEqual(entry.state, source.state, 'State of the copied version');
+
+    const copy = recipes.buildSaveRecords(null, entry, 5000);
+    assert(copy.recipe.id !== original.id, 'Own id');
+    assertEqual(copy.recipe.currentVersion, 1, 'History restarts at version 1');
+    assertEqual(copy.version.summary.tanks, 3, 'Summary copied');
+  });
+
+  // ==========================================================================
+  // fertcalc CLI Tests
+  // ==========================================================================
+
+  test('fertcalc: weekly-feed example as text, JSON and CSV', async () => {
+    const fs = require('fs');
+    const path = require('path');
+    const nodeDir = path.join(__dirname, '..', 'node');
+    const { loadFertilizerCore } = require(nodeDir);
+    const { runJob, formatReports } = require(path.join(nodeDir, 'fertcalc.js'));
+    const example = path.join(nodeDir, 'examples', 'weekly-feed.json');
+
+    const modules = loadFertilizerCore();
+    const reports = [];
+    for (const job of JSON.parse(fs.readFileSync(example, 'utf-8'))) {
+      reports.push(await runJob(modules, job));
+    }
+    assertEqual(reports.map(r => r.mode).join(), 'formula,ratio,stock', 'One report per job');
+
+    const text = formatReports(reports, 'text');
+    ['== Tomato vegetative ==', '== Leafy greens 3:1:4 ==', '== Two-tank stock ==', 'Fertilizers for 100 L:', 'Tank A:', 'Target veg (EC 1.6)']
+      .forEach(line => assert(text.includes(line), `Text has "${line}"`));
+    const textPH = text.match(/^pH: .*$/gm);
+    assertEqual(textPH.length, 2, 'pH for both recipes');
+    textPH.forEach((line, i) => assertEqual(line, `pH: ${reports[i].pH.toFixed(1)}`, 'pH with one decimal'));
+
+    const json = JSON.parse(formatReports(reports, 'json'));
+    assertEqual(json.length, 3, 'JSON array of reports');
+    assertEqual(json[2].tanks.length, reports[2].tanks.length, 'Stock tanks in JSON');
+    assertApprox(json[0].ec, reports[0].ec, 1e-9, 'EC in JSON');
+
+    const csv = formatReports(reports, 'csv').trim().split('\n');
+    assertEqual(csv[0], 'job,section,item,value,unit', 'CSV header');
+    const phRow = csv.find(row => row.startsWith('Tomato vegetative,ph,pH,'));
+    assertApprox(parseFloat(phRow.split(',')[3]), reports[0].pH, 0.005, 'CSV pH');
+    assert(csv.some(row => row.startsWith('Two-tank stock,dosing veg,tank A,')), 'CSV stock dosing');
+
+    // The command line gives the same output
+    const cli = require('child_process').execFileSync(process.execPath, [path.join(nodeDir, 'fertcalc.js'), example, '--format', 'csv'], { encoding: 'utf-8' });
+    assertEqual(cli, formatReports(reports, 'csv'), 'CLI output matches formatReports');
+  }, { requires: 'node' });
+
   // ==========================================================================
   // Existing Calculator Regression Tests
   // ==========================================================================
@@ -829,7 +1730,7 @@
     assert(result !== null, 'Result should not be null');
     assertHasKey(result, 'formula', 'Should have formula');
     assertHasKey(result, 'achieved', 'Should have achieved');
-  });
+  }, { requires: 'lp' });
 
   test('Regression: OXIDE_CONVERSIONS are accurate', () => {
     const OC = window.FertilizerCore.OXIDE_CONVERSIONS;